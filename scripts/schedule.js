@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Batch-runs a scenario file through the engine and prints the schedule.
+//
+//   node scripts/schedule.js <file.json> [--format csv|json] [--scenario <name|index>] [--variant bank|family]
+//
+// The file may be an engine input (buildSchedule arguments), a single
+// { name, cfg, variant } scenario, or a set saved with "Export scenarios (JSON)".
+import { readFileSync } from "node:fs";
+import { buildSchedule, configForVariant, scheduleToCSV } from "../src/engine.js";
+
+const USAGE = "usage: node scripts/schedule.js <file.json> [--format csv|json] [--scenario <name|index>] [--variant bank|family]";
+
+function parseArgs(argv) {
+  const opts = { file: null, format: "csv", scenario: null, variant: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--format") opts.format = argv[++i];
+    else if (arg === "--scenario") opts.scenario = argv[++i];
+    else if (arg === "--variant") opts.variant = argv[++i];
+    else if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (!opts.file) opts.file = arg;
+    else throw new Error(`unexpected argument: ${arg}`);
+  }
+  if (!["csv", "json"].includes(opts.format)) throw new Error(`unknown format: ${opts.format}`);
+  if (opts.variant && !["bank", "family"].includes(opts.variant)) throw new Error(`unknown variant: ${opts.variant}`);
+  return opts;
+}
+
+function pickScenario(data, which) {
+  if (!Array.isArray(data.scenarios)) return data;
+  const list = data.scenarios;
+  if (which == null) return list.find(s => s.id === data.activeId) ?? list[0];
+  const found = list.find(s => s.name === which) ?? list[Number(which)];
+  if (!found) throw new Error(`no scenario "${which}" (have: ${list.map(s => s.name).join(", ")})`);
+  return found;
+}
+
+function toEngineInput(entry, variant) {
+  if (entry.cfg) return configForVariant(entry.cfg, variant ?? entry.variant ?? "family");
+  return entry;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help || !opts.file) {
+    console.error(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  let input;
+  try {
+    const data = JSON.parse(readFileSync(opts.file, "utf8"));
+    input = toEngineInput(pickScenario(data, opts.scenario), opts.variant);
+  } catch (err) {
+    console.error(`${opts.file}: ${err.message}`);
+    return 1;
+  }
+
+  const result = buildSchedule(input);
+  for (const w of result.warnings) console.error(`${opts.file}: ${w.severity}: ${w.path}: ${w.message}`);
+  if (result.invalid) return 1;
+  process.stdout.write(opts.format === "json"
+    ? JSON.stringify(result, null, 2) + "\n"
+    : scheduleToCSV(result.rows) + "\n");
+  return 0;
+}
+
+process.exitCode = main();
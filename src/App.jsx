@@ -1,251 +1,32 @@
-import React, { useMemo, useState } from "react";
-import { Download, Plus, Trash2, TrendingUp, Wallet, Settings, Info, Pencil } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Download, Upload, Plus, Trash2, TrendingUp, Wallet, Settings, Info, Pencil, X, Link2, FileText } from "lucide-react";
 import {
   XAxis, YAxis, CartesianGrid,
   Tooltip as RTooltip, Legend as RLegend,
   LineChart, Line, ResponsiveContainer, ReferenceLine,
   BarChart, Bar
 } from "recharts";
-
-/* =============== Helpers =============== */
-const toMonthlyRate = (annualPct) => annualPct / 100 / 12;
-const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-const fmt = (v) => `$${Math.round(v || 0).toLocaleString()}`;
-
-function irr(cashflows, guess = 0.05) {
-  let rate = guess;
-  for (let i = 0; i < 100; i++) {
-    let npv = 0, d = 0;
-    for (let t = 0; t < cashflows.length; t++) {
-      const denom = Math.pow(1 + rate, t);
-      npv += cashflows[t] / denom;
-      d   -= t * cashflows[t] / (denom * (1 + rate));
-    }
-    const next = rate - npv / d;
-    if (!isFinite(next)) break;
-    if (Math.abs(next - rate) < 1e-7) return next;
-    rate = next;
-  }
-  return rate;
-}
-function npv(discountRateAnnualPct, cashflowsMonthly) {
-  const r = discountRateAnnualPct / 100 / 12;
-  return cashflowsMonthly.reduce((acc, cf, t) => acc + cf / Math.pow(1 + r, t), 0);
-}
-function pmt(principal, annualRatePct, termMonths) {
-  const r = toMonthlyRate(annualRatePct);
-  if (r === 0) return principal / termMonths;
-  return (principal * r) / (1 - Math.pow(1 + r, -termMonths));
-}
-
-/* =============== Core engine =============== */
-function buildSchedule({
-  price,
-  down,
-  bankType,
-  bankRate,
-  bankTermYears,
-  arm: { margin = 2.0, caps = { first: 2, periodic: 2, lifetime: 5 }, indexForecast = [] } = {},
-  ioMonths = 0,
-  pointsPct = 0,
-  closingCosts = 0,
-  family: {
-    amount: famAmt = 0,
-    rate: famRate = 4.5,
-    termYears: famYears = 30,
-    mode = "amortized",
-    altAnnualPct = 5,
-    altTaxPct = 30,
-    reinvestAnnualPct = 5,
-  } = {},
-  taxPct = 1.2, taxInflationPct = 2.5,
-  insuranceAnnual = 2000, insuranceInflationPct = 3,
-  hoaMonthly = 0, maintPctAnnual = 1, utilitiesMonthly = 0,
-  escrow = true,
-  pmi: { enabled: pmiEnabled = true, dropLTV = 0.78, pmiPctAnnual = 0.6 } = {},
-  prepay: { monthlyExtra = 0, lumpSums = [] } = {},
-  horizonYears = 30,
-  discountRatePct = 5.0,
-}) {
-  const termMonths = bankTermYears * 12;
-  const horizonMonths = horizonYears * 12;
-
-  const principalBankFull = price - down;
-  const principalBank = Math.max(principalBankFull - famAmt, 0);
-
-  const pointsCost = principalBank * (pointsPct / 100);
-
-  const initLTV = principalBank / price;
-  const pmiMonthlyBase = pmiEnabled && initLTV > 0.8 ? (principalBank * (pmiPctAnnual / 100)) / 12 : 0;
-
-  const taxMonthly0 = (taxPct / 100) * price / 12;
-  const insMonthly0 = insuranceAnnual / 12;
-
-  const famTermMonths = famYears * 12;
-  const famMonthly = famAmt > 0
-    ? (mode === "interest_only" ? (famAmt * toMonthlyRate(famRate)) : pmt(famAmt, famRate, famTermMonths))
-    : 0;
-
-  const bankMonthlyFixed = bankType === "fixed" ? pmt(principalBank, bankRate, termMonths) : 0;
-
-  const indexPath = new Array(bankTermYears)
-    .fill(0)
-    .map((_, i) => indexForecast[i] ?? indexForecast[indexForecast.length - 1] ?? 0);
-  const armCeiling = bankRate + caps.lifetime;
-
-  const rows = [];
-  let bal = principalBank;
-  let famBal = famAmt;
-  let currentRate = bankRate;
-  let pmiActive = pmiMonthlyBase > 0;
-
-  let cumFamilyInterest = 0;
-  let reinvestBal = 0;
-  let cumReinvestEarnings = 0;
-
-  for (let m = 1; m <= Math.min(horizonMonths, 720); m++) {
-    const year = Math.ceil(m / 12);
-    const taxMonthly = taxMonthly0 * Math.pow(1 + taxInflationPct / 100, year - 1);
-    const insMonthly = insMonthly0 * Math.pow(1 + insuranceInflationPct / 100, year - 1);
-
-    // Bank payment
-    let bankPayment = 0, bankInterest = 0, bankPrincipalPaid = 0;
-    if (principalBank > 0 && bal > 0 && m <= termMonths) {
-      if (bankType === "fixed") {
-        bankPayment = bankMonthlyFixed;
-      } else if (bankType === "io" && m <= ioMonths) {
-        bankInterest = bal * toMonthlyRate(bankRate);
-        bankPayment = bankInterest;
-      } else if (bankType === "arm") {
-        if (m === 1) currentRate = bankRate;
-        if (m > 1 && (m - 1) % 12 === 0) {
-          const resetIdx = Math.floor((m - 1) / 12);
-          const desired = (indexPath[resetIdx] ?? 0) + margin;
-          const lastRate = currentRate;
-          const upCap = resetIdx === 1 ? caps.first : caps.periodic;
-          currentRate = clamp(desired, lastRate - upCap, lastRate + upCap);
-          currentRate = Math.min(currentRate, armCeiling);
-        }
-        const remaining = termMonths - (m - 1);
-        bankPayment = pmt(bal, currentRate, Math.max(remaining, 1));
-      } else if (bankType === "io") {
-        const remaining = termMonths - (m - ioMonths);
-        bankPayment = pmt(bal, bankRate, Math.max(remaining, 1));
-      }
-
-      if (!(bankType === "io" && m <= ioMonths)) {
-        bankInterest = bal * toMonthlyRate(bankType === "arm" ? currentRate : bankRate);
-      }
-      bankPrincipalPaid = Math.max(bankPayment - bankInterest, 0);
-
-      // Prepay
-      let prepayThisMonth = monthlyExtra;
-      const lumps = lumpSums.filter(ls => ls.month === m).reduce((s, ls) => s + ls.amount, 0);
-      prepayThisMonth += lumps;
-      const principalReduction = Math.min(bankPrincipalPaid + prepayThisMonth, bal);
-      bal -= principalReduction;
-    }
-
-    // PMI
-    if (pmiActive) {
-      const ltv = bal / price;
-      if (ltv <= dropLTV || bal <= 0) pmiActive = false;
-    }
-    const pmiMonthly = pmiActive ? pmiMonthlyBase : 0;
-
-    // Family payment
-    let famPayment = 0, famInterest = 0, famPrincipalPaid = 0;
-    if (famBal > 0) {
-      if (mode === "interest_only") {
-        famInterest = famBal * toMonthlyRate(famRate);
-        famPayment = famInterest;
-      } else {
-        famPayment = famMonthly;
-        famInterest = famBal * toMonthlyRate(famRate);
-        famPrincipalPaid = Math.min(Math.max(famPayment - famInterest, 0), famBal);
-        famBal -= famPrincipalPaid;
-      }
-      cumFamilyInterest += famInterest;
-    }
-
-    // Reinvest earnings (for household math)
-    const rReinvest = toMonthlyRate(reinvestAnnualPct);
-    const reinvestEarnings = reinvestBal * rReinvest;
-    reinvestBal = reinvestBal * (1 + rReinvest) + famPayment;
-    cumReinvestEarnings += reinvestEarnings;
-
-    // Carrying costs
-    const escrowItems = escrow ? (taxMonthly + insMonthly) : 0;
-    const carryingFixed = hoaMonthly + utilitiesMonthly + (price * (maintPctAnnual / 100) / 12);
-    const totalMonthly = (bankPayment || 0) + famPayment + pmiMonthly + escrowItems + carryingFixed;
-
-    // Household delta (includes reinvest & taxed alternative)
-    const altReturnGross = famBal * toMonthlyRate(altAnnualPct);
-    const altReturnAfterTax = altReturnGross * (1 - altTaxPct / 100);
-    const householdDelta = altReturnAfterTax - famInterest - reinvestEarnings;
-    const totalMonthlyHousehold = totalMonthly + householdDelta;
-
-    const equity = price - bal - famBal;
-
-    rows.push({
-      m, year,
-      bankPayment: +(bankPayment || 0).toFixed(2),
-      bankInterest: +bankInterest.toFixed(2),
-      bankPrincipal: +bankPrincipalPaid.toFixed(2),
-      bankBalance: +Math.max(bal, 0).toFixed(2),
-
-      famPayment: +famPayment.toFixed(2),
-      famInterest: +famInterest.toFixed(2),
-      famPrincipal: +famPrincipalPaid.toFixed(2),
-      famBalance: +Math.max(famBal, 0).toFixed(2),
-
-      pmi: +pmiMonthly.toFixed(2),
-      tax: +taxMonthly.toFixed(2),
-      ins: +insMonthly.toFixed(2),
-      hoa: +hoaMonthly.toFixed(2),
-      maint: +((price * (maintPctAnnual / 100)) / 12).toFixed(2),
-      util: +utilitiesMonthly.toFixed(2),
-      escrow: +escrowItems.toFixed(2),
-
-      totalMonthly: +totalMonthly.toFixed(2),
-      totalMonthlyHousehold: +totalMonthlyHousehold.toFixed(2),
-      householdDelta: +householdDelta.toFixed(2),
-
-      equity: +equity.toFixed(2),
-      totalInterestThisMonth: +(bankInterest + famInterest).toFixed(2),
-      totalPrincipalThisMonth: +(bankPrincipalPaid + famPrincipalPaid).toFixed(2),
-    });
-  }
-
-  const bankFullMonthly = pmt(price - down, bankRate, termMonths);
-  const actualDebtMonthly = rows.map(r => (r.bankPayment || 0) + r.famPayment);
-  const monthlySavings = rows.map((_, i) => Math.max(bankFullMonthly - actualDebtMonthly[i], 0));
-
-  const initialOut = -(down + closingCosts + principalBank * (pointsPct / 100));
-  const cash_owner = [initialOut, ...rows.map(r => -r.totalMonthly)];
-  cash_owner[cash_owner.length - 1] += rows[rows.length - 1]?.equity ?? 0;
-
-  const cash_house = [initialOut, ...rows.map(r => -r.totalMonthlyHousehold)];
-  cash_house[cash_house.length - 1] += rows[rows.length - 1]?.equity ?? 0;
-
-  const irrAnnual = ((1 + irr(cash_owner, 0.005)) ** 12 - 1);
-  const irrAnnualHH = ((1 + irr(cash_house, 0.005)) ** 12 - 1);
-
-  return {
-    rows,
-    irrAnnual: +irrAnnual.toFixed(4),
-    irrAnnualHousehold: +irrAnnualHH.toFixed(4),
-    npv: +npv(discountRatePct, cash_owner).toFixed(2),
-    npvHousehold: +npv(discountRatePct, cash_house).toFixed(2),
-    monthlySavings: monthlySavings.map(v => +v.toFixed(2)),
-  };
-}
-
-function buildScenarioVariants(cfg) {
-  const withFamily = buildSchedule({ ...cfg, down: cfg.downWithFamily });
-  const bankOnly   = buildSchedule({ ...cfg, family: { ...cfg.family, amount: 0 }, down: cfg.downBankOnly });
-  return { withFamily, bankOnly };
-}
+import {
+  buildSchedule, configForVariant, frequencyImpact, prepayImpact, refinanceAnalysis, toRealDollars, withUnparsedFields, yearPathPreset, PMI_END_RULES,
+  ARM_PRODUCTS, BUYDOWN_TYPES, FILING_STATUSES, PAYMENT_FREQUENCIES, afrTermOf, MONTH_NAMES, monthLabel, loanMonthOf, monthInputValue,
+} from "./engine";
+import {
+  validateScenarioSet, serializeScenarioSet, loadStoredScenarios, storeScenarios, downloadJSON,
+} from "./persistence";
+import { SHARE_PREFIX, encodeShareHash, decodeShareHash } from "./shareLink";
+import { checkField, validateConfig, issueFor } from "./validation";
+import { LOAN_PROGRAMS, VA_USES, applyProgram } from "./programs";
+import { fmt, fmtPct, DraftReport, NumberInput, Toggle, KPI, YearPathEditor, DatedAmountList, SCENARIO_PALETTE } from "./ui";
+import RentVsBuy, { RENT_DEFAULTS } from "./components/RentVsBuy";
+import Affordability, { AFFORD_DEFAULTS } from "./components/Affordability";
+import ScheduleTable from "./components/ScheduleTable";
+import GiftExposure from "./components/GiftExposure";
+import ScenarioReport from "./components/ScenarioReport";
+import ExportDialog from "./components/ExportDialog";
+import MonteCarlo, { SIM_DEFAULTS } from "./components/MonteCarlo";
+import Sensitivity, { SENSITIVITY_DEFAULTS } from "./components/Sensitivity";
+import ScenarioDiff, { DIFF_DEFAULTS } from "./components/ScenarioDiff";
+import RatePricing, { PRICING_DEFAULTS } from "./components/RatePricing";
 
 /* =============== UI bits =============== */
 const preset = {
@@ -254,17 +35,43 @@ const preset = {
   downWithFamily: 200_000,
 
   bankType: "fixed", bankRate: 6.3, bankTermYears: 30,
-  arm: { margin: 2.0, caps: { first: 2, periodic: 2, lifetime: 5 }, indexForecast: [3.5, 3.25, 3.0, 3.0, 3.0] },
+  arm: { margin: 2.0, caps: { first: 2, periodic: 2, lifetime: 5 }, indexForecast: [3.5, 3.25, 3.0, 3.0, 3.0], fixedMonths: 60, adjustMonths: 12 },
   ioMonths: 0,
   pointsPct: 0.5, closingCosts: 12_000,
+  buydown: { type: "none", paidBy: "borrower" },
+  paymentFrequency: "monthly",
 
-  family: { amount: 300_000, rate: 4.5, termYears: 30, mode: "amortized", altAnnualPct: 5, altTaxPct: 30, reinvestAnnualPct: 5 },
+  family: {
+    amount: 300_000, rate: 4.5, termYears: 30, mode: "amortized", altAnnualPct: 5, altTaxPct: 30, reinvestAnnualPct: 5,
+    gradStepPct: 3, deferMonths: 0, deferInterest: "accrue", balloonYears: 0,
+    extraMonthly: 0, lumpSums: [], forgiveAnnual: 0, forgiveLumps: [], afrShortPct: 3.6, afrMidPct: 3.8, afrLongPct: 4.6,
+    lenders: 2, borrowers: 1, annualExclusion: 19_000, lifetimeExemption: 15_000_000,
+  },
 
   taxPct: 1.2, taxInflationPct: 2.5,
   insuranceAnnual: 2_000, insuranceInflationPct: 3,
   hoaMonthly: 90, maintPctAnnual: 1.0, utilitiesMonthly: 350,
+  hoaInflationPct: 3, maintInflationPct: 3, utilitiesInflationPct: 2.5,
   escrow: true,
-  pmi: { enabled: true, dropLTV: 0.78, pmiPctAnnual: 0.6 },
+  pmi: {
+    enabled: true, type: "bpmi", dropLTV: 0.78, pmiPctAnnual: 0.6,
+    singlePremiumPct: 2.0, lpmiRateBump: 0.25, fhaUpfrontPct: 1.75, fhaAnnualPct: 0.55,
+    requestCancel: false, requestLTV: 0.8, requestBasis: "original", requestAfterMonths: 24,
+  },
+  program: {
+    type: "custom", financeFee: true, vaUse: "first", usdaUpfrontPct: 1, usdaAnnualPct: 0.35,
+    conformingLimit: 832_750, fhaLimit: 541_287,
+  },
+  prepay: { monthlyExtra: 0, lumpSums: [], yearly: { amount: 0, month: 3 } },
+  refi: { enabled: false, month: 61, rate: 5.5, termYears: 30, closingCosts: 6_000, cashOut: 0, rollCosts: false },
+  startDate: "2026-01",
+  appreciationPct: 3, appreciationPath: [],
+  agentFeePct: 5, sellingCostPct: 1,
+  borrowerTax: {
+    enabled: true, filingStatus: "mfj", marginalPct: 24,
+    standardDeduction: 32_200, saltCap: 40_400, acquisitionLimit: 750_000,
+    otherSaltAnnual: 0, otherItemizedAnnual: 0, familyDeductible: false,
+  },
 
   horizonYears: 30,
   discountRatePct: 5.0,
@@ -272,6 +79,7 @@ const preset = {
 
 const BAR_COLORS = {
   Bank: "#6366f1",
+  Prepay: "#4338ca",
   Family: "#22c55e",
   PMI: "#f59e0b",
   Tax: "#0ea5e9",
@@ -281,64 +89,94 @@ const BAR_COLORS = {
   Utilities: "#14b8a6",
 };
 
-function NumberInput({ label, value, onChange, step = 1, min, max, suffix }) {
-  return (
-    <label className="flex flex-col gap-1 text-sm">
-      <span className="text-slate-600">{label}</span>
-      <div className="flex items-center gap-2">
-        <input
-          type="number"
-          value={value}
-          step={step}
-          min={min}
-          max={max}
-          onChange={(e) => onChange(parseFloat(e.target.value))}
-          className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:outline-none"
-        />
-        {suffix && <span className="text-slate-500 text-xs">{suffix}</span>}
-      </div>
-    </label>
-  );
-}
-function Toggle({ label, checked, onChange }) {
-  return (
-    <label className="flex items-center justify-between gap-3 text-sm">
-      <span className="text-slate-600">{label}</span>
-      <button
-        type="button"
-        onClick={() => onChange(!checked)}
-        className={`relative h-6 w-11 rounded-full transition ${checked ? "bg-indigo-600" : "bg-slate-300"}`}
-      >
-        <span className={`absolute top-0.5 ${checked ? "left-6" : "left-0.5"} h-5 w-5 rounded-full bg-white shadow transition`} />
-      </button>
-    </label>
-  );
-}
-function KPI({ icon: Icon, label, value, hint, emphasis = false }) {
-  return (
-    <div className={`rounded-2xl border p-4 shadow-sm ${emphasis ? "border-indigo-300 bg-indigo-50" : "border-slate-200 bg-white"}`}>
-      <div className="flex items-center gap-2 text-slate-500 text-xs"><Icon size={16} /> {label}</div>
-      <div className="mt-1 font-semibold tabular-nums leading-tight break-all text-xl sm:text-2xl">{value}</div>
-      {hint && <div className="mt-1 text-xs text-slate-500">{hint}</div>}
-    </div>
-  );
-}
-
-function configForVariant(cfg, variant) {
-  if (variant === "bank") {
-    return { ...cfg, down: cfg.downBankOnly, family: { ...cfg.family, amount: 0 } };
+// Notice lines for a validateScenarioSet result
+const setIssueLines = (res) => [...res.errors, ...res.missing.map(p => `${p}: missing`)];
+
+// Notice for the set read from localStorage at startup; null when it loaded cleanly
+function storedNotice(stored) {
+  if (!stored) return null;
+  if (!stored.scenarios) {
+    return {
+      tone: "error",
+      title: "Saved scenarios could not be loaded. They are left untouched and changes in this session won't be saved — export anything you want to keep.",
+      lines: stored.errors,
+    };
   }
-  return { ...cfg, down: cfg.downWithFamily };
+  if (stored.errors.length) return { tone: "error", title: "Some saved fields were invalid and have been reset to defaults", lines: setIssueLines(stored) };
+  if (stored.missing.length) return { tone: "info", title: "Saved scenarios are from an older version; new fields were filled in, with appreciation, selling costs, tax deductions and cost escalation left off", lines: setIssueLines(stored) };
+  return null;
 }
 
 /* =============== App =============== */
 export default function MortgageScenarioPro() {
-  const [scenarios, setScenarios] = useState([
+  // A share link in the URL wins over the locally saved set once it decodes; until then, and
+  // if it can't be opened, the baseline is shown and the saved set is left alone
+  const [sharedHash] = useState(() => window.location.hash.startsWith(SHARE_PREFIX) ? window.location.hash : null);
+  const [stored] = useState(() => loadStoredScenarios(preset));
+  const [scenarios, setScenarios] = useState((!sharedHash && stored?.scenarios) || [
     { id: 1, name: "Baseline", cfg: preset, variant: "family" },
   ]);
-  const [activeId, setActiveId] = useState(1);
-
+  const [activeId, setActiveId] = useState(!sharedHash && stored?.scenarios ? stored.activeId : 1);
+  // { tone: "error" | "info", title, lines[] } shown under the header
+  const [notice, setNotice] = useState(() => sharedHash ? null : storedNotice(stored));
+  const importRef = useRef(null);
+
+  // Nothing is saved while a share link is decoding or after it failed to, and a save that
+  // couldn't be read is never overwritten (those sessions run in memory only)
+  const storable = stored?.scenarios !== null;
+  const [canStore, setCanStore] = useState(!sharedHash && storable);
+  useEffect(() => { if (canStore) storeScenarios(scenarios, activeId); }, [scenarios, activeId, canStore]);
+
+  useEffect(() => {
+    if (!sharedHash) return;
+    let cancelled = false;
+    decodeShareHash(sharedHash, preset).then((res) => {
+      if (cancelled) return;
+      if (res.scenarios) {
+        setScenarios(res.scenarios);
+        setActiveId(res.activeId);
+        setNotice(res.issues.length
+          ? { tone: "error", title: `Loaded ${res.scenarios.length} scenario(s) from share link; some fields were reset to defaults`, lines: res.issues }
+          : { tone: "info", title: `Loaded ${res.scenarios.length} scenario(s) from share link`, lines: [] });
+        setCanStore(storable);
+      } else if (stored?.scenarios) {
+        // The saved set stays as it is: this session shows the baseline and isn't saved
+        setNotice({
+          tone: "error",
+          title: "Share link could not be opened — showing the baseline scenario. Your saved scenarios are untouched (reload to open them) and changes here won't be saved.",
+          lines: [res.error],
+        });
+      } else {
+        setNotice({ tone: "error", title: "Share link could not be opened — showing the baseline scenario instead", lines: [res.error, ...(stored?.errors ?? [])] });
+        setCanStore(storable);
+      }
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    });
+    return () => { cancelled = true; };
+  }, [sharedHash, stored, storable]);
+
+  // "compare" = scenario charts, "schedule" = month-by-month table,
+  // "rentVsBuy" = rent vs buy net worth, "afford" = DTI / max price,
+  // "simulate" = Monte Carlo bands, "sensitivity" = tornado / heatmap,
+  // "diff" = differing inputs and outcome deltas vs a baseline, "pricing" = rate / points / buydown options
+  const [view, setView] = useState("compare");
+  const [reportOpen, setReportOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [rentSettings, setRentSettings] = useState(RENT_DEFAULTS);
+  const [affordSettings, setAffordSettings] = useState(AFFORD_DEFAULTS);
+  const [simSettings, setSimSettings] = useState(SIM_DEFAULTS);
+  const [sensitivitySettings, setSensitivitySettings] = useState(SENSITIVITY_DEFAULTS);
+  const [diffSettings, setDiffSettings] = useState(DIFF_DEFAULTS);
+  const [pricingSettings, setPricingSettings] = useState(PRICING_DEFAULTS);
   const [chartMode, setChartMode] = useState("household");
+  // Nominal or real dollars for the charts, KPIs, schedule and exports (inputs stay nominal)
+  const [dollars, setDollars] = useState({ real: false, inflationPct: 2.5 });
+  const dollarsIssue = useMemo(() => {
+    const message = checkField(dollars.inflationPct, { min: -10, max: 20 });
+    return message && { message, severity: "error" };
+  }, [dollars.inflationPct]);
+  const realPct = dollars.real && !dollarsIssue ? dollars.inflationPct : null;
+  const inDollars = (res) => realPct == null ? res : toRealDollars(res, realPct);
   const [interestHover, setInterestHover] = useState(null);
   const [bigHover, setBigHover] = useState(null);
   const [costHover, setCostHover] = useState(null);
@@ -349,67 +187,81 @@ export default function MortgageScenarioPro() {
 
   const active = scenarios.find(s => s.id === activeId) ?? scenarios[0];
 
-  const activeCfg = configForVariant(active.cfg, active.variant);
-  const result = useMemo(() => buildSchedule(activeCfg), [activeCfg]);
-
-  const monthlyNow = result.rows[0]?.totalMonthly ?? 0;
-  const cumDebtInterest = result.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0);
-  const equity10 = result.rows[119]?.equity ?? 0;
-
-  const compareLines = useMemo(() => {
-    const palette = ["#6366f1","#22c55e","#ef4444","#0ea5e9","#f59e0b","#14b8a6","#a855f7","#e11d48"];
-    return scenarios.map((s, idx) => {
+  // Every scenario is built once, and again only when it changes (edits replace the
+  // scenario object); the views below all read from here
+  const buildCache = useRef(new WeakMap());
+  const built = useMemo(() => scenarios.map((s, idx) => {
+    let entry = buildCache.current.get(s);
+    if (!entry) {
       const cfg = configForVariant(s.cfg, s.variant);
-      const res = buildSchedule(cfg);
+      entry = { cfg, result: buildSchedule(cfg) };
+      buildCache.current.set(s, entry);
+    }
+    return { s, ...entry, color: SCENARIO_PALETTE[idx % SCENARIO_PALETTE.length] };
+  }), [scenarios]);
+  const { cfg: activeCfg, result: builtResult } = built.find(b => b.s === active);
+  // Scenario inputs holding text that isn't a number (id -> label): the cfg still has the old
+  // value, so results are paused until every one parses
+  const [drafts, setDrafts] = useState(() => new Map());
+  const reportDraft = useCallback((id, label) => setDrafts(prev => {
+    if (prev.get(id) === (label ?? undefined)) return prev;
+    const next = new Map(prev);
+    if (label == null) next.delete(id); else next.set(id, label);
+    return next;
+  }), []);
+  const result = useMemo(() => withUnparsedFields(builtResult, [...drafts.values()]), [builtResult, drafts]);
+  // Inline messages come from the saved cfg, so both down payments are checked whatever the variant
+  const inputIssues = useMemo(() => validateConfig(active.cfg), [active.cfg]);
+  const fieldIssue = (path) => issueFor(inputIssues, path);
+
+  const shown = useMemo(() => inDollars(result), [result, realPct]);
+
+  const monthlyNow = shown.rows[0]?.totalMonthly ?? 0;
+  const cumDebtInterest = shown.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0);
+  const equity10 = shown.rows[119]?.equity ?? 0;
+
+  // Each scenario's line runs to its own horizon; the chart spans the longest one
+  const compareLines = useMemo(() => {
+    return built.map(({ s, color, result: nominal }) => {
+      const res = inDollars(nominal);
       const series = [];
-      for (let y = 1; y <= 30; y++) {
-        const upto = res.rows.slice(0, y * 12);
-        const value =
-          chartMode === "household"
-            ? upto.reduce((a, r) => a + r.totalMonthlyHousehold, 0)
-            : upto.reduce((a, r) => a + r.bankInterest + r.famInterest, 0);
-        series.push({ name: `Y${y}`, [s.name]: +value.toFixed(2) });
-      }
-      return { name: s.name, color: palette[idx % palette.length], series };
+      let value = 0;
+      res.rows.forEach((r) => {
+        value += chartMode === "household" ? r.totalMonthlyHousehold : r.bankInterest + r.famInterest;
+        if (r.m % 12 === 0) series.push({ name: `Y${r.m / 12}`, [s.name]: +value.toFixed(2) });
+      });
+      return { name: s.name, color, series };
     });
-  }, [scenarios, chartMode]);
+  }, [built, chartMode, realPct]);
+  const compareYears = Math.max(0, ...compareLines.map(line => line.series.length));
 
   const mergedCompare = useMemo(() => {
-    if (!compareLines.length) return [];
-    const years = compareLines[0].series.map(s => s.name);
+    const years = new Array(compareYears).fill(0).map((_, i) => `Y${i + 1}`);
     return years.map((label, i) => {
       const row = { name: label };
       compareLines.forEach(line => Object.assign(row, line.series[i]));
       return row;
     });
-  }, [compareLines]);
+  }, [compareLines, compareYears]);
 
-  const scenarioPairs = useMemo(() => {
-    return scenarios.map(s => ({
-      id: s.id,
-      name: s.name,
-      cfg: s.cfg,
-      both: buildScenarioVariants(s.cfg)
-    }));
-  }, [scenarios]);
+  // The active scenario with its family loan, whichever variant is selected
+  const withFamily = useMemo(
+    () => active.variant === "family" ? result : buildSchedule(configForVariant(active.cfg, "family")),
+    [active, result],
+  );
 
   /* === Interest Earned (interest-only), Family vs Bank; Family can be net of bank === */
   const interestEarnedData = useMemo(() => {
-    const sp = (scenarioPairs.find(p => p.id === active.id) ?? scenarioPairs[0]);
-    if (!sp) return [];
-
-    const { withFamily } = sp.both;
-
     // inputs
-    const fam = sp.cfg.family ?? {};
+    const fam = active.cfg.family ?? {};
     const FAM_AMT   = +((fam.amount ?? 0) || 0);        // base for bank alt path
-    const rFam      = (fam.rate ?? 0) / 100 / 12;       // family loan monthly rate
     const rAlt      = (fam.altAnnualPct ?? 0) / 100 / 12;
     const altTax    = (fam.altTaxPct ?? 0) / 100;       // tax on alt interest
     const rReinvest = (fam.reinvestAnnualPct ?? 0) / 100 / 12;
+    // each month's interest in dollars at closing when showing real dollars
+    const deflator = (m) => realPct == null ? 1 : Math.pow(1 + realPct / 100, -m / 12);
 
     // running state — INTEREST ONLY (no principal appears in the chart)
-    let lendRemaining = FAM_AMT;        // for family interest calc (declining balance)
     let famInterestCum = 0;             // cumulative interest family earns from lending
     let reinvBal = 0;                   // pot of repayments (for reinvest interest)
     let reinvInterestCum = 0;           // cumulative interest on reinvest pot
@@ -422,25 +274,21 @@ export default function MortgageScenarioPro() {
     const maxM = Math.min(withFamily.rows.length, 360);
 
     for (let m = 1; m <= maxM; m++) {
-      const row = withFamily.rows[m - 1] || { famPayment: 0, famPrincipal: 0 };
+      const row = withFamily.rows[m - 1] || {};
 
       // ---- bank path (after-tax interest only)
       const altInterest = bankBase * rAlt;
       const altAfterTax = altInterest * (1 - altTax);
-      bankInterestCum += altAfterTax;       // accumulate interest only
+      bankInterestCum += altAfterTax * deflator(m);   // accumulate interest only
       bankBase += altAfterTax;              // grow base for next interest calc
 
-      // ---- family path (interest only)
-      const famInterest = lendRemaining * rFam;
-      famInterestCum += famInterest;
+      // ---- family path (interest only; the schedule handles deferral, balloon, step-ups and forgiveness)
+      famInterestCum += (row.famInterest || 0) * deflator(m);
 
-      // optional reinvest interest (pot grows by interest + borrower's payment)
+      // optional reinvest interest (pot grows by interest + everything the borrower pays the family)
       const reinvInterest = reinvBal * rReinvest;
-      reinvInterestCum += reinvInterest;
-      reinvBal = reinvBal + reinvInterest + (row.famPayment || 0);
-
-      // update remaining principal for next month
-      lendRemaining = Math.max(lendRemaining - (row.famPrincipal || 0), 0);
+      reinvInterestCum += reinvInterest * deflator(m);
+      reinvBal = reinvBal + reinvInterest + (row.famPayment || 0) + (row.famPrepay || 0) + (row.famBalloon || 0);
 
       if (m % 12 === 0) {
         const yr = m / 12;
@@ -456,18 +304,18 @@ export default function MortgageScenarioPro() {
       }
     }
     return yearly;
-  }, [scenarioPairs, active.id, includeReinvest, showNetVsBank]);
+  }, [withFamily, active.cfg, includeReinvest, showNetVsBank, realPct]);
 
   /* === Monthly cost breakdown bars === */
   const costBars = useMemo(() => {
-    return scenarios.map((s) => {
-      const cfg = configForVariant(s.cfg, s.variant);
-      const res = buildSchedule(cfg);
+    return built.map(({ s, result: nominal }) => {
+      const res = inDollars(nominal);
       const r0 = res.rows[0] || {};
       return {
         name: s.name,
         Bank: r0.bankPayment ?? 0,
-        Family: r0.famPayment ?? 0,
+        Prepay: r0.prepay ?? 0,
+        Family: (r0.famPayment ?? 0) + (r0.famPrepay ?? 0),
         PMI: r0.pmi ?? 0,
         Tax: r0.tax ?? 0,
         Insurance: r0.ins ?? 0,
@@ -476,22 +324,83 @@ export default function MortgageScenarioPro() {
         Utilities: r0.util ?? 0,
       };
     });
-  }, [scenarios]);
-
-  function exportCSV() {
-    const header = ["Month","BankPayment","BankInterest","BankPrincipal","BankBalance","FamilyPayment","FamilyInterest","FamilyPrincipal","FamilyBalance","PMI","Tax","Insurance","HOA","Maintenance","Utilities","Escrow","TotalMonthly","HHMonthly","Equity"];
-    const rows = result.rows.map(r => [
-      r.m,r.bankPayment,r.bankInterest,r.bankPrincipal,r.bankBalance,
-      r.famPayment,r.famInterest,r.famPrincipal,r.famBalance,
-      r.pmi,r.tax,r.ins,r.hoa,r.maint,r.util,r.escrow,
-      r.totalMonthly,r.totalMonthlyHousehold,r.equity
-    ]);
-    const csv = [header, ...rows].map(r => r.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `${(active.name || "Scenario").replace(/\s+/g,'_')}_schedule.csv`; a.click();
-    URL.revokeObjectURL(url);
+  }, [built, realPct]);
+
+  const rentLines = useMemo(() => built.map(({ s, color, result }) => ({ name: s.name, color, result })), [built]);
+
+  const returnsRows = useMemo(() => {
+    return built.map(({ s, cfg, result: nominal }) => {
+      const res = inDollars(nominal);
+      return {
+        id: s.id,
+        name: s.name,
+        horizonYears: cfg.horizonYears,
+        discountRatePct: cfg.discountRatePct,
+        irrAnnual: res.irrAnnual,
+        irrAnnualHousehold: res.irrAnnualHousehold,
+        npv: res.npv,
+        npvHousehold: res.npvHousehold,
+        taxModelled: cfg.borrowerTax.enabled,
+        irrAnnualAfterTax: res.irrAnnualAfterTax,
+        npvAfterTax: res.npvAfterTax,
+      };
+    });
+  }, [built, realPct]);
+
+  const refiSummary = useMemo(() => refinanceAnalysis(activeCfg), [activeCfg]);
+
+  const familyAfrTerm = afrTermOf(active.cfg.family.termYears);
+  const familyAfr = {
+    term: familyAfrTerm,
+    pct: { short: active.cfg.family.afrShortPct, mid: active.cfg.family.afrMidPct, long: active.cfg.family.afrLongPct }[familyAfrTerm],
+  };
+
+  const frequencyRows = useMemo(() => {
+    return built.flatMap(({ s, cfg, result }) => {
+      if (cfg.bankType !== "fixed" || cfg.paymentFrequency === "monthly") return [];
+      return [{ id: s.id, name: s.name, startDate: cfg.startDate, frequency: cfg.paymentFrequency, ...frequencyImpact(cfg, result, { inflationPct: realPct }) }];
+    });
+  }, [built, realPct]);
+
+  const prepayRows = useMemo(() => {
+    return built.map(({ s, cfg, result }) => ({ id: s.id, name: s.name, startDate: cfg.startDate, ...prepayImpact(cfg, result, { inflationPct: realPct }) }));
+  }, [built, realPct]);
+
+  async function copyShareLink() {
+    let url;
+    try {
+      url = window.location.origin + window.location.pathname + await encodeShareHash(scenarios, activeId);
+      await navigator.clipboard.writeText(url);
+      setNotice({ tone: "info", title: "Share link copied to clipboard", lines: [] });
+    } catch (err) {
+      setNotice(url
+        ? { tone: "error", title: "Share link could not be copied — copy it from here instead", lines: [url] }
+        : { tone: "error", title: "Share link could not be created", lines: [err?.message ?? String(err)] });
+    }
+  }
+  function exportScenarios() {
+    downloadJSON(serializeScenarioSet(scenarios, activeId), "mortgage_scenarios.json");
+  }
+  async function importScenarios(file) {
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (err) {
+      setNotice({ tone: "error", title: `Could not read ${file.name}`, lines: [err.message] });
+      return;
+    }
+    const res = validateScenarioSet(raw, preset);
+    if (!res.scenarios) {
+      setNotice({ tone: "error", title: `Import failed — ${file.name} has no usable scenarios`, lines: setIssueLines(res) });
+      return;
+    }
+    setScenarios(res.scenarios);
+    setActiveId(res.activeId);
+    setNotice(res.errors.length
+      ? { tone: "error", title: `Imported ${res.scenarios.length} scenario(s); invalid fields were reset to defaults`, lines: setIssueLines(res) }
+      : res.missing.length
+      ? { tone: "info", title: `Imported ${res.scenarios.length} scenario(s); missing fields were filled with defaults`, lines: setIssueLines(res) }
+      : { tone: "info", title: `Imported ${res.scenarios.length} scenario(s) from ${file.name}`, lines: [] });
   }
 
   function addScenarioFrom(base) {
@@ -516,6 +425,21 @@ export default function MortgageScenarioPro() {
   function updateActivePMI(patch) {
     updateActiveCfg({ pmi: { ...active.cfg.pmi, ...patch } });
   }
+  function updateActiveTax(patch) {
+    updateActiveCfg({ borrowerTax: { ...active.cfg.borrowerTax, ...patch } });
+  }
+  function updateActiveArm(patch) {
+    updateActiveCfg({ arm: { ...active.cfg.arm, ...patch } });
+  }
+  function updateActiveRefi(patch) {
+    updateActiveCfg({ refi: { ...active.cfg.refi, ...patch } });
+  }
+  function updateActiveProgram(patch) {
+    updateActiveCfg({ program: { ...active.cfg.program, ...patch } });
+  }
+  function updateActivePrepay(patch) {
+    updateActiveCfg({ prepay: { ...active.cfg.prepay, ...patch } });
+  }
   function setScenarioVariant(id, variant) {
     setScenarios(scenarios.map(s => s.id === id ? { ...s, variant } : s));
   }
@@ -523,19 +447,37 @@ export default function MortgageScenarioPro() {
     setScenarios(scenarios.map(s => s.id === id ? { ...s, name } : s));
   }
 
+  if (reportOpen) {
+    return <ScenarioReport scenarios={scenarios} onClose={() => setReportOpen(false)} />;
+  }
+
   return (
     <div className="min-h-screen bg-slate-50 text-slate-800">
       {/* Top bar */}
-      <header className="sticky top-0 z-10 border-b border-slate-200 bg-white/80 backdrop-blur">
+      <header className="sticky top-0 z-10 border-b border-slate-200 bg-white/80 backdrop-blur print:static">
         <div className="mx-auto flex max-w-7xl items-center justify-between px-4 py-3">
           <div className="flex items-center gap-2 text-lg font-semibold"><Wallet size={18}/> Mortgage Scenario Pro</div>
-          <div className="flex items-center gap-2 text-sm">
+          <div className="no-print flex flex-wrap items-center justify-end gap-2 text-sm">
             <button onClick={() => addScenarioFrom(active)} className="inline-flex items-center gap-2 rounded-xl bg-indigo-600 px-3 py-2 font-medium text-white shadow-sm hover:bg-indigo-700"><Plus size={16}/> Add Scenario</button>
-            <button onClick={exportCSV} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100"><Download size={16}/> Export CSV</button>
+            <button onClick={() => setReportOpen(true)} disabled={drafts.size > 0} title={drafts.size > 0 ? "Finish the highlighted inputs first" : undefined} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100 disabled:opacity-50"><FileText size={16}/> Generate report</button>
+            <button onClick={() => setExportOpen(true)} disabled={drafts.size > 0} title={drafts.size > 0 ? "Finish the highlighted inputs first" : undefined} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100 disabled:opacity-50"><Download size={16}/> Export…</button>
+            <button onClick={copyShareLink} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100"><Link2 size={16}/> Copy share link</button>
+            <button onClick={exportScenarios} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100"><Download size={16}/> Export scenarios (JSON)</button>
+            <button onClick={() => importRef.current?.click()} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100"><Upload size={16}/> Import scenarios</button>
+            <input
+              ref={importRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e)=>{ const f = e.target.files?.[0]; if (f) importScenarios(f); e.target.value = ""; }}
+            />
           </div>
         </div>
       </header>
 
+      {notice && <Notice notice={notice} onClose={() => setNotice(null)} />}
+      {exportOpen && <ExportDialog scenarios={scenarios} activeId={active.id} inflationPct={realPct} onClose={() => setExportOpen(false)} />}
+
       <main className="mx-auto max-w-7xl px-4 py-6">
         {/* Scenarios row (stronger active chip + inline rename) */}
         <div className="mb-3 space-y-2">
@@ -576,200 +518,662 @@ export default function MortgageScenarioPro() {
           </div>
         </div>
 
+        {/* Nominal / real dollars */}
+        <div className="no-print mb-3 flex flex-wrap items-end gap-3">
+          <div className="flex rounded-full bg-slate-100 p-0.5 text-sm">
+            <button onClick={()=>setDollars({ ...dollars, real: false })} className={`rounded-full px-3 py-1 ${!dollars.real?"bg-slate-900 text-white":"text-slate-700"}`}>Nominal $</button>
+            <button onClick={()=>setDollars({ ...dollars, real: true })} className={`rounded-full px-3 py-1 ${dollars.real?"bg-slate-900 text-white":"text-slate-700"}`}>Real $</button>
+          </div>
+          <div className="w-36">
+            <NumberInput label="Inflation (%)" value={dollars.inflationPct} onChange={(v)=>setDollars({ ...dollars, inflationPct: v })} step={0.25} suffix="yr" issue={dollarsIssue}/>
+          </div>
+          {dollars.real && (
+            <div className="pb-2 text-xs text-slate-500">
+              Charts, KPIs, the schedule and exports are in dollars at closing, deflated {dollars.inflationPct}% a year; IRRs are real rates. NPVs are already in dollars at closing and read the same either way.
+            </div>
+          )}
+        </div>
+
         {/* KPI header */}
         <div className="grid grid-cols-2 gap-4 md:grid-cols-3">
-          <KPI icon={TrendingUp} label="Monthly payment (now)" value={fmt(monthlyNow)} />
-          <KPI icon={TrendingUp} label="Total interest (all debt)" value={fmt(cumDebtInterest)} />
-          <KPI icon={TrendingUp} label="Equity @ 10 years" value={fmt(equity10)} />
+          <KPI icon={TrendingUp} label="Monthly payment (now)" value={result.invalid ? "—" : fmt(monthlyNow)} hint={active.cfg.borrowerTax.enabled ? `${fmt(shown.rows[0]?.afterTaxMonthly)} after tax savings` : undefined} />
+          <KPI icon={TrendingUp} label="Total interest (all debt)" value={result.invalid ? "—" : fmt(cumDebtInterest)} />
+          <KPI icon={TrendingUp} label="Equity @ 10 years" value={result.invalid ? "—" : fmt(equity10)} />
         </div>
 
         {/* Layout: Inputs (left) / Charts (right) */}
         <div className="mt-6 grid grid-cols-1 gap-6 lg:grid-cols-3">
           {/* Inputs */}
-          <section className="lg:col-span-1 space-y-5">
-            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-              <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Settings size={16}/> Home & Costs</div>
-              <div className="grid grid-cols-2 gap-3">
-                <NumberInput label="Home price" value={active.cfg.price} onChange={(v)=>updateActiveCfg({price:v})} step={1000}/>
-                <NumberInput label="Closing costs" value={active.cfg.closingCosts} onChange={(v)=>updateActiveCfg({closingCosts:v})} step={500}/>
-                <NumberInput label="Points (%)" value={active.cfg.pointsPct} onChange={(v)=>updateActiveCfg({pointsPct:v})} step={0.125}/>
-                <NumberInput label="Down (bank-only)" value={active.cfg.downBankOnly} onChange={(v)=>updateActiveCfg({downBankOnly:v})} step={1000}/>
-                <NumberInput label="Down (with family)" value={active.cfg.downWithFamily} onChange={(v)=>updateActiveCfg({downWithFamily:v})} step={1000}/>
-                <NumberInput label="Tax (%)" value={active.cfg.taxPct} onChange={(v)=>updateActiveCfg({taxPct:v})} step={0.05} suffix="yr"/>
-                <NumberInput label="Tax drift (%)" value={active.cfg.taxInflationPct} onChange={(v)=>updateActiveCfg({taxInflationPct:v})} step={0.25} suffix="yr"/>
-                <NumberInput label="Insurance (annual)" value={active.cfg.insuranceAnnual} onChange={(v)=>updateActiveCfg({insuranceAnnual:v})} step={100}/>
-                <NumberInput label="Ins. drift (%)" value={active.cfg.insuranceInflationPct} onChange={(v)=>updateActiveCfg({insuranceInflationPct:v})} step={0.25} suffix="yr"/>
-                <NumberInput label="HOA (mo)" value={active.cfg.hoaMonthly} onChange={(v)=>updateActiveCfg({hoaMonthly:v})} step={10}/>
-                <NumberInput label="Maint. (%/yr)" value={active.cfg.maintPctAnnual} onChange={(v)=>updateActiveCfg({maintPctAnnual:v})} step={0.1}/>
-                <NumberInput label="Utilities (mo)" value={active.cfg.utilitiesMonthly} onChange={(v)=>updateActiveCfg({utilitiesMonthly:v})} step={10}/>
-                <Toggle label="Escrow taxes/ins" checked={active.cfg.escrow} onChange={(v)=>updateActiveCfg({escrow:v})}/>
+          <section className="no-print lg:col-span-1 space-y-5">
+            <DraftReport.Provider value={reportDraft}>
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Settings size={16}/> Home & Costs</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <NumberInput label="Home price" value={active.cfg.price} onChange={(v)=>updateActiveCfg({price:v})} step={1000} issue={fieldIssue("price")}/>
+                  <NumberInput label="Closing costs" value={active.cfg.closingCosts} onChange={(v)=>updateActiveCfg({closingCosts:v})} step={500} issue={fieldIssue("closingCosts")}/>
+                  <NumberInput label="Points (%)" value={active.cfg.pointsPct} onChange={(v)=>updateActiveCfg({pointsPct:v})} step={0.125} issue={fieldIssue("pointsPct")}/>
+                  <NumberInput label="Down (bank-only)" value={active.cfg.downBankOnly} onChange={(v)=>updateActiveCfg({downBankOnly:v})} step={1000} issue={fieldIssue("downBankOnly")}/>
+                  <NumberInput label="Down (with family)" value={active.cfg.downWithFamily} onChange={(v)=>updateActiveCfg({downWithFamily:v})} step={1000} issue={fieldIssue("downWithFamily")}/>
+                  <NumberInput label="Tax (%)" value={active.cfg.taxPct} onChange={(v)=>updateActiveCfg({taxPct:v})} step={0.05} suffix="yr" issue={fieldIssue("taxPct")}/>
+                  <NumberInput label="Tax drift (%)" value={active.cfg.taxInflationPct} onChange={(v)=>updateActiveCfg({taxInflationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("taxInflationPct")}/>
+                  <NumberInput label="Insurance (annual)" value={active.cfg.insuranceAnnual} onChange={(v)=>updateActiveCfg({insuranceAnnual:v})} step={100} issue={fieldIssue("insuranceAnnual")}/>
+                  <NumberInput label="Ins. drift (%)" value={active.cfg.insuranceInflationPct} onChange={(v)=>updateActiveCfg({insuranceInflationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("insuranceInflationPct")}/>
+                  <NumberInput label="HOA (mo)" value={active.cfg.hoaMonthly} onChange={(v)=>updateActiveCfg({hoaMonthly:v})} step={10} issue={fieldIssue("hoaMonthly")}/>
+                  <NumberInput label="HOA drift (%)" value={active.cfg.hoaInflationPct} onChange={(v)=>updateActiveCfg({hoaInflationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("hoaInflationPct")}/>
+                  <NumberInput label="Maint. (%/yr)" value={active.cfg.maintPctAnnual} onChange={(v)=>updateActiveCfg({maintPctAnnual:v})} step={0.1} issue={fieldIssue("maintPctAnnual")}/>
+                  <NumberInput label="Maint. drift (%)" value={active.cfg.maintInflationPct} onChange={(v)=>updateActiveCfg({maintInflationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("maintInflationPct")}/>
+                  <NumberInput label="Utilities (mo)" value={active.cfg.utilitiesMonthly} onChange={(v)=>updateActiveCfg({utilitiesMonthly:v})} step={10} issue={fieldIssue("utilitiesMonthly")}/>
+                  <NumberInput label="Util. drift (%)" value={active.cfg.utilitiesInflationPct} onChange={(v)=>updateActiveCfg({utilitiesInflationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("utilitiesInflationPct")}/>
+                  <Toggle label="Escrow taxes/ins" checked={active.cfg.escrow} onChange={(v)=>updateActiveCfg({escrow:v})}/>
+                </div>
+                <div className="mt-4 mb-2 text-sm font-medium text-slate-700">Value & sale</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <NumberInput label="Appreciation (%)" value={active.cfg.appreciationPct} onChange={(v)=>updateActiveCfg({appreciationPct:v})} step={0.25} suffix="yr" issue={fieldIssue("appreciationPct")}/>
+                  <Toggle
+                    label="Year-by-year path"
+                    checked={active.cfg.appreciationPath.length > 0}
+                    onChange={(on)=>updateActiveCfg({appreciationPath: on ? yearPathPreset("flat", active.cfg.appreciationPct, active.cfg.horizonYears) : []})}
+                  />
+                  <NumberInput label="Agent fee (%)" value={active.cfg.agentFeePct} onChange={(v)=>updateActiveCfg({agentFeePct:v})} step={0.25} issue={fieldIssue("agentFeePct")}/>
+                  <NumberInput label="Other selling (%)" value={active.cfg.sellingCostPct} onChange={(v)=>updateActiveCfg({sellingCostPct:v})} step={0.25} issue={fieldIssue("sellingCostPct")}/>
+                </div>
+                {active.cfg.appreciationPath.length > 0 && (
+                  <YearPathEditor
+                    label="Appreciation (% by year)"
+                    values={active.cfg.appreciationPath}
+                    years={active.cfg.horizonYears}
+                    step={0.25}
+                    onChange={(appreciationPath)=>updateActiveCfg({ appreciationPath })}
+                    issueAt={(i)=>fieldIssue(`appreciationPath.${i}`)}
+                    note="Overrides the flat appreciation rate; the last year carries forward."
+                  />
+                )}
               </div>
-            </div>
 
-            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-              <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Bank Loan</div>
-              <div className="grid grid-cols-2 gap-3">
-                <label className="flex flex-col gap-1 text-sm">
-                  <span className="text-slate-600">Type</span>
-                  <select value={active.cfg.bankType} onChange={(e)=>updateActiveCfg({bankType:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
-                    <option value="fixed">Fixed</option>
-                    <option value="arm">ARM</option>
-                    <option value="io">Interest-only</option>
-                  </select>
-                </label>
-                <NumberInput label="Rate (%)" value={active.cfg.bankRate} onChange={(v)=>updateActiveCfg({bankRate:v})} step={0.125}/>
-                <NumberInput label="Term (yrs)" value={active.cfg.bankTermYears} onChange={(v)=>updateActiveCfg({bankTermYears:v})} step={5}/>
-                {active.cfg.bankType==="io" && <NumberInput label="IO months" value={active.cfg.ioMonths} onChange={(v)=>updateActiveCfg({ioMonths:v})} step={6}/>}
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Bank Loan</div>
+                <div className="mb-3 grid grid-cols-2 gap-3">
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Program</span>
+                    <select value={active.cfg.program.type} onChange={(e)=>updateActiveCfg(applyProgram(active.cfg, e.target.value))} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                      <option value="custom">Custom</option>
+                      {Object.entries(LOAN_PROGRAMS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+                    </select>
+                    {fieldIssue("program.type") && (
+                      <span className={`text-xs ${fieldIssue("program.type").severity === "error" ? "text-rose-600" : "text-amber-700"}`}>{fieldIssue("program.type").message}</span>
+                    )}
+                  </label>
+                  {(result.upfrontFee > 0 || ["fha", "va", "usda"].includes(active.cfg.program.type)) && (
+                    <Toggle label="Finance upfront fee" checked={active.cfg.program.financeFee} onChange={(v)=>updateActiveProgram({financeFee:v})}/>
+                  )}
+                  {active.cfg.program.type === "va" && (
+                    <label className="flex flex-col gap-1 text-sm">
+                      <span className="text-slate-600">VA entitlement</span>
+                      <select value={active.cfg.program.vaUse} onChange={(e)=>updateActiveProgram({vaUse:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                        {Object.entries(VA_USES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                      </select>
+                    </label>
+                  )}
+                  {active.cfg.program.type === "usda" && (
+                    <>
+                      <NumberInput label="Guarantee fee (%)" value={active.cfg.program.usdaUpfrontPct} onChange={(v)=>updateActiveProgram({usdaUpfrontPct:v})} step={0.05} issue={fieldIssue("program.usdaUpfrontPct")}/>
+                      <NumberInput label="Annual fee (%)" value={active.cfg.program.usdaAnnualPct} onChange={(v)=>updateActiveProgram({usdaAnnualPct:v})} step={0.05} suffix="yr" issue={fieldIssue("program.usdaAnnualPct")}/>
+                    </>
+                  )}
+                  {["conventional", "jumbo"].includes(active.cfg.program.type) && (
+                    <NumberInput label="Conforming limit" value={active.cfg.program.conformingLimit} onChange={(v)=>updateActiveProgram({conformingLimit:v})} step={1000} issue={fieldIssue("program.conformingLimit")}/>
+                  )}
+                  {active.cfg.program.type === "fha" && (
+                    <NumberInput label="FHA loan limit" value={active.cfg.program.fhaLimit} onChange={(v)=>updateActiveProgram({fhaLimit:v})} step={1000} issue={fieldIssue("program.fhaLimit")}/>
+                  )}
+                </div>
+                {result.upfrontFee > 0 && (
+                  <div className="mb-3 text-xs text-slate-500">
+                    {active.cfg.program.type === "va" ? "VA funding fee" : active.cfg.program.type === "usda" ? "USDA guarantee fee" : "FHA upfront MIP"} of {fmt(result.upfrontFee)}{" "}
+                    {result.financedFees > 0 ? "is financed into the loan." : "is paid at closing."}
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Type</span>
+                    <select value={active.cfg.bankType} onChange={(e)=>updateActiveCfg({bankType:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                      <option value="fixed">Fixed</option>
+                      <option value="arm">ARM</option>
+                      <option value="io">Interest-only</option>
+                    </select>
+                  </label>
+                  <NumberInput label="Rate (%)" value={active.cfg.bankRate} onChange={(v)=>updateActiveCfg({bankRate:v})} step={0.125} issue={fieldIssue("bankRate")}/>
+                  <NumberInput label="Term (yrs)" value={active.cfg.bankTermYears} onChange={(v)=>updateActiveCfg({bankTermYears:v})} step={5} issue={fieldIssue("bankTermYears")}/>
+                  {active.cfg.bankType==="io" && <NumberInput label="IO months" value={active.cfg.ioMonths} onChange={(v)=>updateActiveCfg({ioMonths:v})} step={6} issue={fieldIssue("ioMonths")}/>}
+                  {active.cfg.bankType==="arm" && (
+                    <>
+                      <label className="flex flex-col gap-1 text-sm">
+                        <span className="text-slate-600">Product</span>
+                        <select
+                          value={ARM_PRODUCTS.find(p => p.fixedMonths === active.cfg.arm.fixedMonths && p.adjustMonths === active.cfg.arm.adjustMonths)?.id ?? "custom"}
+                          onChange={(e)=>{
+                            const p = ARM_PRODUCTS.find(p => p.id === e.target.value);
+                            if (p) updateActiveArm({ fixedMonths: p.fixedMonths, adjustMonths: p.adjustMonths });
+                          }}
+                          className="rounded-xl border border-slate-200 bg-white px-3 py-2"
+                        >
+                          {ARM_PRODUCTS.map(p => <option key={p.id} value={p.id}>{p.id} ARM</option>)}
+                          <option value="custom" disabled>Custom</option>
+                        </select>
+                      </label>
+                      <NumberInput label="Fixed period (mo)" value={active.cfg.arm.fixedMonths} onChange={(v)=>updateActiveArm({fixedMonths:v})} step={12} min={1} issue={fieldIssue("arm.fixedMonths")}/>
+                      <label className="flex flex-col gap-1 text-sm">
+                        <span className="text-slate-600">Adjusts every</span>
+                        <select value={active.cfg.arm.adjustMonths} onChange={(e)=>updateActiveArm({adjustMonths:+e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                          <option value={6}>6 months</option>
+                          <option value={12}>12 months</option>
+                        </select>
+                      </label>
+                      <NumberInput label="ARM margin (%)" value={active.cfg.arm.margin} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, margin:v}})} step={0.125} issue={fieldIssue("arm.margin")}/>
+                      <NumberInput label="1st cap (%)" value={active.cfg.arm.caps.first} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, first:v}}})} step={0.25} issue={fieldIssue("arm.caps.first")}/>
+                      <NumberInput label="Periodic cap (%)" value={active.cfg.arm.caps.periodic} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, periodic:v}}})} step={0.25} issue={fieldIssue("arm.caps.periodic")}/>
+                      <NumberInput label="Lifetime cap (%)" value={active.cfg.arm.caps.lifetime} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, lifetime:v}}})} step={0.25} issue={fieldIssue("arm.caps.lifetime")}/>
+                    </>
+                  )}
+                  {active.cfg.bankType==="fixed" && (
+                    <>
+                      <label className="flex flex-col gap-1 text-sm">
+                        <span className="text-slate-600">Temporary buydown</span>
+                        <select value={active.cfg.buydown.type} onChange={(e)=>updateActiveCfg({buydown:{...active.cfg.buydown, type:e.target.value}})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                          {Object.entries(BUYDOWN_TYPES).map(([id, b]) => <option key={id} value={id}>{b.label}</option>)}
+                        </select>
+                      </label>
+                      {active.cfg.buydown.type !== "none" && (
+                        <label className="flex flex-col gap-1 text-sm">
+                          <span className="text-slate-600">Escrow paid by</span>
+                          <select value={active.cfg.buydown.paidBy} onChange={(e)=>updateActiveCfg({buydown:{...active.cfg.buydown, paidBy:e.target.value}})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                            <option value="borrower">Borrower</option>
+                            <option value="seller">Seller / builder</option>
+                          </select>
+                        </label>
+                      )}
+                      <label className="flex flex-col gap-1 text-sm">
+                        <span className="text-slate-600">Payment frequency</span>
+                        <select value={active.cfg.paymentFrequency} onChange={(e)=>updateActiveCfg({paymentFrequency:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                          {Object.entries(PAYMENT_FREQUENCIES).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+                        </select>
+                      </label>
+                    </>
+                  )}
+                </div>
+                {result.payments.length > 0 && (
+                  <div className="mt-2 text-xs text-slate-500">
+                    {fmt(result.periodPayment)} per payment, {PAYMENT_FREQUENCIES[active.cfg.paymentFrequency].perYear} a year
+                    {active.cfg.refi.enabled && " until the refinance"}; the schedule's payments view lists each one.
+                  </div>
+                )}
+                {result.buydownEscrow > 0 && (
+                  <div className="mt-2 text-xs text-slate-500">
+                    Buydown escrow of {fmt(result.buydownEscrow)} {active.cfg.buydown.paidBy === "seller" ? "funded by the seller" : "paid at closing"};
+                    month-1 payment {fmt(result.rows[0].bankPayment - result.rows[0].buydownSubsidy)} instead of {fmt(result.rows[0].bankPayment)}.
+                  </div>
+                )}
                 {active.cfg.bankType==="arm" && (
-                  <>
-                    <NumberInput label="ARM margin (%)" value={active.cfg.arm.margin} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, margin:v}})} step={0.125}/>
-                    <NumberInput label="1st cap (%)" value={active.cfg.arm.caps.first} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, first:v}}})} step={0.25}/>
-                    <NumberInput label="Periodic cap (%)" value={active.cfg.arm.caps.periodic} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, periodic:v}}})} step={0.25}/>
-                    <NumberInput label="Lifetime cap (%)" value={active.cfg.arm.caps.lifetime} onChange={(v)=>updateActiveCfg({arm:{...active.cfg.arm, caps:{...active.cfg.arm.caps, lifetime:v}}})} step={0.25}/>
-                  </>
+                  <YearPathEditor
+                    label="Index forecast (% by year)"
+                    values={active.cfg.arm.indexForecast}
+                    years={active.cfg.bankTermYears}
+                    step={0.125}
+                    onChange={(indexForecast)=>updateActiveArm({ indexForecast })}
+                    issueAt={(i)=>fieldIssue(`arm.indexForecast.${i}`)}
+                    note={`Fully indexed rate = index + margin. The first cap applies at the first reset after month ${active.cfg.arm.fixedMonths}.`}
+                  />
                 )}
               </div>
-            </div>
 
-            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-              <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Family Loan</div>
-              <div className="grid grid-cols-2 gap-3">
-                <NumberInput label="Amount" value={active.cfg.family.amount} onChange={(v)=>updateActiveFamily({amount:v})} step={1000}/>
-                <label className="flex flex-col gap-1 text-sm">
-                  <span className="text-slate-600">Mode</span>
-                  <select value={active.cfg.family.mode} onChange={(e)=>updateActiveFamily({mode:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
-                    <option value="amortized">Amortized</option>
-                    <option value="interest_only">Interest-only</option>
-                  </select>
-                </label>
-                <NumberInput label="Rate (%)" value={active.cfg.family.rate} onChange={(v)=>updateActiveFamily({rate:v})} step={0.125}/>
-                <NumberInput label="Term (yrs)" value={active.cfg.family.termYears} onChange={(v)=>updateActiveFamily({termYears:v})} step={5}/>
-                <NumberInput label="Family alt return (%)" value={active.cfg.family.altAnnualPct} onChange={(v)=>updateActiveFamily({altAnnualPct:v})} step={0.25}/>
-                <NumberInput label="Alt return tax (%)" value={active.cfg.family.altTaxPct} onChange={(v)=>updateActiveFamily({altTaxPct:v})} step={1}/>
-                <NumberInput label="Reinvest return (%)" value={active.cfg.family.reinvestAnnualPct} onChange={(v)=>updateActiveFamily({reinvestAnnualPct:v})} step={0.25}/>
-              </div>
-              <div className="mt-2 text-xs text-slate-500">
-                Toggle on “Interest Earned” lets you include reinvest of repayments at Reinvest return (%).
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Mortgage Insurance</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <Toggle label="PMI / MIP" checked={active.cfg.pmi.enabled} onChange={(v)=>updateActivePMI({enabled:v})}/>
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Type</span>
+                    <select value={active.cfg.pmi.type} onChange={(e)=>updateActivePMI({type:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                      <option value="bpmi">Monthly (BPMI)</option>
+                      <option value="single">Single premium</option>
+                      <option value="lpmi">Lender-paid (rate bump)</option>
+                      <option value="fha">FHA MIP</option>
+                    </select>
+                  </label>
+                  {active.cfg.pmi.type === "bpmi" && (
+                    <>
+                      <NumberInput label="PMI rate (%)" value={active.cfg.pmi.pmiPctAnnual} onChange={(v)=>updateActivePMI({pmiPctAnnual:v})} step={0.05} suffix="yr" issue={fieldIssue("pmi.pmiPctAnnual")}/>
+                      <NumberInput label="Auto-cancel LTV (%)" value={+(active.cfg.pmi.dropLTV * 100).toFixed(2)} onChange={(v)=>updateActivePMI({dropLTV:v/100})} step={1} issue={fieldIssue("pmi.dropLTV")}/>
+                    </>
+                  )}
+                  {active.cfg.pmi.type === "single" && (
+                    <NumberInput label="Premium (% of loan)" value={active.cfg.pmi.singlePremiumPct} onChange={(v)=>updateActivePMI({singlePremiumPct:v})} step={0.25} issue={fieldIssue("pmi.singlePremiumPct")}/>
+                  )}
+                  {active.cfg.pmi.type === "lpmi" && (
+                    <NumberInput label="Rate bump (%)" value={active.cfg.pmi.lpmiRateBump} onChange={(v)=>updateActivePMI({lpmiRateBump:v})} step={0.125} issue={fieldIssue("pmi.lpmiRateBump")}/>
+                  )}
+                  {active.cfg.pmi.type === "fha" && (
+                    <>
+                      <NumberInput label="Upfront MIP (%)" value={active.cfg.pmi.fhaUpfrontPct} onChange={(v)=>updateActivePMI({fhaUpfrontPct:v})} step={0.05} issue={fieldIssue("pmi.fhaUpfrontPct")}/>
+                      <NumberInput label="Annual MIP (%)" value={active.cfg.pmi.fhaAnnualPct} onChange={(v)=>updateActivePMI({fhaAnnualPct:v})} step={0.05} suffix="yr" issue={fieldIssue("pmi.fhaAnnualPct")}/>
+                    </>
+                  )}
+                </div>
+                {active.cfg.pmi.type === "bpmi" && (
+                  <div className="mt-3 grid grid-cols-2 gap-3">
+                    <Toggle label="Request cancellation" checked={active.cfg.pmi.requestCancel} onChange={(v)=>updateActivePMI({requestCancel:v})}/>
+                    {active.cfg.pmi.requestCancel && (
+                      <>
+                        <NumberInput label="At LTV (%)" value={+(active.cfg.pmi.requestLTV * 100).toFixed(2)} onChange={(v)=>updateActivePMI({requestLTV:v/100})} step={1} issue={fieldIssue("pmi.requestLTV")}/>
+                        <label className="flex flex-col gap-1 text-sm">
+                          <span className="text-slate-600">LTV based on</span>
+                          <select value={active.cfg.pmi.requestBasis} onChange={(e)=>updateActivePMI({requestBasis:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                            <option value="original">Original value</option>
+                            <option value="appraised">Appraised value</option>
+                          </select>
+                        </label>
+                        <NumberInput label="Not before (mo)" value={active.cfg.pmi.requestAfterMonths} onChange={(v)=>updateActivePMI({requestAfterMonths:v})} step={6} issue={fieldIssue("pmi.requestAfterMonths")}/>
+                      </>
+                    )}
+                  </div>
+                )}
+                <div className="mt-2 text-xs text-slate-500">
+                  {result.pmiEnd
+                    ? <>Ends {monthLabel(activeCfg.startDate, result.pmiEnd.month)} (month {result.pmiEnd.month}): {PMI_END_RULES[result.pmiEnd.rule]}.</>
+                    : result.rows.some(r => r.pmi > 0) ? "Charged through the end of the horizon."
+                    : result.pmiUpfront > 0 ? `Single premium of ${fmt(result.pmiUpfront)} paid at closing.`
+                    : active.cfg.pmi.type === "lpmi" && result.rows[0]?.bankRate > active.cfg.bankRate ? "Built into the note rate for the life of the loan."
+                    : active.cfg.program.type === "va" ? "VA loans carry no mortgage insurance."
+                    : "Not required (bank loan at or below 80% LTV)."}
+                  {active.cfg.pmi.requestCancel && active.cfg.pmi.requestBasis === "appraised" && " Appraised value follows the home appreciation inputs."}
+                </div>
               </div>
-            </div>
-          </section>
 
-          {/* Charts */}
-          <section className="lg:col-span-2 space-y-6">
-            {/* Big-chart toggle */}
-            <div className="flex items-center gap-2">
-              <span className="text-sm text-slate-600">Big chart:</span>
-              <button onClick={()=>setChartMode("household")} className={`rounded-full px-3 py-1 text-sm ${chartMode==="household"?"bg-slate-900 text-white":"bg-white border border-slate-200"}`}>Cumulative household cost</button>
-              <button onClick={()=>setChartMode("interest")} className={`rounded-full px-3 py-1 text-sm ${chartMode==="interest"?"bg-slate-900 text-white":"bg-white border border-slate-200"}`}>Cumulative interest only</button>
-            </div>
-
-            {/* BIG: Compare scenarios */}
-            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-              <div className="mb-2 text-base font-semibold">
-                {chartMode === "household" ? "Cumulative household cost — 30 years" : "Cumulative interest only — 30 years"} (each scenario uses its own Bank/Family selection)
-              </div>
-              <div className="h-72 w-full">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart
-                    data={mergedCompare}
-                    onMouseMove={(e)=>{
-                      if (e && e.activePayload && e.activePayload.length) {
-                        const obj = { label: e.activeLabel };
-                        e.activePayload.forEach(pp => { obj[pp.dataKey] = pp.value; });
-                        setBigHover(obj);
-                      } else setBigHover(null);
-                    }}
-                    onMouseLeave={()=>setBigHover(null)}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
-                    <RTooltip content={null} />
-                    <RLegend />
-                    {compareLines.map(line => (
-                      <Line key={line.name} type="monotone" dataKey={line.name} stroke={line.color} strokeWidth={2} dot={false} />
-                    ))}
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-              <div className="mt-2 text-xs rounded-xl border border-slate-200 bg-slate-50 p-2">
-                {bigHover ? (
-                  <div className="flex flex-wrap gap-4">
-                    <span className="font-medium">{bigHover.label}</span>
-                    {Object.keys(bigHover).filter(k=>k!=="label").map(k=>(
-                      <span key={k}>{k}: <strong>{fmt(bigHover[k])}</strong></span>
-                    ))}
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Family Loan</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <NumberInput label="Amount" value={active.cfg.family.amount} onChange={(v)=>updateActiveFamily({amount:v})} step={1000} issue={fieldIssue("family.amount")}/>
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Mode</span>
+                    <select value={active.cfg.family.mode} onChange={(e)=>updateActiveFamily({mode:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                      <option value="amortized">Amortized</option>
+                      <option value="interest_only">Interest-only</option>
+                      <option value="graduated">Graduated</option>
+                    </select>
+                  </label>
+                  <NumberInput label="Rate (%)" value={active.cfg.family.rate} onChange={(v)=>updateActiveFamily({rate:v})} step={0.125} issue={fieldIssue("family.rate")}/>
+                  <NumberInput label="Term (yrs)" value={active.cfg.family.termYears} onChange={(v)=>updateActiveFamily({termYears:v})} step={5} issue={fieldIssue("family.termYears")}/>
+                  {active.cfg.family.mode === "graduated" && (
+                    <NumberInput label="Payment step-up (%)" value={active.cfg.family.gradStepPct} onChange={(v)=>updateActiveFamily({gradStepPct:v})} step={0.5} suffix="yr" issue={fieldIssue("family.gradStepPct")}/>
+                  )}
+                  <NumberInput label="Deferred months" value={active.cfg.family.deferMonths} onChange={(v)=>updateActiveFamily({deferMonths:v})} step={6} min={0} issue={fieldIssue("family.deferMonths")}/>
+                  {active.cfg.family.deferMonths > 0 && (
+                    <label className="flex flex-col gap-1 text-sm">
+                      <span className="text-slate-600">Interest while deferred</span>
+                      <select value={active.cfg.family.deferInterest} onChange={(e)=>updateActiveFamily({deferInterest:e.target.value})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                        <option value="accrue">Accrues to balance</option>
+                        <option value="pay">Paid monthly</option>
+                      </select>
+                    </label>
+                  )}
+                  <NumberInput label="Balloon in year (0 = none)" value={active.cfg.family.balloonYears} onChange={(v)=>updateActiveFamily({balloonYears:v})} step={1} min={0} issue={fieldIssue("family.balloonYears")}/>
+                  <NumberInput label="Extra payment (mo)" value={active.cfg.family.extraMonthly} onChange={(v)=>updateActiveFamily({extraMonthly:v})} step={50} min={0} issue={fieldIssue("family.extraMonthly")}/>
+                  <NumberInput label="Family alt return (%)" value={active.cfg.family.altAnnualPct} onChange={(v)=>updateActiveFamily({altAnnualPct:v})} step={0.25} issue={fieldIssue("family.altAnnualPct")}/>
+                  <NumberInput label="Alt return tax (%)" value={active.cfg.family.altTaxPct} onChange={(v)=>updateActiveFamily({altTaxPct:v})} step={1} issue={fieldIssue("family.altTaxPct")}/>
+                  <NumberInput label="Reinvest return (%)" value={active.cfg.family.reinvestAnnualPct} onChange={(v)=>updateActiveFamily({reinvestAnnualPct:v})} step={0.25} issue={fieldIssue("family.reinvestAnnualPct")}/>
+                  <NumberInput label="Forgive per year" value={active.cfg.family.forgiveAnnual} onChange={(v)=>updateActiveFamily({forgiveAnnual:v})} step={1000} issue={fieldIssue("family.forgiveAnnual")}/>
+                </div>
+                <DatedAmountList
+                  label="Extra lump sums"
+                  items={active.cfg.family.lumpSums}
+                  startDate={active.cfg.startDate}
+                  onChange={(lumpSums)=>updateActiveFamily({ lumpSums })}
+                  issueAt={(i)=>fieldIssue(`family.lumpSums.${i}`)}
+                  empty="No lump sums."
+                />
+                <DatedAmountList
+                  label="Forgiveness chunks"
+                  items={active.cfg.family.forgiveLumps}
+                  startDate={active.cfg.startDate}
+                  onChange={(forgiveLumps)=>updateActiveFamily({ forgiveLumps })}
+                  issueAt={(i)=>fieldIssue(`family.forgiveLumps.${i}`)}
+                  defaultAmount={19_000}
+                  empty="No one-off forgiveness."
+                />
+                <div className="mt-3 text-xs font-medium text-slate-500">Applicable Federal Rates & gift limits</div>
+                <div className="mt-1 grid grid-cols-3 gap-3">
+                  <NumberInput label="AFR short (%)" value={active.cfg.family.afrShortPct} onChange={(v)=>updateActiveFamily({afrShortPct:v})} step={0.01} issue={fieldIssue("family.afrShortPct")}/>
+                  <NumberInput label="AFR mid (%)" value={active.cfg.family.afrMidPct} onChange={(v)=>updateActiveFamily({afrMidPct:v})} step={0.01} issue={fieldIssue("family.afrMidPct")}/>
+                  <NumberInput label="AFR long (%)" value={active.cfg.family.afrLongPct} onChange={(v)=>updateActiveFamily({afrLongPct:v})} step={0.01} issue={fieldIssue("family.afrLongPct")}/>
+                  <NumberInput label="Lenders" value={active.cfg.family.lenders} onChange={(v)=>updateActiveFamily({lenders:v})} step={1} min={1} issue={fieldIssue("family.lenders")}/>
+                  <NumberInput label="Borrowers" value={active.cfg.family.borrowers} onChange={(v)=>updateActiveFamily({borrowers:v})} step={1} min={1} issue={fieldIssue("family.borrowers")}/>
+                  <NumberInput label="Annual exclusion" value={active.cfg.family.annualExclusion} onChange={(v)=>updateActiveFamily({annualExclusion:v})} step={1000} issue={fieldIssue("family.annualExclusion")}/>
+                </div>
+                {active.cfg.family.amount > 0 && active.cfg.family.rate < familyAfr.pct && (
+                  <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 p-2 text-xs text-rose-700">
+                    Rate is below the {familyAfr.term}-term AFR ({familyAfr.pct}%). The forgone interest is treated as a gift — see the gift exposure table.
                   </div>
-                ) : (
-                  <span className="text-slate-500">Hover the chart to see values below.</span>
                 )}
+                <div className="mt-2 text-xs text-slate-500">
+                  Toggle on “Interest Earned” lets you include reinvest of repayments at Reinvest return (%).
+                  The term runs from the first payment after any deferral; a balloon pays off whatever is left in that loan year's last month.
+                  The AFR is picked by term (up to 3 years short, up to 9 mid, else long); enter the current month's published rates.
+                </div>
               </div>
-            </div>
 
-            {/* Interest Earned: Family (raw or net) vs Bank */}
-            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-              <div className="mb-2 flex items-center gap-3 text-base font-semibold">
-                <span>Interest Earned — {active.name} - 30yr</span>
-                <label className="flex items-center gap-2 text-xs font-normal text-slate-600">
-                  <input
-                    type="checkbox"
-                    checked={includeReinvest}
-                    onChange={(e)=>setIncludeReinvest(e.target.checked)}
-                  />
-                  Include reinvest on family line
-                </label>
-                <label className="flex items-center gap-2 text-xs font-normal text-slate-600">
-                  <input
-                    type="checkbox"
-                    checked={showNetVsBank}
-                    onChange={(e)=>setShowNetVsBank(e.target.checked)}
-                  />
-                  Show net vs bank
-                </label>
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Prepayments (bank loan)</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">First payment</span>
+                    <input
+                      type="month"
+                      value={active.cfg.startDate}
+                      onChange={(e)=>e.target.value && updateActiveCfg({startDate:e.target.value})}
+                      className="rounded-xl border border-slate-200 bg-white px-3 py-2"
+                    />
+                  </label>
+                  <NumberInput label="Extra / month" value={active.cfg.prepay.monthlyExtra} onChange={(v)=>updateActivePrepay({monthlyExtra:v})} step={50} min={0} issue={fieldIssue("prepay.monthlyExtra")}/>
+                  <NumberInput label="Yearly extra" value={active.cfg.prepay.yearly.amount} onChange={(v)=>updateActivePrepay({yearly:{...active.cfg.prepay.yearly, amount:v}})} step={500} min={0} issue={fieldIssue("prepay.yearly.amount")}/>
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Paid each</span>
+                    <select value={active.cfg.prepay.yearly.month} onChange={(e)=>updateActivePrepay({yearly:{...active.cfg.prepay.yearly, month:+e.target.value}})} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                      {MONTH_NAMES.map((n, i) => <option key={n} value={i + 1}>{n}</option>)}
+                    </select>
+                  </label>
+                </div>
+                <DatedAmountList
+                  label="Lump sums"
+                  items={active.cfg.prepay.lumpSums}
+                  startDate={active.cfg.startDate}
+                  onChange={(lumpSums)=>updateActivePrepay({ lumpSums })}
+                  issueAt={(i)=>fieldIssue(`prepay.lumpSums.${i}`)}
+                  empty="No lump sums."
+                />
               </div>
-              <div className="h-64 w-full">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart
-                    data={interestEarnedData}
-                    onMouseMove={(e) => {
-                      if (e && e.activePayload && e.activePayload.length) {
-                        const p = e.activePayload;
-                        const obj = { label: e.activeLabel };
-                        p.forEach(pp => { obj[pp.dataKey] = pp.value; });
-                        setInterestHover(obj);
-                      } else setInterestHover(null);
-                    }}
-                    onMouseLeave={() => setInterestHover(null)}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis tickFormatter={fmt} />
-                    <RTooltip content={null} />
-                    <RLegend />
-                    <Line type="monotone" dataKey="Family Interest" strokeWidth={2} dot={false} />
-                    <Line type="monotone" dataKey="Bank Interest" strokeWidth={2} dot={false} strokeDasharray="6 4" />
-                    <ReferenceLine y={0} />
-                  </LineChart>
-                </ResponsiveContainer>
+
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Info size={16}/> Refinance</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <Toggle label="Refinance" checked={active.cfg.refi.enabled} onChange={(v)=>updateActiveRefi({enabled:v})}/>
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">In month</span>
+                    <input
+                      type="month"
+                      value={monthInputValue(active.cfg.startDate, active.cfg.refi.month)}
+                      onChange={(e)=>e.target.value && updateActiveRefi({ month: Math.max(loanMonthOf(active.cfg.startDate, e.target.value), 2) })}
+                      className="rounded-xl border border-slate-200 bg-white px-3 py-2"
+                    />
+                  </label>
+                  {active.cfg.refi.enabled && (
+                    <>
+                      <NumberInput label="New rate (%)" value={active.cfg.refi.rate} onChange={(v)=>updateActiveRefi({rate:v})} step={0.125} issue={fieldIssue("refi.rate")}/>
+                      <NumberInput label="New term (yrs)" value={active.cfg.refi.termYears} onChange={(v)=>updateActiveRefi({termYears:v})} step={5} issue={fieldIssue("refi.termYears")}/>
+                      <NumberInput label="Closing costs" value={active.cfg.refi.closingCosts} onChange={(v)=>updateActiveRefi({closingCosts:v})} step={500} issue={fieldIssue("refi.closingCosts")}/>
+                      <NumberInput label="Cash-out" value={active.cfg.refi.cashOut} onChange={(v)=>updateActiveRefi({cashOut:v})} step={1000} issue={fieldIssue("refi.cashOut")}/>
+                      <Toggle label="Roll costs into loan" checked={active.cfg.refi.rollCosts} onChange={(v)=>updateActiveRefi({rollCosts:v})}/>
+                    </>
+                  )}
+                </div>
+                <div className="mt-2 text-xs text-slate-500">
+                  The outstanding bank balance (month {active.cfg.refi.month}) moves to a new fixed-rate loan.
+                </div>
               </div>
-              <div className="mt-2 text-xs rounded-xl border border-slate-200 bg-slate-50 p-2">
-                {interestHover ? (
-                  <div className="flex flex-wrap gap-4">
-                    <span className="font-medium">{interestHover.label}</span>
-                    <span>
-                      Family Interest{showNetVsBank ? " (net of bank)" : ""}:{" "}
-                      <strong>{fmt(interestHover["Family Interest"])}</strong>
-                    </span>
-                    <span>Bank Interest: <strong>{fmt(interestHover["Bank Interest"])}</strong></span>
+
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><Wallet size={16}/> Borrower Taxes</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <Toggle label="Model deductions" checked={active.cfg.borrowerTax.enabled} onChange={(v)=>updateActiveTax({enabled:v})}/>
+                  <label className="flex flex-col gap-1 text-sm">
+                    <span className="text-slate-600">Filing status</span>
+                    <select
+                      value={active.cfg.borrowerTax.filingStatus}
+                      onChange={(e)=>{
+                        const { standardDeduction, saltCap, acquisitionLimit } = FILING_STATUSES[e.target.value];
+                        updateActiveTax({ filingStatus: e.target.value, standardDeduction, saltCap, acquisitionLimit });
+                      }}
+                      className="rounded-xl border border-slate-200 bg-white px-3 py-2"
+                    >
+                      {Object.entries(FILING_STATUSES).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+                    </select>
+                  </label>
+                  <NumberInput label="Marginal rate (%)" value={active.cfg.borrowerTax.marginalPct} onChange={(v)=>updateActiveTax({marginalPct:v})} step={1} issue={fieldIssue("borrowerTax.marginalPct")}/>
+                  <NumberInput label="Standard deduction" value={active.cfg.borrowerTax.standardDeduction} onChange={(v)=>updateActiveTax({standardDeduction:v})} step={500} issue={fieldIssue("borrowerTax.standardDeduction")}/>
+                  <NumberInput label="SALT cap" value={active.cfg.borrowerTax.saltCap} onChange={(v)=>updateActiveTax({saltCap:v})} step={1000} issue={fieldIssue("borrowerTax.saltCap")}/>
+                  <NumberInput label="Acquisition debt limit" value={active.cfg.borrowerTax.acquisitionLimit} onChange={(v)=>updateActiveTax({acquisitionLimit:v})} step={25000} issue={fieldIssue("borrowerTax.acquisitionLimit")}/>
+                  <NumberInput label="Other state/local taxes (yr)" value={active.cfg.borrowerTax.otherSaltAnnual} onChange={(v)=>updateActiveTax({otherSaltAnnual:v})} step={500} issue={fieldIssue("borrowerTax.otherSaltAnnual")}/>
+                  <NumberInput label="Other itemized (yr)" value={active.cfg.borrowerTax.otherItemizedAnnual} onChange={(v)=>updateActiveTax({otherItemizedAnnual:v})} step={500} issue={fieldIssue("borrowerTax.otherItemizedAnnual")}/>
+                  <Toggle label="Family loan secured (interest deductible)" checked={active.cfg.borrowerTax.familyDeductible} onChange={(v)=>updateActiveTax({familyDeductible:v})}/>
+                </div>
+                {active.cfg.borrowerTax.enabled && shown.taxYears.length > 0 && (
+                  <div className="mt-3 grid grid-cols-2 gap-2 text-sm tabular-nums">
+                    <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">Year 1 itemized vs standard</div><div className="font-semibold">{fmt(shown.taxYears[0].itemized)} / {fmt(shown.taxYears[0].standardDeduction)}</div></div>
+                    <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">Year 1 tax savings</div><div className="font-semibold">{fmt(shown.taxYears[0].savings)}</div></div>
+                    <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">Years itemizing</div><div className="font-semibold">{shown.taxYears.filter(y => y.itemizes).length} of {shown.taxYears.length}</div></div>
+                    <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">Total savings (horizon)</div><div className="font-semibold">{fmt(shown.taxYears.reduce((a, y) => a + y.savings, 0))}</div></div>
                   </div>
-                ) : (
-                  <span className="text-slate-500">Hover the chart to see values below.</span>
                 )}
+                <div className="mt-2 text-xs text-slate-500">
+                  Each loan year compares itemizing (mortgage interest on debt up to the limit, property tax within the SALT cap, other items) against the standard deduction;
+                  savings are the extra deduction times the marginal rate. Filing status fills in the 2026 federal amounts. The SALT cap phases down above $500k of income.
+                </div>
+              </div>
+
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex items-center gap-2 text-base font-semibold"><TrendingUp size={16}/> Returns</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <NumberInput label="Horizon (yrs)" value={active.cfg.horizonYears} onChange={(v)=>updateActiveCfg({horizonYears:v})} step={1} min={1} max={60} issue={fieldIssue("horizonYears")}/>
+                  <NumberInput label="Discount rate (%)" value={active.cfg.discountRatePct} onChange={(v)=>updateActiveCfg({discountRatePct:v})} step={0.25} suffix="yr" issue={fieldIssue("discountRatePct")}/>
+                </div>
+                <div className="mt-3 grid grid-cols-2 gap-2 text-sm tabular-nums">
+                  <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">IRR (owner)</div><div className="font-semibold">{fmtPct(shown.irrAnnual)}</div></div>
+                  <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">IRR (household)</div><div className="font-semibold">{fmtPct(shown.irrAnnualHousehold)}</div></div>
+                  <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">NPV (owner)</div><div className="font-semibold">{fmt(shown.npv)}</div></div>
+                  <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">NPV (household)</div><div className="font-semibold">{fmt(shown.npvHousehold)}</div></div>
+                  {active.cfg.borrowerTax.enabled && (
+                    <>
+                      <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">IRR after tax (owner)</div><div className="font-semibold">{fmtPct(shown.irrAnnualAfterTax)}</div></div>
+                      <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">IRR after tax (household)</div><div className="font-semibold">{fmtPct(shown.irrAnnualHouseholdAfterTax)}</div></div>
+                      <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">NPV after tax (owner)</div><div className="font-semibold">{fmt(shown.npvAfterTax)}</div></div>
+                      <div className="rounded-xl bg-slate-50 p-2"><div className="text-xs text-slate-500">NPV after tax (household)</div><div className="font-semibold">{fmt(shown.npvHouseholdAfterTax)}</div></div>
+                    </>
+                  )}
+                </div>
+                <div className="mt-2 text-xs text-slate-500">
+                  Cash flows: down payment, closing costs and points up front, monthly costs, and net sale proceeds (after selling costs and loan payoff) at the end of the horizon.
+                  {(shown.irrAnnual == null || shown.irrAnnualHousehold == null) && " IRR shows n/a when the cash flows have no rate of return (e.g. no sign change)."}
+                  {realPct != null && " IRRs are real rates (after inflation); NPVs are in dollars at closing either way."}
+                </div>
               </div>
+            </DraftReport.Provider>
+          </section>
+
+          {/* Charts */}
+          <section className="lg:col-span-2 space-y-6">
+            <div className="no-print flex flex-wrap items-center gap-2">
+              <span className="text-sm text-slate-600">View:</span>
+              <button onClick={()=>setView("compare")} className={`rounded-full px-3 py-1 text-sm ${view==="compare"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Scenario charts</button>
+              <button onClick={()=>setView("diff")} className={`rounded-full px-3 py-1 text-sm ${view==="diff"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Compare</button>
+              <button onClick={()=>setView("schedule")} className={`rounded-full px-3 py-1 text-sm ${view==="schedule"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Schedule</button>
+              <button onClick={()=>setView("rentVsBuy")} className={`rounded-full px-3 py-1 text-sm ${view==="rentVsBuy"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Rent vs buy</button>
+              <button onClick={()=>setView("afford")} className={`rounded-full px-3 py-1 text-sm ${view==="afford"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Affordability</button>
+              <button onClick={()=>setView("simulate")} className={`rounded-full px-3 py-1 text-sm ${view==="simulate"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Simulation</button>
+              <button onClick={()=>setView("sensitivity")} className={`rounded-full px-3 py-1 text-sm ${view==="sensitivity"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Sensitivity</button>
+              <button onClick={()=>setView("pricing")} className={`rounded-full px-3 py-1 text-sm ${view==="pricing"?"bg-indigo-600 text-white":"bg-white border border-slate-200"}`}>Rate &amp; points</button>
             </div>
 
-            {/* Monthly Cost Breakdown (bars across scenarios) */}
-            <MonthlyCostBars costBars={costBars} costHover={costHover} setCostHover={setCostHover} />
+            {result.invalid && <InvalidInputs issues={result.warnings} name={active.name} />}
+
+            {view === "diff" && (
+              <ScenarioDiff settings={diffSettings} onChange={setDiffSettings} scenarios={scenarios} />
+            )}
+
+            {!result.invalid && view === "schedule" && (
+              <ScheduleTable rows={shown.rows} payments={shown.payments} cfg={activeCfg} name={active.name} />
+            )}
+
+            {!result.invalid && view === "rentVsBuy" && (
+              <RentVsBuy settings={rentSettings} onChange={setRentSettings} lines={rentLines} inflationPct={realPct} />
+            )}
+
+            {!result.invalid && view === "afford" && (
+              <Affordability settings={affordSettings} onChange={setAffordSettings} cfg={activeCfg} name={active.name} />
+            )}
+
+            {!result.invalid && view === "simulate" && (
+              <MonteCarlo settings={simSettings} onChange={setSimSettings} cfg={activeCfg} name={active.name} />
+            )}
+
+            {!result.invalid && view === "sensitivity" && (
+              <Sensitivity settings={sensitivitySettings} onChange={setSensitivitySettings} cfg={activeCfg} name={active.name} />
+            )}
+
+            {!result.invalid && view === "pricing" && (
+              <RatePricing
+                settings={pricingSettings}
+                onChange={setPricingSettings}
+                cfg={activeCfg}
+                name={active.name}
+                onApply={(o) => updateActiveCfg({ bankType: "fixed", bankRate: o.rate, pointsPct: o.points, buydown: { ...active.cfg.buydown, type: o.buydown } })}
+              />
+            )}
+
+            {!result.invalid && view === "compare" && (
+              <>
+                {/* Big-chart toggle */}
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-slate-600">Big chart:</span>
+                  <button onClick={()=>setChartMode("household")} className={`rounded-full px-3 py-1 text-sm ${chartMode==="household"?"bg-slate-900 text-white":"bg-white border border-slate-200"}`}>Cumulative household cost</button>
+                  <button onClick={()=>setChartMode("interest")} className={`rounded-full px-3 py-1 text-sm ${chartMode==="interest"?"bg-slate-900 text-white":"bg-white border border-slate-200"}`}>Cumulative interest only</button>
+                </div>
+
+                {/* BIG: Compare scenarios */}
+                <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                  <div className="mb-2 text-base font-semibold">
+                    {chartMode === "household" ? "Cumulative household cost" : "Cumulative interest only"} — {compareYears} years{realPct != null && " in real dollars"} (each scenario uses its own Bank/Family selection)
+                  </div>
+                  <div className="h-72 w-full">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart
+                        data={mergedCompare}
+                        onMouseMove={(e)=>{
+                          if (e && e.activePayload && e.activePayload.length) {
+                            const obj = { label: e.activeLabel };
+                            e.activePayload.forEach(pp => { obj[pp.dataKey] = pp.value; });
+                            setBigHover(obj);
+                          } else setBigHover(null);
+                        }}
+                        onMouseLeave={()=>setBigHover(null)}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
+                        <RTooltip content={null} />
+                        <RLegend />
+                        {compareLines.map(line => (
+                          <Line key={line.name} type="monotone" dataKey={line.name} stroke={line.color} strokeWidth={2} dot={false} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="mt-2 text-xs rounded-xl border border-slate-200 bg-slate-50 p-2">
+                    {bigHover ? (
+                      <div className="flex flex-wrap gap-4">
+                        <span className="font-medium">{bigHover.label}</span>
+                        {Object.keys(bigHover).filter(k=>k!=="label").map(k=>(
+                          <span key={k}>{k}: <strong>{fmt(bigHover[k])}</strong></span>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-slate-500">Hover the chart to see values below.</span>
+                    )}
+                  </div>
+                </div>
+
+                {/* Interest Earned: Family (raw or net) vs Bank */}
+                <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                  <div className="mb-2 flex items-center gap-3 text-base font-semibold">
+                    <span>Interest Earned — {active.name} - 30yr{realPct != null && ", real dollars"}</span>
+                    <label className="flex items-center gap-2 text-xs font-normal text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={includeReinvest}
+                        onChange={(e)=>setIncludeReinvest(e.target.checked)}
+                      />
+                      Include reinvest on family line
+                    </label>
+                    <label className="flex items-center gap-2 text-xs font-normal text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={showNetVsBank}
+                        onChange={(e)=>setShowNetVsBank(e.target.checked)}
+                      />
+                      Show net vs bank
+                    </label>
+                  </div>
+                  <div className="h-64 w-full">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart
+                        data={interestEarnedData}
+                        onMouseMove={(e) => {
+                          if (e && e.activePayload && e.activePayload.length) {
+                            const p = e.activePayload;
+                            const obj = { label: e.activeLabel };
+                            p.forEach(pp => { obj[pp.dataKey] = pp.value; });
+                            setInterestHover(obj);
+                          } else setInterestHover(null);
+                        }}
+                        onMouseLeave={() => setInterestHover(null)}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis tickFormatter={fmt} />
+                        <RTooltip content={null} />
+                        <RLegend />
+                        <Line type="monotone" dataKey="Family Interest" strokeWidth={2} dot={false} />
+                        <Line type="monotone" dataKey="Bank Interest" strokeWidth={2} dot={false} strokeDasharray="6 4" />
+                        <ReferenceLine y={0} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="mt-2 text-xs rounded-xl border border-slate-200 bg-slate-50 p-2">
+                    {interestHover ? (
+                      <div className="flex flex-wrap gap-4">
+                        <span className="font-medium">{interestHover.label}</span>
+                        <span>
+                          Family Interest{showNetVsBank ? " (net of bank)" : ""}:{" "}
+                          <strong>{fmt(interestHover["Family Interest"])}</strong>
+                        </span>
+                        <span>Bank Interest: <strong>{fmt(interestHover["Bank Interest"])}</strong></span>
+                      </div>
+                    ) : (
+                      <span className="text-slate-500">Hover the chart to see values below.</span>
+                    )}
+                  </div>
+                </div>
+
+                {/* ARM rate path for the active scenario */}
+                {active.cfg.bankType === "arm" && (
+                  <ArmRatePath rows={result.rows} arm={activeCfg.arm} startDate={activeCfg.startDate} name={active.name} />
+                )}
+
+                {/* Home value vs. what is still owed */}
+                <HomeValueChart rows={shown.rows} name={active.name} />
+
+                {/* Monthly Cost Breakdown (bars across scenarios) */}
+                <MonthlyCostBars costBars={costBars} costHover={costHover} setCostHover={setCostHover} real={realPct != null} />
+
+                {/* Refinance break-even for the active scenario */}
+                {refiSummary && <RefiSummary summary={refiSummary} startDate={activeCfg.startDate} name={active.name} />}
+                {activeCfg.family.amount > 0 && <GiftExposure rows={result.rows} family={activeCfg.family} name={active.name} />}
+
+                {/* Prepayment impact vs. the same scenario without prepayments */}
+                <PrepayImpactTable rows={prepayRows} real={realPct != null} />
+                {frequencyRows.length > 0 && <FrequencyImpactTable rows={frequencyRows} real={realPct != null} />}
+
+                {/* IRR / NPV by scenario */}
+                <ReturnsTable rows={returnsRows} activeId={active.id} />
+              </>
+            )}
           </section>
         </div>
       </main>
@@ -781,11 +1185,46 @@ export default function MortgageScenarioPro() {
   );
 }
 
-/* ---- Extracted component ---- */
-function MonthlyCostBars({ costBars, costHover, setCostHover }) {
+/* ---- Extracted components ---- */
+function InvalidInputs({ issues, name }) {
+  return (
+    <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-800 shadow-sm">
+      <div className="mb-1 font-semibold">Charts are paused — {name} has inputs that can't be modelled</div>
+      <ul className="list-disc pl-5">
+        {issues.filter(i => i.severity === "error").map((i, idx) => (
+          <li key={`${i.path}-${idx}`}><span className="font-mono text-xs">{i.path}</span>: {i.message}</li>
+        ))}
+      </ul>
+      <div className="mt-2 text-xs">Fix the highlighted fields on the left and the charts come back.</div>
+    </div>
+  );
+}
+
+function Notice({ notice, onClose }) {
+  const tone = notice.tone === "error"
+    ? "border-rose-200 bg-rose-50 text-rose-800"
+    : "border-indigo-200 bg-indigo-50 text-indigo-800";
+  return (
+    <div className="mx-auto max-w-7xl px-4 pt-4">
+      <div className={`rounded-xl border p-3 text-sm ${tone}`}>
+        <div className="flex items-start justify-between gap-3">
+          <span className="font-medium">{notice.title}</span>
+          <button onClick={onClose} title="Dismiss"><X size={16}/></button>
+        </div>
+        {notice.lines.length > 0 && (
+          <ul className="mt-1 max-h-40 list-disc overflow-y-auto pl-5 text-xs">
+            {notice.lines.map((l, i) => <li key={i} className="break-all">{l}</li>)}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MonthlyCostBars({ costBars, costHover, setCostHover, real }) {
   return (
     <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-      <div className="mb-2 text-base font-semibold">Monthly Cost Breakdown — current month (by scenario)</div>
+      <div className="mb-2 text-base font-semibold">Monthly Cost Breakdown — current month (by scenario){real && ", real dollars"}</div>
       <div className="h-72 w-full">
         <ResponsiveContainer width="100%" height="100%">
           <BarChart
@@ -807,6 +1246,7 @@ function MonthlyCostBars({ costBars, costHover, setCostHover }) {
             <RTooltip content={null} />
             <RLegend />
             <Bar dataKey="Bank"        stackId="a" fill={BAR_COLORS.Bank} />
+            <Bar dataKey="Prepay"      stackId="a" fill={BAR_COLORS.Prepay} />
             <Bar dataKey="Family"      stackId="a" fill={BAR_COLORS.Family} />
             <Bar dataKey="PMI"         stackId="a" fill={BAR_COLORS.PMI} />
             <Bar dataKey="Tax"         stackId="a" fill={BAR_COLORS.Tax} />
@@ -821,7 +1261,7 @@ function MonthlyCostBars({ costBars, costHover, setCostHover }) {
         {costHover ? (
           <div className="flex flex-wrap gap-4">
             <span className="font-medium">{costHover.label}</span>
-            {["Bank","Family","PMI","Tax","Insurance","HOA","Maintenance","Utilities"].map(k => (
+            {["Bank","Prepay","Family","PMI","Tax","Insurance","HOA","Maintenance","Utilities"].map(k => (
               <span key={k}>{k}: <strong>{fmt(costHover[k])}</strong></span>
             ))}
           </div>
@@ -832,3 +1272,214 @@ function MonthlyCostBars({ costBars, costHover, setCostHover }) {
     </div>
   );
 }
+
+function PrepayImpactTable({ rows, real }) {
+  const payoff = (r, m) => m == null ? "Beyond horizon" : `${monthLabel(r.startDate, m)} (mo ${m})`;
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Prepayment impact — bank loan (vs. no prepayment){real && ", interest in real dollars"}</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead>
+            <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+              <th className="py-1 pr-3 font-medium">Scenario</th>
+              <th className="py-1 pr-3 font-medium">Payoff</th>
+              <th className="py-1 pr-3 font-medium">Without prepay</th>
+              <th className="py-1 pr-3 font-medium text-right">Months saved</th>
+              <th className="py-1 font-medium text-right">Interest saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.id} className="border-b border-slate-100 last:border-0">
+                <td className="py-1 pr-3">{r.name}</td>
+                <td className="py-1 pr-3">{payoff(r, r.payoffMonth)}</td>
+                <td className="py-1 pr-3 text-slate-500">{payoff(r, r.basePayoffMonth)}</td>
+                <td className="py-1 pr-3 text-right">{r.monthsSaved}</td>
+                <td className="py-1 text-right font-medium">{fmt(r.interestSaved)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function FrequencyImpactTable({ rows, real }) {
+  const payoff = (r, m) => m == null ? "Beyond horizon" : `${monthLabel(r.startDate, m)} (mo ${m})`;
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Payment frequency — bank loan (vs. monthly){real && ", interest in real dollars"}</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead>
+            <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+              <th className="py-1 pr-3 font-medium">Scenario</th>
+              <th className="py-1 pr-3 font-medium">Frequency</th>
+              <th className="py-1 pr-3 font-medium text-right">Per payment{real && " (nominal)"}</th>
+              <th className="py-1 pr-3 font-medium">Payoff</th>
+              <th className="py-1 pr-3 font-medium">Monthly payoff</th>
+              <th className="py-1 pr-3 font-medium text-right">Months sooner</th>
+              <th className="py-1 font-medium text-right">Interest saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.id} className="border-b border-slate-100 last:border-0">
+                <td className="py-1 pr-3">{r.name}</td>
+                <td className="py-1 pr-3">{PAYMENT_FREQUENCIES[r.frequency]?.label}</td>
+                <td className="py-1 pr-3 text-right">
+                  {r.periodPayment == null ? "—" : fmt(r.periodPayment)}
+                  {r.monthlyPayment != null && <span className="text-xs text-slate-500"> vs {fmt(r.monthlyPayment)}/mo</span>}
+                </td>
+                <td className="py-1 pr-3">{payoff(r, r.payoffMonth)}</td>
+                <td className="py-1 pr-3 text-slate-500">{payoff(r, r.monthlyPayoffMonth)}</td>
+                <td className="py-1 pr-3 text-right">{r.monthsSooner}</td>
+                <td className="py-1 text-right font-medium">{fmt(r.interestSaved)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        Standard bi-weekly and semi-monthly plans save a little interest by paying sooner within each month;
+        accelerated bi-weekly adds the equivalent of one extra monthly payment a year.
+      </div>
+    </div>
+  );
+}
+
+function ArmRatePath({ rows, arm, startDate, name }) {
+  const forecast = arm?.indexForecast ?? [];
+  const data = rows.map(r => {
+    const idx = forecast[r.year - 1] ?? forecast[forecast.length - 1] ?? 0;
+    return {
+      name: monthLabel(startDate, r.m),
+      "Note rate": r.bankRate,
+      "Fully indexed": +(idx + (arm?.margin ?? 0)).toFixed(3),
+    };
+  });
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">ARM rate path — {name}</div>
+      <div className="h-56 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" minTickGap={40} />
+            <YAxis tickFormatter={(v)=>`${v}%`} domain={["auto", "auto"]} />
+            <RTooltip formatter={(v)=>`${v}%`} />
+            <RLegend />
+            <Line type="stepAfter" dataKey="Note rate" stroke={BAR_COLORS.Bank} strokeWidth={2} dot={false} />
+            <Line type="stepAfter" dataKey="Fully indexed" stroke="#94a3b8" strokeWidth={1} dot={false} strokeDasharray="6 4" />
+            <ReferenceLine x={monthLabel(startDate, (arm?.fixedMonths ?? 12) + 1)} stroke="#f59e0b" label={{ value: "First reset", fontSize: 11, position: "insideTopRight" }} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function ReturnsTable({ rows, activeId }) {
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Returns by scenario — IRR & NPV</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead>
+            <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+              <th className="py-1 pr-3 font-medium">Scenario</th>
+              <th className="py-1 pr-3 font-medium text-right">Horizon</th>
+              <th className="py-1 pr-3 font-medium text-right">Discount</th>
+              <th className="py-1 pr-3 font-medium text-right">IRR owner</th>
+              <th className="py-1 pr-3 font-medium text-right">IRR household</th>
+              <th className="py-1 pr-3 font-medium text-right">NPV owner</th>
+              <th className="py-1 pr-3 font-medium text-right">NPV household</th>
+              <th className="py-1 pr-3 font-medium text-right">IRR after tax</th>
+              <th className="py-1 font-medium text-right">NPV after tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.id} className={`border-b border-slate-100 last:border-0 ${r.id === activeId ? "bg-indigo-50" : ""}`}>
+                <td className="py-1 pr-3">{r.name}</td>
+                <td className="py-1 pr-3 text-right">{r.horizonYears} yr</td>
+                <td className="py-1 pr-3 text-right">{r.discountRatePct}%</td>
+                <td className="py-1 pr-3 text-right">{fmtPct(r.irrAnnual)}</td>
+                <td className="py-1 pr-3 text-right">{fmtPct(r.irrAnnualHousehold)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(r.npv)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(r.npvHousehold)}</td>
+                <td className="py-1 pr-3 text-right">{r.taxModelled ? fmtPct(r.irrAnnualAfterTax) : "—"}</td>
+                <td className="py-1 text-right">{r.taxModelled ? fmt(r.npvAfterTax) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function HomeValueChart({ rows, name }) {
+  const data = rows.filter(r => r.m % 12 === 0).map(r => ({
+    name: `Y${r.year}`,
+    "Home value": r.homeValue,
+    "Bank balance": r.bankBalance,
+    "Family balance": r.famBalance,
+    "Net sale proceeds": r.netSaleProceeds,
+  }));
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Home value vs loan balances — {name}</div>
+      <div className="h-64 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
+            <RTooltip formatter={(v)=>fmt(v)} />
+            <RLegend />
+            <Line type="monotone" dataKey="Home value" stroke="#0f172a" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="Bank balance" stroke={BAR_COLORS.Bank} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="Family balance" stroke={BAR_COLORS.Family} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="Net sale proceeds" stroke="#94a3b8" strokeWidth={1} strokeDasharray="6 4" dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function RefiSummary({ summary, startDate, name }) {
+  const when = (m) => m == null ? "Never" : `${monthLabel(startDate, m)} (mo ${m})`;
+  const diff = summary.interestDifference;
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Refinance analysis — {name}, {monthLabel(startDate, summary.month)}</div>
+      <div className="grid grid-cols-2 gap-2 text-sm tabular-nums md:grid-cols-4">
+        <div className="rounded-xl bg-slate-50 p-2">
+          <div className="text-xs text-slate-500">Payment</div>
+          <div className="font-semibold">{fmt(summary.oldPayment)} → {fmt(summary.newPayment)}</div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-2">
+          <div className="text-xs text-slate-500">Monthly savings</div>
+          <div className={`font-semibold ${summary.monthlySavings < 0 ? "text-rose-600" : ""}`}>{fmt(summary.monthlySavings)}</div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-2">
+          <div className="text-xs text-slate-500">Break-even on costs</div>
+          <div className="font-semibold">{when(summary.breakEvenMonth)}</div>
+          {summary.monthsToBreakEven != null && <div className="text-xs text-slate-500">{summary.monthsToBreakEven} months after refinancing</div>}
+        </div>
+        <div className="rounded-xl bg-slate-50 p-2">
+          <div className="text-xs text-slate-500">Lifetime interest</div>
+          <div className={`font-semibold ${diff > 0 ? "text-rose-600" : "text-emerald-700"}`}>{diff > 0 ? "+" : "−"}{fmt(Math.abs(diff))}</div>
+          <div className="text-xs text-slate-500">vs. not refinancing</div>
+        </div>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        New balance {fmt(summary.newBalance)}. Payoff {when(summary.payoffMonth)} vs. {when(summary.basePayoffMonth)} without the refinance.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+/* =============== Scenario diff: differing inputs and outcome deltas =============== */
+import { buildSchedule, configForVariant } from "./engine.js";
+
+// Leaf paths of a config: [["family.rate", 4.5], ...]; arrays count as one value
+function leaves(obj, prefix = "") {
+  return Object.entries(obj ?? {}).flatMap(([k, v]) => {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v !== null && typeof v === "object" && !Array.isArray(v)) return leaves(v, path);
+    return [[path, v]];
+  });
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Inputs that are not identical across scenarios ({ cfg, variant }).
+ * Returns [{ path, values }] in config order, values aligned with `scenarios`
+ * (undefined where a scenario lacks the field). The Bank/Family choice is listed as "variant".
+ */
+export function configDiff(scenarios) {
+  const maps = scenarios.map(s => new Map([["variant", s.variant], ...leaves(s.cfg)]));
+  const paths = [...new Set(maps.flatMap(m => [...m.keys()]))];
+  return paths
+    .map(path => ({ path, values: maps.map(m => m.get(path)) }))
+    .filter(({ values }) => values.some(v => !sameValue(v, values[0])));
+}
+
+const equityAt = (years) => (res) => res.rows[years * 12 - 1]?.equity ?? null;
+
+// Compared outcomes; `better` says which direction of delta is favourable
+export const DIFF_OUTCOMES = [
+  { key: "firstPayment", label: "First-month payment", kind: "money", better: "lower", get: (res) => res.rows[0]?.totalMonthly ?? null },
+  {
+    key: "maxPayment", label: "Max monthly payment", kind: "money", better: "lower",
+    get: (res) => res.rows.length ? Math.max(...res.rows.map(r => r.totalMonthly)) : null,
+  },
+  {
+    key: "totalInterest", label: "Total interest", kind: "money", better: "lower",
+    get: (res) => res.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0),
+  },
+  { key: "payoffMonth", label: "Bank payoff month", kind: "months", better: "lower", get: (res) => res.payoffMonth },
+  { key: "pmiMonths", label: "PMI months", kind: "months", better: "lower", get: (res) => res.rows.filter(r => r.pmi > 0).length },
+  { key: "equity5", label: "Equity @ 5 years", kind: "money", better: "higher", get: equityAt(5) },
+  { key: "equity10", label: "Equity @ 10 years", kind: "money", better: "higher", get: equityAt(10) },
+  { key: "equity30", label: "Equity @ 30 years", kind: "money", better: "higher", get: equityAt(30) },
+  { key: "irr", label: "IRR owner", kind: "pct", better: "higher", get: (res) => res.irrAnnual },
+  { key: "irrHousehold", label: "IRR household", kind: "pct", better: "higher", get: (res) => res.irrAnnualHousehold },
+  { key: "npv", label: "NPV owner", kind: "money", better: "higher", get: (res) => res.npv },
+  { key: "npvHousehold", label: "NPV household", kind: "money", better: "higher", get: (res) => res.npvHousehold },
+];
+
+/**
+ * Outcome table for scenarios against `baselineIndex`.
+ * Returns [{ key, label, kind, better, values, deltas }]; a delta is null for the baseline
+ * itself and wherever either side has no value (no payoff, IRR without a solution, short horizon,
+ * or a scenario whose inputs fail validation).
+ */
+export function outcomeDiff(scenarios, baselineIndex = 0) {
+  const results = scenarios.map(s => buildSchedule(configForVariant(s.cfg, s.variant)));
+  return DIFF_OUTCOMES.map(({ key, label, kind, better, get }) => {
+    const values = results.map(res => res.invalid ? null : get(res));
+    const base = values[baselineIndex];
+    const deltas = values.map((v, i) => i === baselineIndex || v == null || base == null ? null : v - base);
+    return { key, label, kind, better, values, deltas };
+  });
+}
@@ -0,0 +1,97 @@
+import React, { useMemo } from "react";
+import { affordability, DTI_PRESETS } from "../engine";
+import { fmt, NumberInput } from "../ui";
+
+export const AFFORD_DEFAULTS = {
+  incomeAnnual: 250_000,
+  otherDebtsMonthly: 800,
+  ...DTI_PRESETS.conventional,
+  program: "conventional",
+};
+
+const pct = (v) => isFinite(v) ? `${(v * 100).toFixed(1)}%` : "n/a";
+
+function Badge({ ok }) {
+  return ok
+    ? <span className="rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-700">Pass</span>
+    : <span className="rounded-full bg-rose-100 px-2 py-0.5 text-xs font-medium text-rose-700">Fail</span>;
+}
+
+/* ---- Affordability: DTI check and maximum price for the active scenario ---- */
+export default function Affordability({ settings, onChange, cfg, name }) {
+  const res = useMemo(() => affordability(cfg, settings), [cfg, settings]);
+  const set = (key) => (v) => onChange({ ...settings, [key]: v, program: key.endsWith("Pct") ? "custom" : settings.program });
+  const income = settings.incomeAnnual / 12;
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+          <div className="text-base font-semibold">Affordability — income & DTI limits</div>
+          <div className="flex gap-1">
+            {Object.entries(DTI_PRESETS).map(([id, p]) => (
+              <button
+                key={id}
+                onClick={()=>onChange({ ...settings, frontPct: p.frontPct, backPct: p.backPct, program: id })}
+                className={`rounded-full px-3 py-1 text-xs ${settings.program===id?"bg-slate-900 text-white":"bg-white border border-slate-200"}`}
+              >{p.label} {p.frontPct}/{p.backPct}</button>
+            ))}
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+          <NumberInput label="Gross income (yr)" value={settings.incomeAnnual} onChange={set("incomeAnnual")} step={5000}/>
+          <NumberInput label="Other debts (mo)" value={settings.otherDebtsMonthly} onChange={set("otherDebtsMonthly")} step={50}/>
+          <NumberInput label="Front-end limit (%)" value={settings.frontPct} onChange={set("frontPct")} step={1}/>
+          <NumberInput label="Back-end limit (%)" value={settings.backPct} onChange={set("backPct")} step={1}/>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Housing = bank + family loan payments, PMI, property tax, insurance and HOA in the first month.
+          Back-end adds the other monthly debts.
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+          <div className="mb-2 text-base font-semibold">{name} — current DTI</div>
+          <table className="w-full text-sm tabular-nums">
+            <tbody>
+              <tr className="border-b border-slate-100">
+                <td className="py-1 text-slate-600">Housing (mo)</td>
+                <td className="py-1 text-right">{fmt(res.housing)}</td>
+                <td />
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-1 text-slate-600">Front-end ({settings.frontPct}% max)</td>
+                <td className="py-1 text-right font-medium">{pct(res.frontRatio)}</td>
+                <td className="py-1 pl-3 text-right"><Badge ok={res.frontOk} /></td>
+              </tr>
+              <tr>
+                <td className="py-1 text-slate-600">Back-end ({settings.backPct}% max)</td>
+                <td className="py-1 text-right font-medium">{pct(res.backRatio)}</td>
+                <td className="py-1 pl-3 text-right"><Badge ok={res.backOk} /></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="rounded-2xl border border-indigo-300 bg-indigo-50 p-4 shadow-sm">
+          <div className="mb-2 text-base font-semibold">Maximum purchase</div>
+          {res.maxPrice === null ? (
+            <div className="text-sm text-slate-600">
+              The limits leave {fmt(res.maxHousing)} a month for housing, which does not cover costs at any price these down payment and family loan amounts allow.
+            </div>
+          ) : (
+            <div className="space-y-1 text-sm tabular-nums">
+              <div className="flex justify-between"><span className="text-slate-600">Home price</span><span className="text-xl font-semibold">{fmt(res.maxPrice)}</span></div>
+              <div className="flex justify-between"><span className="text-slate-600">Bank + family loans</span><span className="font-medium">{fmt(res.maxLoan)}</span></div>
+              <div className="flex justify-between"><span className="text-slate-600">Housing budget (mo)</span><span>{fmt(res.maxHousing)}</span></div>
+              <div className="text-xs text-slate-500">
+                Limited by the {res.limitedBy}-end ratio on {fmt(income)} monthly income, keeping this scenario's down payment, rates and cost inputs.
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
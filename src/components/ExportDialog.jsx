@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { Download, X } from "lucide-react";
+import { exportItems, longFormatCSV, scenarioWorkbook, scheduleJSON } from "../exporters";
+import { downloadBlob, downloadJSON } from "../persistence";
+
+const FORMATS = [
+  { id: "xlsx", label: "Excel workbook (.xlsx)", hint: "Comparison sheet, plus inputs, monthly and annual sheets for each scenario." },
+  { id: "json", label: "Schedule JSON", hint: "Engine input and full buildSchedule output (rows, IRR, NPV, …) per scenario." },
+  { id: "csv", label: "Combined CSV (long format)", hint: "All monthly rows in one table with Scenario and Variant columns." },
+];
+
+const fileStem = (items) => items.length === 1 ? items[0].name.replace(/[^\w-]+/g, "_") : "mortgage_scenarios";
+
+/* ---- Export dialog: pick scenarios and a format ---- */
+export default function ExportDialog({ scenarios, activeId, inflationPct = null, onClose }) {
+  const [format, setFormat] = useState("xlsx");
+  const [selected, setSelected] = useState(() => new Set([activeId]));
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  function runExport() {
+    const items = exportItems(scenarios.filter(s => selected.has(s.id)), inflationPct);
+    const stem = fileStem(items);
+    if (format === "xlsx") {
+      const type = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+      downloadBlob(new Blob([scenarioWorkbook(items)], { type }), `${stem}.xlsx`);
+    } else if (format === "json") {
+      downloadJSON(scheduleJSON(items), `${stem}_schedule.json`);
+    } else {
+      downloadBlob(new Blob([longFormatCSV(items)], { type: "text/csv;charset=utf-8;" }), `${stem}_schedule.csv`);
+    }
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div className="w-full max-w-lg rounded-2xl border border-slate-200 bg-white p-5 shadow-xl" onClick={(e)=>e.stopPropagation()}>
+        <div className="mb-4 flex items-center justify-between">
+          <div className="text-base font-semibold">Export</div>
+          <button onClick={onClose} title="Close"><X size={16}/></button>
+        </div>
+
+        <div className="mb-1 text-sm text-slate-600">Format</div>
+        <div className="space-y-2">
+          {FORMATS.map(f => (
+            <label key={f.id} className={`flex cursor-pointer gap-2 rounded-xl border p-2 text-sm ${format===f.id?"border-indigo-300 bg-indigo-50":"border-slate-200"}`}>
+              <input type="radio" name="export-format" checked={format===f.id} onChange={()=>setFormat(f.id)} />
+              <span>
+                <span className="font-medium">{f.label}</span>
+                <span className="block text-xs text-slate-500">{f.hint}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="mb-1 mt-4 flex items-center justify-between text-sm text-slate-600">
+          <span>Scenarios</span>
+          <button onClick={()=>setSelected(new Set(scenarios.map(s => s.id)))} className="text-xs text-indigo-600 hover:underline">Select all</button>
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {scenarios.map(s => (
+            <label key={s.id} className="flex items-center gap-1">
+              <input type="checkbox" checked={selected.has(s.id)} onChange={()=>toggle(s.id)} />
+              {s.name}
+            </label>
+          ))}
+        </div>
+        {inflationPct != null && (
+          <div className="mt-3 text-xs text-slate-500">Amounts are exported in real dollars at closing ({inflationPct}% inflation), as shown on screen.</div>
+        )}
+
+        <div className="mt-5 flex justify-end gap-2 text-sm">
+          <button onClick={onClose} className="rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100">Cancel</button>
+          <button
+            onClick={runExport}
+            disabled={selected.size === 0}
+            className="inline-flex items-center gap-2 rounded-xl bg-indigo-600 px-3 py-2 font-medium text-white hover:bg-indigo-700 disabled:opacity-50"
+          ><Download size={16}/> Export</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useMemo } from "react";
+import { familyGiftReport } from "../engine";
+import { fmt } from "../ui";
+
+const TERM_LABELS = { short: "short-term", mid: "mid-term", long: "long-term" };
+
+/* ---- Family loan gift exposure: forgone interest below the AFR plus forgiveness, by year ---- */
+export default function GiftExposure({ rows, family, name }) {
+  const report = useMemo(() => familyGiftReport(rows, family), [rows, family]);
+  const last = report.years[report.years.length - 1];
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">Family loan gift exposure — {name}</div>
+      <div className="mb-3 text-sm">
+        {report.belowAFR
+          ? <span className="text-rose-700">Rate {family.rate}% is below the {TERM_LABELS[report.afrTerm]} AFR of {report.afrPct}% — the forgone interest counts as a gift.</span>
+          : <span className="text-emerald-700">Rate {family.rate}% meets the {TERM_LABELS[report.afrTerm]} AFR of {report.afrPct}%.</span>}
+        <span className="text-slate-500"> Annual exclusion: {fmt(report.exclusion)} ({family.lenders} lender(s) × {family.borrowers} borrower(s)).</span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead>
+            <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+              <th className="py-1 pr-3 font-medium">Year</th>
+              <th className="py-1 pr-3 font-medium text-right">Interest charged</th>
+              <th className="py-1 pr-3 font-medium text-right">Interest at AFR</th>
+              <th className="py-1 pr-3 font-medium text-right">Forgone interest</th>
+              <th className="py-1 pr-3 font-medium text-right">Forgiven</th>
+              <th className="py-1 pr-3 font-medium text-right">Total gift</th>
+              <th className="py-1 pr-3 font-medium text-right">Over exclusion</th>
+              <th className="py-1 font-medium text-right">Exemption left</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.years.map(y => (
+              <tr key={y.year} className={`border-b border-slate-100 last:border-0 ${y.taxableGift > 0 ? "bg-rose-50" : ""}`}>
+                <td className="py-1 pr-3">Y{y.year}</td>
+                <td className="py-1 pr-3 text-right">{fmt(y.interestCharged)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(y.interestAtAFR)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(y.forgoneInterest)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(y.forgiven)}</td>
+                <td className="py-1 pr-3 text-right font-medium">{fmt(y.gift)}</td>
+                <td className="py-1 pr-3 text-right">{fmt(y.taxableGift)}</td>
+                <td className="py-1 text-right">{fmt(y.exemptionLeft)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        {last && last.cumulativeTaxable > 0
+          ? `${fmt(last.cumulativeTaxable)} of gifts over the exclusion across the horizon — each of those years needs a gift tax return (Form 709). `
+          : "All gifts stay within the annual exclusion. "}
+        Forgone interest uses the month-start balance at the AFR for the loan term; the lender may also have imputed interest income to report.
+      </div>
+    </div>
+  );
+}
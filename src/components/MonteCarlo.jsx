@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  XAxis, YAxis, CartesianGrid, Tooltip as RTooltip, Legend as RLegend,
+  ComposedChart, Area, Line, ResponsiveContainer,
+} from "recharts";
+import { fmt, fmtPct, NumberInput } from "../ui";
+
+export const SIM_DEFAULTS = {
+  runs: 500,
+  seed: 42,
+  indexMeanPct: 3.0,
+  indexVolPct: 0.75,
+  appreciationMeanPct: 3.0,
+  appreciationVolPct: 5.0,
+  returnMeanPct: 6.0,
+  returnVolPct: 15.0,
+};
+
+function BandChart({ title, data, color }) {
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-base font-semibold">{title}</div>
+      <div className="h-72 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
+            <RTooltip formatter={(v)=>Array.isArray(v) ? `${fmt(v[0])} – ${fmt(v[1])}` : fmt(v)} />
+            <RLegend />
+            <Area type="monotone" dataKey="band" name="P10 – P90" stroke="none" fill={color} fillOpacity={0.2} />
+            <Line type="monotone" dataKey="p50" name="Median (P50)" stroke={color} strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+/* ---- Monte Carlo: percentile bands over random index, appreciation and return paths ---- */
+export default function MonteCarlo({ settings, onChange, cfg, name }) {
+  const [run, setRun] = useState(null);          // { key, result }
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const runId = useRef(0);
+
+  const key = JSON.stringify([cfg, settings]);
+  const stale = run && run.key !== key;
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const start = () => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL("../simulation.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    const id = ++runId.current;
+    setError(null);
+    setProgress({ done: 0, total: settings.runs });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== id) return;
+      if (msg.type === "progress") {
+        setProgress({ done: msg.done, total: msg.total });
+        return;
+      }
+      if (msg.type === "done") setRun({ key, result: msg.result });
+      else setError(msg.message);
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "Simulation worker failed");
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.postMessage({ id, cfg, settings });
+  };
+
+  const cancel = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+
+  const result = run?.result;
+  const toSeries = (field) => (result?.years ?? []).map(y => ({
+    name: `Y${y.year}`,
+    band: [y[field].p10, y[field].p90],
+    p50: y[field].p50,
+  }));
+  const paymentData = useMemo(() => toSeries("payment"), [result]);
+  const costData = useMemo(() => toSeries("cost"), [result]);
+
+  const set = (k) => (v) => onChange({ ...settings, [k]: v });
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+          <div className="text-base font-semibold">Simulation — {name}</div>
+          <div className="flex items-center gap-2">
+            {progress && (
+              <span className="text-xs text-slate-500 tabular-nums">{progress.done} / {progress.total} runs</span>
+            )}
+            {progress
+              ? <button onClick={cancel} className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm">Cancel</button>
+              : <button onClick={start} className="rounded-xl bg-indigo-600 px-3 py-2 text-sm text-white hover:bg-indigo-700">Run simulation</button>}
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+          <NumberInput label="Runs" value={settings.runs} onChange={set("runs")} step={100} min={1} max={10000}/>
+          <NumberInput label="Seed" value={settings.seed} onChange={set("seed")} step={1}/>
+          <NumberInput label="ARM index mean (%)" value={settings.indexMeanPct} onChange={set("indexMeanPct")} step={0.25}/>
+          <NumberInput label="Index volatility (%)" value={settings.indexVolPct} onChange={set("indexVolPct")} step={0.25} suffix="yr"/>
+          <NumberInput label="Appreciation mean (%)" value={settings.appreciationMeanPct} onChange={set("appreciationMeanPct")} step={0.25}/>
+          <NumberInput label="Appreciation volatility (%)" value={settings.appreciationVolPct} onChange={set("appreciationVolPct")} step={0.5} suffix="yr"/>
+          <NumberInput label="Return mean (%)" value={settings.returnMeanPct} onChange={set("returnMeanPct")} step={0.25}/>
+          <NumberInput label="Return volatility (%)" value={settings.returnVolPct} onChange={set("returnVolPct")} step={0.5} suffix="yr"/>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Each run draws a mean-reverting ARM index path (starting at this scenario's first index value), a yearly appreciation
+          path and one long-run return used for the family alt and reinvest returns. Index draws only matter for ARM loans.
+          The same seed reproduces the same runs.
+        </div>
+        {error && <div className="mt-2 text-xs text-rose-600">{error}</div>}
+        {stale && !progress && (
+          <div className="mt-2 text-xs text-amber-700">Inputs changed since the last run — run again to update.</div>
+        )}
+      </div>
+
+      {result ? (
+        <>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+            {[["P10", "p10"], ["Median", "p50"], ["P90", "p90"]].map(([label, k]) => (
+              <div key={k} className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="text-xs text-slate-500">Household IRR — {label}</div>
+                <div className="mt-1 text-xl font-semibold tabular-nums">{fmtPct(result.irr[k])}</div>
+              </div>
+            ))}
+          </div>
+          <BandChart title="Monthly payment (average per year)" data={paymentData} color="#6366f1" />
+          <BandChart title="Cumulative household cost" data={costData} color="#0ea5e9" />
+          <div className="text-xs text-slate-500">
+            {result.runs} runs.{result.irrFailed > 0 && ` IRR had no solution in ${result.irrFailed} run(s); they are left out of the IRR percentiles.`}
+          </div>
+        </>
+      ) : (
+        <div className="rounded-2xl border border-dashed border-slate-300 p-6 text-center text-sm text-slate-500">
+          Set the assumptions and run the simulation to see P10 / P50 / P90 bands.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useMemo } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { BUYDOWN_TYPES, compareRateOptions } from "../engine";
+import { fmt, NumberInput } from "../ui";
+
+export const PRICING_DEFAULTS = {
+  options: [
+    { rate: 6.75, points: -0.5, buydown: "none" },
+    { rate: 6.5, points: 0, buydown: "none" },
+    { rate: 6.25, points: 0.75, buydown: "none" },
+    { rate: 6.0, points: 1.5, buydown: "none" },
+    { rate: 6.5, points: 0, buydown: "2-1" },
+  ],
+  expectedYears: 7,
+};
+
+const HOLD_YEARS = [3, 5, 10, 15];
+
+const pointsLabel = (p) => p < 0 ? `${-p} pt credit` : `${p} pt`;
+const monthsLabel = (m) => m < 12 ? `${m} mo` : `${Math.floor(m / 12)} yr ${m % 12} mo`;
+
+/* ---- Rate sheet: points / lender credit / buydown options priced over hold periods ---- */
+export default function RatePricing({ settings, onChange, cfg, name, onApply }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const setOption = (i, patch) => set({ options: settings.options.map((o, j) => j === i ? { ...o, ...patch } : o) });
+  const holdYears = useMemo(
+    () => [...new Set([...HOLD_YEARS, settings.expectedYears])].filter(y => y > 0).sort((a, b) => a - b),
+    [settings.expectedYears],
+  );
+
+  const { options, referenceIndex, bestIndex } = useMemo(
+    () => compareRateOptions(cfg, settings.options, { holdYears, expectedYears: settings.expectedYears }),
+    [cfg, settings.options, settings.expectedYears, holdYears],
+  );
+  const ref = options[referenceIndex];
+
+  function breakEven(o, i) {
+    if (i === referenceIndex) return "reference";
+    if (o.upfront == null || ref.upfront == null) return "—";
+    if (o.breakEvenMonth === null) return o.upfront > ref.upfront ? "never" : "ahead throughout";
+    return o.upfront > ref.upfront ? `pays back in ${monthsLabel(o.breakEvenMonth)}` : `ahead for ${monthsLabel(o.breakEvenMonth)}`;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 text-base font-semibold">Rate sheet — {name}</div>
+        <div className="space-y-2">
+          {settings.options.map((o, i) => (
+            <div key={i} className="grid grid-cols-[1fr_1fr_1fr_auto] items-end gap-2">
+              <NumberInput label="Rate (%)" value={o.rate} onChange={(v)=>setOption(i, { rate: v })} step={0.125} min={0}/>
+              <NumberInput label="Points (− = credit)" value={o.points} onChange={(v)=>setOption(i, { points: v })} step={0.125}/>
+              <label className="flex flex-col gap-1 text-sm">
+                <span className="text-slate-600">Buydown</span>
+                <select value={o.buydown} onChange={(e)=>setOption(i, { buydown: e.target.value })} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                  {Object.entries(BUYDOWN_TYPES).map(([id, b]) => <option key={id} value={id}>{b.label}</option>)}
+                </select>
+              </label>
+              <button
+                onClick={()=>set({ options: settings.options.filter((_, j) => j !== i) })}
+                disabled={settings.options.length <= 1}
+                className="mb-2 text-slate-400 hover:text-rose-600 disabled:opacity-30"
+                title="Remove option"
+              ><Trash2 size={16}/></button>
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-end gap-3">
+          <button
+            onClick={()=>set({ options: [...settings.options, { ...settings.options[settings.options.length - 1] }] })}
+            className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm hover:bg-slate-100"
+          ><Plus size={16}/> Add option</button>
+          <div className="w-40">
+            <NumberInput label="Expected hold (yrs)" value={settings.expectedYears} onChange={(v)=>set({ expectedYears: v })} step={1} min={1} max={60}/>
+          </div>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-base font-semibold">Cost by hold period</div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm tabular-nums">
+            <thead>
+              <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+                <th className="py-1 pr-3 font-medium">Option</th>
+                <th className="py-1 pr-3 font-medium text-right">Upfront</th>
+                <th className="py-1 pr-3 font-medium text-right">Payment (mo 1)</th>
+                <th className="py-1 pr-3 font-medium">Break-even</th>
+                {holdYears.map(y => (
+                  <th key={y} className={`py-1 pr-3 font-medium text-right ${y === settings.expectedYears ? "text-indigo-700" : ""}`}>{y} yr</th>
+                ))}
+                <th className="py-1 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {options.map((o, i) => (
+                <tr key={i} className={`border-b border-slate-100 last:border-0 ${i === bestIndex ? "bg-emerald-50" : ""}`}>
+                  <td className="py-1 pr-3">
+                    {o.rate}% · {pointsLabel(o.points)}{o.buydown !== "none" && ` · ${BUYDOWN_TYPES[o.buydown]?.label} buydown`}
+                    {i === bestIndex && <span className="ml-2 text-xs font-medium text-emerald-700">best at {settings.expectedYears} yr</span>}
+                  </td>
+                  <td className="py-1 pr-3 text-right">{o.upfront == null ? "—" : o.upfront < 0 ? `−${fmt(-o.upfront)}` : fmt(o.upfront)}</td>
+                  <td className="py-1 pr-3 text-right">
+                    {o.payment == null ? "—" : fmt(o.payment)}
+                    {o.payment != null && o.payment !== o.notePayment && <span className="text-xs text-slate-500"> → {fmt(o.notePayment)}</span>}
+                  </td>
+                  <td className="py-1 pr-3 text-xs">{breakEven(o, i)}</td>
+                  {holdYears.map(y => (
+                    <td key={y} className={`py-1 pr-3 text-right ${y === settings.expectedYears ? "font-medium" : ""}`}>{o.costs[y] == null ? "—" : fmt(o.costs[y])}</td>
+                  ))}
+                  <td className="py-1 text-right">
+                    <button onClick={()=>onApply(settings.options[i])} className="text-xs text-indigo-600 hover:underline">Use</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Cost = points (or − credit) and any borrower-paid buydown escrow up front, plus bank interest and mortgage insurance, less buydown escrow draws.
+          Each option is priced as a fixed-rate loan on this scenario's loan amount; lender credits count only up to the closing costs.
+          Break-even is against the option nearest par ({ref ? `${ref.rate}%` : "—"}).
+        </div>
+      </div>
+    </div>
+  );
+}
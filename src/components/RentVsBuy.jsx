@@ -0,0 +1,116 @@
+import React, { useMemo } from "react";
+import {
+  XAxis, YAxis, CartesianGrid, Tooltip as RTooltip, Legend as RLegend,
+  LineChart, Line, ResponsiveContainer, ReferenceLine,
+} from "recharts";
+import { rentVsBuy } from "../engine";
+import { fmt, NumberInput } from "../ui";
+
+export const RENT_DEFAULTS = {
+  rentMonthly: 4_500,
+  rentGrowthPct: 3,
+  investReturnPct: 6,
+};
+
+/* ---- Rent vs buy: net worth of renting against each buy scenario ---- */
+// `inflationPct` (null for nominal) restates both net worths in dollars at closing
+export default function RentVsBuy({ settings, onChange, lines, inflationPct = null }) {
+  const comparisons = useMemo(
+    () => lines.map(l => ({ ...l, ...rentVsBuy(l.result, { ...settings, inflationPct }) })),
+    [lines, settings, inflationPct]
+  );
+
+  // Each scenario gets its own rent line: the renter's savings depend on that
+  // scenario's upfront cash and monthly cost.
+  const data = useMemo(() => {
+    const years = Math.max(0, ...comparisons.map(c => c.years.length));
+    return new Array(years).fill(0).map((_, i) => {
+      const row = { name: `Y${i + 1}` };
+      comparisons.forEach(c => {
+        const y = c.years[i];
+        if (!y) return;
+        row[`${c.name} (buy)`] = y.buy;
+        row[`${c.name} (rent)`] = y.rent;
+      });
+      return row;
+    });
+  }, [comparisons]);
+
+  const set = (key) => (v) => onChange({ ...settings, [key]: v });
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 text-base font-semibold">Rent vs buy — assumptions</div>
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-3">
+          <NumberInput label="Current rent (mo)" value={settings.rentMonthly} onChange={set("rentMonthly")} step={50}/>
+          <NumberInput label="Rent growth (%)" value={settings.rentGrowthPct} onChange={set("rentGrowthPct")} step={0.25} suffix="yr"/>
+          <NumberInput label="Investment return (%)" value={settings.investReturnPct} onChange={set("investReturnPct")} step={0.25} suffix="yr"/>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          The renter invests the buyer's down payment, closing costs and points, plus any month where owning costs more than rent.
+          The buyer invests the difference when rent is higher. Buy net worth = net sale proceeds + investments; home appreciation and
+          selling costs come from each scenario's “Value & sale” inputs.
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-base font-semibold">Net worth — renting vs buying (each scenario){inflationPct != null && ", real dollars"}</div>
+        <div className="h-80 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
+              <RTooltip formatter={(v)=>fmt(v)} />
+              <RLegend />
+              {comparisons.map(c => (
+                <Line key={`${c.name}-buy`} type="monotone" dataKey={`${c.name} (buy)`} stroke={c.color} strokeWidth={2} dot={false} />
+              ))}
+              {comparisons.map(c => (
+                <Line key={`${c.name}-rent`} type="monotone" dataKey={`${c.name} (rent)`} stroke={c.color} strokeWidth={1} strokeDasharray="6 4" dot={false} />
+              ))}
+              {comparisons.filter(c => c.breakEvenYear).map(c => (
+                <ReferenceLine
+                  key={`${c.name}-be`}
+                  x={`Y${c.breakEvenYear}`}
+                  stroke={c.color}
+                  label={{ value: `${c.name} break-even`, fontSize: 11, position: "insideTopLeft", fill: c.color }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-base font-semibold">Break-even</div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm tabular-nums">
+            <thead>
+              <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+                <th className="py-1 pr-3 font-medium">Scenario</th>
+                <th className="py-1 pr-3 font-medium">Break-even year</th>
+                <th className="py-1 pr-3 font-medium text-right">Buy net worth (end)</th>
+                <th className="py-1 font-medium text-right">Rent net worth (end)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparisons.map(c => {
+                const last = c.years[c.years.length - 1];
+                return (
+                  <tr key={c.name} className="border-b border-slate-100 last:border-0">
+                    <td className="py-1 pr-3">{c.name}</td>
+                    <td className="py-1 pr-3 font-medium">{c.breakEvenYear ? `Year ${c.breakEvenYear}` : "Renting stays ahead"}</td>
+                    <td className="py-1 pr-3 text-right">{fmt(last?.buy)}</td>
+                    <td className="py-1 text-right">{fmt(last?.rent)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useMemo } from "react";
+import { configDiff, outcomeDiff } from "../comparison";
+import { fmt, fmtPct, SCENARIO_PALETTE } from "../ui";
+
+export const DIFF_DEFAULTS = {
+  baselineId: null,   // null = first scenario in the comparison
+  excludedIds: [],    // scenarios left out; new scenarios are in by default
+};
+
+function formatInput(v) {
+  if (v === undefined) return "—";
+  if (typeof v === "boolean") return v ? "on" : "off";
+  if (typeof v === "number") return v.toLocaleString();
+  if (Array.isArray(v)) return v.length ? JSON.stringify(v) : "none";
+  return String(v);
+}
+
+function formatValue(kind, v) {
+  if (v == null) return kind === "months" ? "none" : "n/a";
+  if (kind === "pct") return fmtPct(v);
+  if (kind === "months") return `${v} mo`;
+  return fmt(v);
+}
+
+function formatDelta(kind, d) {
+  if (d == null) return "";
+  const sign = d > 0 ? "+" : d < 0 ? "−" : "±";
+  if (kind === "pct") return `${sign}${Math.abs(d * 100).toFixed(2)} pp`;
+  if (kind === "months") return `${sign}${Math.abs(d)} mo`;
+  return `${sign}${fmt(Math.abs(d))}`;
+}
+
+const deltaTone = (better, d) =>
+  d == null || Math.abs(d) < 1e-9 ? "text-slate-500" : (d < 0) === (better === "lower") ? "text-emerald-700" : "text-rose-700";
+
+/* ---- Scenario diff: inputs that differ, and key outcomes against a baseline ---- */
+export default function ScenarioDiff({ settings, onChange, scenarios }) {
+  const chosen = useMemo(() => scenarios.filter(s => !settings.excludedIds.includes(s.id)), [scenarios, settings.excludedIds]);
+  const baseline = chosen.find(s => s.id === settings.baselineId) ?? chosen[0];
+  const baselineIndex = chosen.indexOf(baseline);
+
+  const toggle = (id) => onChange({
+    ...settings,
+    excludedIds: settings.excludedIds.includes(id) ? settings.excludedIds.filter(x => x !== id) : [...settings.excludedIds, id],
+  });
+
+  const inputs = useMemo(() => configDiff(chosen), [chosen]);
+  const outcomes = useMemo(() => chosen.length ? outcomeDiff(chosen, baselineIndex) : [], [chosen, baselineIndex]);
+  const colorOf = (s) => SCENARIO_PALETTE[scenarios.indexOf(s) % SCENARIO_PALETTE.length];
+
+  const header = (
+    <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+      <th className="py-1 pr-3 font-medium"></th>
+      {chosen.map(s => (
+        <th key={s.id} className="py-1 pr-3 font-medium text-right">
+          <span className="inline-flex items-center gap-1">
+            <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: colorOf(s) }}/>
+            {s.name}{s === baseline && " (baseline)"}
+          </span>
+        </th>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 text-base font-semibold">Compare scenarios</div>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          {scenarios.map(s => (
+            <label key={s.id} className="flex items-center gap-1">
+              <input type="checkbox" checked={!settings.excludedIds.includes(s.id)} onChange={()=>toggle(s.id)} />
+              {s.name}
+            </label>
+          ))}
+          <label className="ml-auto flex items-center gap-2">
+            <span className="text-slate-600">Baseline</span>
+            <select
+              value={baseline?.id ?? ""}
+              onChange={(e)=>onChange({ ...settings, baselineId: Number(e.target.value) })}
+              className="rounded-xl border border-slate-200 bg-white px-3 py-2"
+            >
+              {chosen.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </label>
+        </div>
+        {chosen.length < 2 && <div className="mt-2 text-xs text-slate-500">Pick at least two scenarios to see differences.</div>}
+      </div>
+
+      {chosen.length >= 2 && (
+        <>
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="mb-2 text-base font-semibold">Inputs that differ</div>
+            {inputs.length === 0 ? (
+              <div className="text-sm text-slate-500">All inputs are identical.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm tabular-nums">
+                  <thead>{header}</thead>
+                  <tbody>
+                    {inputs.map(({ path, values }) => (
+                      <tr key={path} className="border-b border-slate-100 last:border-0">
+                        <td className="py-1 pr-3 font-mono text-xs">{path}</td>
+                        {values.map((v, i) => (
+                          <td
+                            key={chosen[i].id}
+                            className={`py-1 pr-3 text-right ${i !== baselineIndex && JSON.stringify(v) !== JSON.stringify(values[baselineIndex]) ? "bg-amber-50 font-medium" : ""}`}
+                          >
+                            {formatInput(v)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="mb-2 text-base font-semibold">Outcomes vs {baseline.name}</div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm tabular-nums">
+                <thead>{header}</thead>
+                <tbody>
+                  {outcomes.map(o => (
+                    <tr key={o.key} className="border-b border-slate-100 last:border-0">
+                      <td className="py-1 pr-3">{o.label}</td>
+                      {o.values.map((v, i) => (
+                        <td key={chosen[i].id} className="py-1 pr-3 text-right">
+                          <div>{formatValue(o.kind, v)}</div>
+                          {o.deltas[i] != null && <div className={`text-xs ${deltaTone(o.better, o.deltas[i])}`}>{formatDelta(o.kind, o.deltas[i])}</div>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="mt-2 text-xs text-slate-500">
+              Green deltas are better than the baseline, red worse. Payments are the full monthly cost (loans, PMI, taxes, insurance, upkeep); equity is price less loan balances. IRR deltas are in percentage points.
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+import React, { useMemo, useState } from "react";
+import { Printer, X } from "lucide-react";
+import {
+  XAxis, YAxis, CartesianGrid, Legend as RLegend, LineChart, Line,
+} from "recharts";
+import { monthLabel, FILING_STATUSES, PAYMENT_FREQUENCIES } from "../engine";
+import { fmt, fmtPct, SCENARIO_PALETTE } from "../ui";
+import { LOAN_PROGRAMS } from "../programs";
+import { costGrowthNote, equityAtYear, pmiLabel, reportEntries } from "../report";
+
+// Fixed chart size: responsive containers don't re-measure reliably when the browser paginates
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 260;
+
+const BANK_TYPES = { fixed: "Fixed", arm: "ARM", io: "Interest-only" };
+const FAMILY_MODES = { amortized: "amortized", interest_only: "interest-only", graduated: "graduated" };
+
+const INPUT_ROWS = [
+  ["Variant", (cfg, s) => s.variant === "family" ? "With family loan" : "Bank only"],
+  ["First payment", (cfg) => monthLabel(cfg.startDate, 1)],
+  ["Price", (cfg) => fmt(cfg.price)],
+  ["Down payment", (cfg) => fmt(cfg.down)],
+  ["Bank loan", (cfg) => `${LOAN_PROGRAMS[cfg.program.type]?.label ?? ""} ${BANK_TYPES[cfg.bankType]} ${cfg.bankRate}% / ${cfg.bankTermYears} yr`.trim()],
+  ["Payments", (cfg) => cfg.bankType === "fixed" ? PAYMENT_FREQUENCIES[cfg.paymentFrequency]?.label ?? "Monthly" : "Monthly"],
+  ["Family loan", (cfg) => cfg.family.amount > 0
+    ? `${fmt(cfg.family.amount)} at ${cfg.family.rate}% / ${cfg.family.termYears} yr, ${FAMILY_MODES[cfg.family.mode]}`
+    : "—"],
+  ["Points / closing costs", (cfg) => `${cfg.pointsPct}% / ${fmt(cfg.closingCosts)}`],
+  ["PMI / MIP", pmiLabel],
+  ["Property tax / insurance", (cfg) => `${cfg.taxPct}% / ${fmt(cfg.insuranceAnnual)} yr`],
+  ["HOA / maintenance / utilities", (cfg) => `${fmt(cfg.hoaMonthly)} / ${cfg.maintPctAnnual}% / ${fmt(cfg.utilitiesMonthly)}`],
+  ["Appreciation", (cfg) => cfg.appreciationPath.length ? "Year-by-year path" : `${cfg.appreciationPct}% yr`],
+  ["Selling costs", (cfg) => `${cfg.agentFeePct + cfg.sellingCostPct}% of value`],
+  ["Borrower taxes", (cfg) => cfg.borrowerTax.enabled
+    ? `${cfg.borrowerTax.marginalPct}%, ${FILING_STATUSES[cfg.borrowerTax.filingStatus]?.label ?? cfg.borrowerTax.filingStatus}`
+    : "Not modelled"],
+  ["Horizon / discount rate", (cfg) => `${cfg.horizonYears} yr / ${cfg.discountRatePct}%`],
+];
+
+function Section({ title, children, breakBefore = false }) {
+  return (
+    <section className={`print-avoid mt-6 ${breakBefore ? "print-break" : ""}`}>
+      <h2 className="mb-2 border-b border-slate-300 pb-1 text-base font-semibold">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function CompareTable({ items, rows }) {
+  return (
+    <table className="w-full text-sm tabular-nums">
+      <thead>
+        <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+          <th className="py-1 pr-3 font-medium"></th>
+          {items.map(it => <th key={it.id} className="py-1 pr-3 text-right font-medium" style={{ color: it.color }}>{it.name}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, get]) => (
+          <tr key={label} className="border-b border-slate-100 last:border-0">
+            <td className="py-1 pr-3 text-slate-600">{label}</td>
+            {items.map(it => <td key={it.id} className="py-1 pr-3 text-right">{get(it)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function CumulativeChart({ items, title, value }) {
+  const years = Math.max(0, ...items.map(it => it.annual.length));
+  const data = new Array(years).fill(0).map((_, i) => {
+    const row = { name: `Y${i + 1}` };
+    items.forEach(it => {
+      if (it.annual[i]) row[it.name] = it.annual.slice(0, i + 1).reduce((a, y) => a + value(y), 0);
+    });
+    return row;
+  });
+  return (
+    <div className="print-avoid">
+      <div className="mb-1 text-sm font-medium">{title}</div>
+      <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" />
+        <YAxis tickFormatter={(v)=>`$${(v/1000).toFixed(0)}k`} />
+        <RLegend />
+        {items.map(it => (
+          <Line key={it.id} type="monotone" dataKey={it.name} stroke={it.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+        ))}
+      </LineChart>
+    </div>
+  );
+}
+
+/* ---- Print-ready report for the selected scenarios (browser print → Save as PDF) ---- */
+export default function ScenarioReport({ scenarios, onClose }) {
+  const [selected, setSelected] = useState(() => new Set(scenarios.map(s => s.id)));
+
+  // Scenarios whose inputs have errors have no schedule to report; they're listed instead
+  const { items, skipped } = useMemo(() => reportEntries(scenarios
+    .map((s, idx) => ({ s, color: SCENARIO_PALETTE[idx % SCENARIO_PALETTE.length] }))
+    .filter(({ s }) => selected.has(s.id))), [scenarios, selected]);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  const anyTax = items.some(it => it.cfg.borrowerTax.enabled);
+  const anyArm = items.some(it => it.cfg.bankType === "arm");
+  const anyFamily = items.some(it => it.cfg.family.amount > 0);
+  const generated = new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+
+  const kpiRows = [
+    ["Monthly cost (month 1)", (it) => fmt(it.res.rows[0]?.totalMonthly)],
+    ...(anyTax ? [["Monthly cost after tax (month 1)", (it) => it.cfg.borrowerTax.enabled ? fmt(it.res.rows[0]?.afterTaxMonthly) : "—"]] : []),
+    ["Cash at closing", (it) => fmt(it.res.initialOutlay)],
+    ["Total interest (horizon)", (it) => fmt(it.res.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0))],
+    ["Equity @ 10 years", (it) => equityAtYear(it.res, 10) == null ? "—" : fmt(equityAtYear(it.res, 10))],
+    ["Bank loan paid off", (it) => it.res.payoffMonth ? monthLabel(it.cfg.startDate, it.res.payoffMonth) : "Beyond horizon"],
+    ["PMI ends", (it) => it.res.pmiEnd ? monthLabel(it.cfg.startDate, it.res.pmiEnd.month) : "—"],
+  ];
+  const returnRows = [
+    ["IRR (owner)", (it) => fmtPct(it.res.irrAnnual)],
+    ["IRR (household)", (it) => fmtPct(it.res.irrAnnualHousehold)],
+    ["NPV (owner)", (it) => fmt(it.res.npv)],
+    ["NPV (household)", (it) => fmt(it.res.npvHousehold)],
+    ...(anyTax ? [
+      ["IRR after tax (owner)", (it) => it.cfg.borrowerTax.enabled ? fmtPct(it.res.irrAnnualAfterTax) : "—"],
+      ["NPV after tax (owner)", (it) => it.cfg.borrowerTax.enabled ? fmt(it.res.npvAfterTax) : "—"],
+    ] : []),
+  ];
+
+  return (
+    <div className="min-h-screen bg-slate-100 print:bg-white">
+      <div className="no-print sticky top-0 z-10 border-b border-slate-200 bg-white/90 backdrop-blur">
+        <div className="mx-auto flex max-w-4xl flex-wrap items-center justify-between gap-3 px-4 py-3 text-sm">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="font-semibold">Report scenarios:</span>
+            {scenarios.map(s => (
+              <label key={s.id} className="flex items-center gap-1">
+                <input type="checkbox" checked={selected.has(s.id)} onChange={()=>toggle(s.id)} />
+                {s.name}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={()=>window.print()} disabled={!items.length} className="inline-flex items-center gap-2 rounded-xl bg-indigo-600 px-3 py-2 font-medium text-white hover:bg-indigo-700 disabled:opacity-50"><Printer size={16}/> Print / Save as PDF</button>
+            <button onClick={onClose} className="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2 hover:bg-slate-100"><X size={16}/> Close</button>
+          </div>
+        </div>
+      </div>
+
+      <article className="report-page mx-auto my-6 max-w-4xl bg-white p-8 shadow-sm print:my-0 print:max-w-none print:p-0 print:shadow-none">
+        <header className="border-b-2 border-slate-800 pb-2">
+          <h1 className="text-2xl font-semibold">Mortgage scenario report</h1>
+          <div className="text-sm text-slate-500">
+            {items.map(it => it.name).join(" · ") || "No scenarios to report"} — prepared {generated}
+          </div>
+        </header>
+
+        {skipped.length > 0 && (
+          <div className="mt-4 rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+            Not included because their inputs have errors:
+            <ul className="mt-1 list-disc pl-5">
+              {skipped.map(it => <li key={it.id}>{it.name} — {it.issue.path}: {it.issue.message}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {items.length > 0 && (
+          <>
+            <Section title="Inputs">
+              <CompareTable items={items} rows={INPUT_ROWS.map(([label, get]) => [label, (it) => get(it.cfg, it.s)])} />
+            </Section>
+
+            <Section title="Key figures">
+              <CompareTable items={items} rows={kpiRows} />
+            </Section>
+
+            <Section title="Returns — IRR & NPV">
+              <CompareTable items={items} rows={returnRows} />
+            </Section>
+
+            <Section title="Comparison charts" breakBefore>
+              <CumulativeChart items={items} title="Cumulative household cost" value={(y) => y.totalMonthlyHousehold} />
+              <div className="mt-4" />
+              <CumulativeChart items={items} title="Cumulative interest (bank + family)" value={(y) => y.totalInterestThisMonth} />
+            </Section>
+
+            {items.map(it => (
+              <Section key={it.id} title={`Annual amortization — ${it.name}`} breakBefore>
+                <table className="w-full text-xs tabular-nums">
+                  <thead>
+                    <tr className="border-b border-slate-200 text-left text-slate-500">
+                      <th className="py-1 pr-2 font-medium">Year</th>
+                      <th className="py-1 pr-2 text-right font-medium">Bank paid</th>
+                      <th className="py-1 pr-2 text-right font-medium">Family paid</th>
+                      <th className="py-1 pr-2 text-right font-medium">Interest</th>
+                      <th className="py-1 pr-2 text-right font-medium">Principal</th>
+                      <th className="py-1 pr-2 text-right font-medium">Bank balance</th>
+                      <th className="py-1 pr-2 text-right font-medium">Family balance</th>
+                      <th className="py-1 pr-2 text-right font-medium">Total cost</th>
+                      <th className="py-1 text-right font-medium">Net if sold</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {it.annual.map(y => (
+                      <tr key={y.year} className="border-b border-slate-100 last:border-0">
+                        <td className="py-0.5 pr-2">{y.year}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.bankPayment + y.prepay)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.famPayment + y.famPrepay + y.famBalloon)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.totalInterestThisMonth)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.totalPrincipalThisMonth)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.bankBalance)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.famBalance)}</td>
+                        <td className="py-0.5 pr-2 text-right">{fmt(y.totalMonthly)}</td>
+                        <td className="py-0.5 text-right">{fmt(y.netSaleProceeds)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Section>
+            ))}
+
+            <Section title="Assumptions">
+              <ul className="list-disc space-y-1 pl-5 text-xs text-slate-600">
+                <li>Monthly cost includes loan payments and prepayments, PMI/MIP, escrowed property tax and insurance, HOA, maintenance and utilities. {costGrowthNote(items.map(it => it.cfg))}</li>
+                <li>IRR and NPV use the cash at closing, every monthly cost, and the net proceeds of selling at the end of the horizon (after agent and selling costs and repaying both loans). NPV is discounted at each scenario's discount rate.</li>
+                {anyFamily && <li>The household view adds the after-tax return the family gives up on the money lent and subtracts the interest and reinvestment earnings it receives.</li>}
+                {anyArm && <li>ARM rates follow the index forecast entered plus the margin, limited by the first, periodic and lifetime caps.</li>}
+                {anyTax && <li>After-tax figures compare itemizing (mortgage interest up to the acquisition debt limit and property tax within the SALT cap) with the standard deduction each year at the marginal rate entered.</li>}
+                <li>Home value grows at the appreciation rate entered; actual prices, rates and taxes will differ. This report is an estimate, not financial, tax or legal advice.</li>
+              </ul>
+            </Section>
+          </>
+        )}
+      </article>
+    </div>
+  );
+}
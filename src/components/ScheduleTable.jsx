@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from "react";
+import { monthLabel, rollupAnnual, scheduleEvents } from "../engine";
+import { fmt } from "../ui";
+
+const ROW_HEIGHT = 30;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 8;
+
+const money = (v) => fmt(v);
+const rate = (v) => `${v}%`;
+
+// Column groups that can be shown or hidden; "core" is always on
+const GROUPS = {
+  bank: {
+    label: "Bank",
+    columns: [
+      ["bankPayment", "Payment", money], ["bankInterest", "Interest", money], ["bankPrincipal", "Principal", money],
+      ["prepay", "Prepay", money], ["buydownSubsidy", "Buydown", money], ["bankBalance", "Balance", money], ["bankRate", "Rate", rate],
+    ],
+  },
+  family: {
+    label: "Family",
+    columns: [
+      ["famPayment", "Payment", money], ["famInterest", "Interest", money],
+      ["famPrincipal", "Principal", money], ["famPrepay", "Prepay", money], ["famBalloon", "Balloon", money], ["famForgiven", "Forgiven", money], ["famBalance", "Balance", money],
+    ],
+  },
+  escrow: {
+    label: "Escrow",
+    columns: [["tax", "Tax", money], ["ins", "Insurance", money], ["pmi", "PMI", money]],
+  },
+  carrying: {
+    label: "Carrying costs",
+    columns: [["hoa", "HOA", money], ["maint", "Maint.", money], ["util", "Utilities", money]],
+  },
+  aftertax: {
+    label: "After tax",
+    columns: [["taxSavings", "Tax savings", money], ["afterTaxMonthly", "Net cost", money]],
+  },
+};
+
+// Columns for the per-payment view (semi-monthly / bi-weekly loans)
+const PAYMENT_COLUMNS = GROUPS.bank.columns.filter(([key]) =>
+  ["bankPayment", "bankInterest", "bankPrincipal", "prepay", "bankBalance"].includes(key));
+
+const EVENT_STYLES = {
+  pmi: "bg-amber-100 text-amber-800",
+  arm: "bg-indigo-100 text-indigo-800",
+  io: "bg-sky-100 text-sky-800",
+  prepay: "bg-violet-100 text-violet-800",
+  refi: "bg-teal-100 text-teal-800",
+  forgive: "bg-rose-100 text-rose-800",
+  family: "bg-lime-100 text-lime-800",
+  payoff: "bg-emerald-100 text-emerald-800",
+};
+
+/* ---- Full amortization schedule with annual roll-up and windowed rendering ---- */
+export default function ScheduleTable({ rows, payments = [], cfg, name }) {
+  const [period, setPeriod] = useState("monthly");
+  const [groups, setGroups] = useState({ bank: true, family: true, escrow: false, carrying: false, aftertax: false });
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const events = useMemo(() => scheduleEvents(rows, cfg), [rows, cfg]);
+
+  const periods = payments.length ? ["monthly", "annual", "payments"] : ["monthly", "annual"];
+  const shown = periods.includes(period) ? period : "monthly";   // payments view falls back once the loan is monthly
+  const byPayment = shown === "payments";
+
+  const lines = useMemo(() => {
+    if (byPayment) {
+      // one line per bank payment; a month's events show on its first payment
+      return payments.map((p, i) => ({
+        key: p.n, label: `${p.n}`, date: p.date,
+        bankPayment: p.payment, bankInterest: p.interest, bankPrincipal: p.principal, prepay: p.prepay, bankBalance: p.balance,
+        totalMonthly: p.payment + p.prepay,
+        events: i === 0 || payments[i - 1].m !== p.m ? events.get(p.m) ?? [] : [],
+      }));
+    }
+    if (shown === "monthly") {
+      return rows.map(r => ({ ...r, key: r.m, label: `${r.m}`, date: monthLabel(cfg.startDate, r.m), events: events.get(r.m) ?? [] }));
+    }
+    return rollupAnnual(rows).map(y => {
+      const yearEvents = [];
+      for (let m = (y.year - 1) * 12 + 1; m <= y.year * 12; m++) yearEvents.push(...(events.get(m) ?? []));
+      return { ...y, key: y.year, label: `Y${y.year}`, date: `${monthLabel(cfg.startDate, (y.year - 1) * 12 + 1)} – ${monthLabel(cfg.startDate, y.m)}`, events: yearEvents };
+    });
+  }, [rows, payments, cfg.startDate, events, shown, byPayment]);
+
+  const columns = byPayment
+    ? PAYMENT_COLUMNS.map(([key, label, format], i) => ({ key, label, format, group: "Bank", first: i === 0 }))
+    : Object.entries(GROUPS).filter(([id]) => groups[id]).flatMap(([id, g]) =>
+      g.columns.map(([key, label, format], i) => ({ key, label, format, group: g.label, first: i === 0 }))
+    );
+
+  // render only the rows in view (plus a little overscan) and pad the rest
+  const start = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+  const end = Math.min(start + Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT) + OVERSCAN * 2, lines.length);
+  const visible = lines.slice(start, end);
+  const colSpan = columns.length + 4;
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+        <div className="text-base font-semibold">Amortization schedule — {name}</div>
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          <div className="flex rounded-full bg-slate-100 p-0.5">
+            {periods.map(p => (
+              <button
+                key={p}
+                onClick={()=>{ setPeriod(p); setScrollTop(0); }}
+                className={`rounded-full px-3 py-1 capitalize ${shown===p?"bg-slate-900 text-white":"text-slate-700"}`}
+              >{p}</button>
+            ))}
+          </div>
+          {!byPayment && Object.entries(GROUPS).map(([id, g]) => (
+            <label key={id} className="flex items-center gap-1 text-slate-600">
+              <input type="checkbox" checked={groups[id]} onChange={(e)=>setGroups({ ...groups, [id]: e.target.checked })} />
+              {g.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div
+        className="overflow-auto rounded-xl border border-slate-200"
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={(e)=>setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="w-full text-xs tabular-nums">
+          <thead className="sticky top-0 z-10 bg-slate-50 text-slate-500">
+            <tr style={{ height: ROW_HEIGHT }}>
+              <th className="px-2 text-left font-medium">{byPayment ? "Payment" : shown === "monthly" ? "Month" : "Year"}</th>
+              <th className="px-2 text-left font-medium">Date</th>
+              {columns.map(c => (
+                <th key={c.key} className={`px-2 text-right font-medium whitespace-nowrap ${c.first ? "border-l border-slate-200" : ""}`}>
+                  <span className="text-slate-400">{c.first ? `${c.group} · ` : ""}</span>{c.label}
+                </th>
+              ))}
+              <th className="border-l border-slate-200 px-2 text-right font-medium">Total</th>
+              <th className="px-2 text-left font-medium">Events</th>
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }}><td colSpan={colSpan} /></tr>}
+            {visible.map(r => (
+              <tr
+                key={r.key}
+                style={{ height: ROW_HEIGHT }}
+                className={`border-t border-slate-100 ${r.events.length ? "bg-amber-50/60" : ""}`}
+              >
+                <td className="px-2">{r.label}</td>
+                <td className="px-2 whitespace-nowrap text-slate-500">{r.date}</td>
+                {columns.map(c => (
+                  <td key={c.key} className={`px-2 text-right ${c.first ? "border-l border-slate-100" : ""}`}>{c.format(r[c.key])}</td>
+                ))}
+                <td className="border-l border-slate-100 px-2 text-right font-medium">{fmt(r.totalMonthly)}</td>
+                <td className="px-2 whitespace-nowrap">
+                  {r.events.map((e, i) => (
+                    <span key={i} className={`mr-1 rounded-full px-2 py-0.5 ${EVENT_STYLES[e.type]}`}>{e.label}</span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+            {end < lines.length && <tr style={{ height: (lines.length - end) * ROW_HEIGHT }}><td colSpan={colSpan} /></tr>}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        {byPayment
+          ? `${lines.length} bank payments. Total is the payment plus any extra paid with it; escrow and other costs are in the monthly view.`
+          : `${lines.length} ${shown === "monthly" ? "months" : "years"}. Annual rows sum payments and costs; balances and rate are at year end.`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from "react";
+import {
+  XAxis, YAxis, CartesianGrid, Tooltip as RTooltip, Legend as RLegend,
+  BarChart, Bar, ResponsiveContainer, ReferenceLine,
+} from "recharts";
+import { SENSITIVITY_FIELDS, SENSITIVITY_METRICS } from "../sensitivity";
+import { fmt, fmtPct, NumberInput } from "../ui";
+
+export const SENSITIVITY_DEFAULTS = {
+  metric: "firstPayment",
+  deltaPct: 10,
+  xField: "bankRate",
+  yField: "down",
+  spanPct: 20,
+  steps: 5,
+};
+
+const formatKind = (kind, v) => v == null || !isFinite(v) ? "n/a" : kind === "money" ? fmt(v) : `${v.toFixed(2)}%`;
+const fieldOf = (path) => SENSITIVITY_FIELDS.find(f => f.path === path);
+// Pause after the last change before sweeping, so typing doesn't start a worker per keystroke
+const RUN_DELAY_MS = 250;
+
+// Blue (low) to red (high) through white
+function heatColor(t) {
+  if (t == null || !isFinite(t)) return "#f1f5f9";
+  const lerp = (a, b, u) => Math.round(a + (b - a) * u);
+  const [from, to, u] = t < 0.5 ? [[59, 130, 246], [255, 255, 255], t * 2] : [[255, 255, 255], [239, 68, 68], (t - 0.5) * 2];
+  return `rgb(${lerp(from[0], to[0], u)}, ${lerp(from[1], to[1], u)}, ${lerp(from[2], to[2], u)})`;
+}
+
+function Select({ label, value, onChange, options }) {
+  return (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-slate-600">{label}</span>
+      <select value={value} onChange={(e)=>onChange(e.target.value)} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+        {options.map(([id, text]) => <option key={id} value={id}>{text}</option>)}
+      </select>
+    </label>
+  );
+}
+
+/* ---- Sensitivity: tornado ranking and a two-field heatmap for the active scenario ---- */
+export default function Sensitivity({ settings, onChange, cfg, name }) {
+  const metric = SENSITIVITY_METRICS[settings.metric];
+  const showMetric = (v) => metric.kind === "pct" ? fmtPct(v) : fmt(v);
+  const set = (key) => (v) => onChange({ ...settings, [key]: v });
+
+  // The sweeps take up to a couple of seconds, so they run in the worker and the last
+  // results stay on screen (dimmed) until the new ones arrive
+  const [report, setReport] = useState(null);   // { key, result }
+  const [error, setError] = useState(null);
+  const key = JSON.stringify([cfg, settings]);
+  const stale = !report || report.key !== key;
+
+  useEffect(() => {
+    let worker = null;
+    const timer = setTimeout(() => {
+      worker = new Worker(new URL("../simulation.worker.js", import.meta.url), { type: "module" });
+      worker.onmessage = (e) => {
+        if (e.data.type === "done") { setReport({ key, result: e.data.result }); setError(null); }
+        else setError(e.data.message);
+        worker.terminate();
+      };
+      worker.onerror = (e) => {
+        setError(e.message || "Sensitivity worker failed");
+        worker.terminate();
+      };
+      worker.postMessage({ id: 1, task: "sensitivity", cfg, settings });
+    }, RUN_DELAY_MS);
+    return () => { clearTimeout(timer); worker?.terminate(); };
+  }, [key]);
+
+  const torn = report?.result.tornado ?? { base: null, bars: [] };
+  const tornadoData = torn.bars.map(b => ({
+    name: b.label,
+    low: b.low == null || torn.base == null ? 0 : b.low - torn.base,
+    high: b.high == null || torn.base == null ? 0 : b.high - torn.base,
+    bar: b,
+  }));
+
+  const xField = fieldOf(settings.xField);
+  const yField = fieldOf(settings.yField);
+  const grid = report?.result.grid ?? { xs: [], ys: [], cells: [], min: 0, max: 0 };
+  const span = grid.max - grid.min;
+
+  const fieldOptions = SENSITIVITY_FIELDS.map(f => [f.path, f.label]);
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 flex items-center justify-between gap-2">
+          <div className="text-base font-semibold">Sensitivity — {name}</div>
+          {stale && !error && <span className="text-xs text-slate-500">{report ? "Updating…" : "Working…"}</span>}
+        </div>
+        {error && <div className="mb-3 rounded-xl bg-rose-50 p-2 text-sm text-rose-700">{error}</div>}
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-3">
+          <Select label="Output" value={settings.metric} onChange={set("metric")} options={Object.entries(SENSITIVITY_METRICS).map(([id, m]) => [id, m.label])}/>
+          <NumberInput label="Nudge (± %)" value={settings.deltaPct} onChange={set("deltaPct")} step={1} min={1}/>
+          <div className="rounded-xl bg-slate-50 p-2 text-sm">
+            <div className="text-xs text-slate-500">Current value</div>
+            <div className="font-semibold tabular-nums">{showMetric(torn.base)}</div>
+          </div>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Each input is moved {settings.deltaPct}% down and up from its current value, one at a time. Inputs at 0 are skipped.
+        </div>
+      </div>
+
+      <div className={`rounded-2xl border border-slate-200 bg-white p-4 shadow-sm ${stale ? "opacity-60" : ""}`}>
+        <div className="mb-2 text-base font-semibold">What matters most — {metric.label}</div>
+        <div className="w-full" style={{ height: Math.max(tornadoData.length * 28 + 60, 160) }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 24 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" tickFormatter={(v)=>metric.kind === "pct" ? `${(v * 100).toFixed(1)}pp` : fmt(v)} />
+              <YAxis type="category" dataKey="name" width={120} tick={{ fontSize: 12 }} />
+              <RTooltip
+                formatter={(v, key, item) => {
+                  const b = item.payload.bar;
+                  const at = key === "low" ? b.lowValue : b.highValue;
+                  const out = key === "low" ? b.low : b.high;
+                  return [`${showMetric(out)} at ${formatKind(fieldOf(b.path).kind, at)}`, key === "low" ? `-${settings.deltaPct}%` : `+${settings.deltaPct}%`];
+                }}
+              />
+              <RLegend formatter={(key)=>key === "low" ? `Input -${settings.deltaPct}%` : `Input +${settings.deltaPct}%`} />
+              <ReferenceLine x={0} stroke="#0f172a" />
+              <Bar dataKey="low" stackId="t" fill="#0ea5e9" />
+              <Bar dataKey="high" stackId="t" fill="#f59e0b" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 text-base font-semibold">Two-input grid — {metric.label}</div>
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+          <Select label="Columns" value={settings.xField} onChange={set("xField")} options={fieldOptions}/>
+          <Select label="Rows" value={settings.yField} onChange={set("yField")} options={fieldOptions}/>
+          <NumberInput label="Range (± %)" value={settings.spanPct} onChange={set("spanPct")} step={5} min={1}/>
+          <NumberInput label="Steps" value={settings.steps} onChange={set("steps")} step={1} min={2} max={9}/>
+        </div>
+        <div className={`mt-3 overflow-x-auto ${stale ? "opacity-60" : ""}`}>
+          <table className="w-full text-xs tabular-nums">
+            <thead>
+              <tr>
+                <th className="p-1 text-left font-medium text-slate-500">{yField.label} ↓ / {xField.label} →</th>
+                {grid.xs.map((x, i) => <th key={i} className="p-1 text-right font-medium text-slate-500">{formatKind(xField.kind, x)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.ys.map((y, j) => (
+                <tr key={j}>
+                  <th className="p-1 text-left font-medium text-slate-500">{formatKind(yField.kind, y)}</th>
+                  {grid.cells[j].map((v, i) => (
+                    <td
+                      key={i}
+                      className="border border-white p-2 text-right"
+                      style={{ background: heatColor(v == null ? null : span > 0 ? (v - grid.min) / span : 0.5) }}
+                    >{showMetric(v)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Values run {settings.spanPct}% either side of the current inputs; the middle cell is the scenario as entered
+          {settings.steps % 2 === 0 ? " (with an even step count no cell sits exactly on it)" : ""}. Blue is lowest, red highest.
+        </div>
+      </div>
+    </div>
+  );
+}
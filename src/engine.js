@@ -0,0 +1,1217 @@
+// Amortization engine: pure functions with no React or DOM dependencies, shared
+// by the app, the tests (test/engine.test.js) and the CLI (scripts/schedule.js).
+import { hasErrors, validateConfig } from "./validation.js";
+import { vaFundingFeePct } from "./programs.js";
+
+/* =============== Helpers =============== */
+export const toMonthlyRate = (annualPct) => annualPct / 100 / 12;
+export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+// Same result as +v.toFixed(2) at a fraction of the cost (schedules round every amount of
+// every row). Values within float error of a half-cent go through toFixed, which rounds
+// the exact binary value.
+const round2 = (v) => {
+  const cents = Math.abs(v) * 100;
+  if (Math.abs(cents - Math.floor(cents) - 0.5) < 1e-6) return +v.toFixed(2);
+  return Math.sign(v) * Math.round(cents) / 100;
+};
+
+export const MONTH_NAMES = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+// startDate is the first payment month as "YYYY-MM"; loan month m=1 falls on it
+export function calendarOf(startDate, m) {
+  const [y, mo] = String(startDate || "2026-01").split("-").map(Number);
+  const idx = (y || 2026) * 12 + ((mo || 1) - 1) + (m - 1);
+  return { year: Math.floor(idx / 12), month: (idx % 12) + 1 };
+}
+export const monthLabel = (startDate, m) => {
+  const { year, month } = calendarOf(startDate, m);
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+};
+// inverse of calendarOf: "YYYY-MM" -> loan month number
+export function loanMonthOf(startDate, ym) {
+  const [y0, m0] = String(startDate || "2026-01").split("-").map(Number);
+  const [y, mo] = String(ym).split("-").map(Number);
+  return (y - y0) * 12 + (mo - m0) + 1;
+}
+export const monthInputValue = (startDate, m) => {
+  const { year, month } = calendarOf(startDate, m);
+  return `${year}-${String(month).padStart(2, "0")}`;
+};
+
+const npvAtRate = (cashflows, rate) => cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
+
+// Per-period IRR. Returns null when the cash flows have no sign change or no
+// root can be found (Newton first, then bisection on [-50%, 100%] per period).
+export function irr(cashflows, guess = 0.05) {
+  const hasOut = cashflows.some(cf => cf < 0);
+  const hasIn = cashflows.some(cf => cf > 0);
+  if (!hasOut || !hasIn) return null;
+
+  let rate = guess;
+  for (let i = 0; i < 100; i++) {
+    let npv = 0, d = 0;
+    for (let t = 0; t < cashflows.length; t++) {
+      const denom = Math.pow(1 + rate, t);
+      npv += cashflows[t] / denom;
+      d   -= t * cashflows[t] / (denom * (1 + rate));
+    }
+    const next = rate - npv / d;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-7) return next;
+    rate = next;
+  }
+
+  let lo = -0.5, hi = 1;
+  let fLo = npvAtRate(cashflows, lo), fHi = npvAtRate(cashflows, hi);
+  if (!isFinite(fLo) || !isFinite(fHi) || Math.sign(fLo) === Math.sign(fHi)) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npvAtRate(cashflows, mid);
+    if (Math.abs(hi - lo) < 1e-10) return mid;
+    if (Math.sign(fMid) === Math.sign(fLo)) { lo = mid; fLo = fMid; } else { hi = mid; }
+  }
+  return null;
+}
+// Defines obj[key] as computed on first read and kept from then on, so schedule results
+// only pay for the IRR solves that something actually reads. Enumerable, so spreads and
+// JSON still include it (and trigger the solve).
+function lazy(obj, key, compute) {
+  const settle = (value) => Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  Object.defineProperty(obj, key, {
+    get() { const value = compute(); settle(value); return value; },
+    set: settle,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+export function npv(discountRateAnnualPct, cashflowsMonthly) {
+  const r = discountRateAnnualPct / 100 / 12;
+  return cashflowsMonthly.reduce((acc, cf, t) => acc + cf / Math.pow(1 + r, t), 0);
+}
+export function pmt(principal, annualRatePct, periods, periodsPerYear = 12) {
+  const r = annualRatePct / 100 / periodsPerYear;
+  if (r === 0) return principal / periods;
+  return (principal * r) / (1 - Math.pow(1 + r, -periods));
+}
+
+// Date ("YYYY-MM-DD") and loan month of payment k at 24 or 26 payments a year.
+// Semi-monthly payments fall on the 1st and 15th; bi-weekly every 14 days from the first.
+function paymentDateOf(startDate, perYear, k) {
+  const { year, month } = calendarOf(startDate, 1);
+  const d = perYear === 24
+    ? new Date(Date.UTC(year, month - 1 + Math.floor((k - 1) / 2), (k - 1) % 2 ? 15 : 1))
+    : new Date(Date.UTC(year, month - 1, 1 + 14 * (k - 1)));
+  const date = d.toISOString().slice(0, 10);
+  return { date, m: loanMonthOf(startDate, date.slice(0, 7)) };
+}
+
+/* =============== Core engine =============== */
+// Result shape for a config that can't be modelled: no rows, measures null rather than NaN.
+function invalidSchedule(warnings) {
+  return {
+    rows: [], warnings, invalid: true,
+    irrAnnual: null, irrAnnualHousehold: null, npv: null, npvHousehold: null,
+    monthlySavings: [], payoffMonth: null, initialOutlay: null, pmiEnd: null, pmiUpfront: 0,
+    pointsCost: 0, buydownEscrow: 0, upfrontFee: 0, financedFees: 0, payments: [], periodPayment: null,
+    taxYears: [], irrAnnualAfterTax: null, irrAnnualHouseholdAfterTax: null, npvAfterTax: null, npvHouseholdAfterTax: null,
+  };
+}
+
+/**
+ * Builds the month-by-month schedule for one purchase configuration.
+ *
+ * Input (all amounts in dollars, rates in annual %):
+ *   price, down                 purchase price and cash down payment
+ *   bankType                    "fixed" | "arm" | "io"
+ *   bankRate, bankTermYears     note rate (initial rate for ARMs) and term
+ *   arm                         { margin, caps: { first, periodic, lifetime }, indexForecast[] by year,
+ *                                 fixedMonths, adjustMonths }
+ *   ioMonths                    interest-only months for bankType "io"
+ *   pointsPct, closingCosts     upfront costs (cash flow at t=0); negative points are a lender
+ *                               credit, which can only offset closing costs
+ *   buydown                     { type: "none" | "1-0" | "2-1" | "3-2-1", paidBy: "borrower" | "seller" }:
+ *                               temporary buydown on a fixed loan. The lender still gets the full payment;
+ *                               an escrow funded at closing covers the gap to the payment at the
+ *                               reduced rate (on the original loan and term) in the first years
+ *   family                      { amount, rate, termYears, mode: "amortized" | "interest_only" | "graduated",
+ *                                 gradStepPct, deferMonths, deferInterest: "accrue" | "pay", balloonYears,
+ *                                 extraMonthly, lumpSums: [{ month, amount }], forgiveAnnual,
+ *                                 forgiveLumps: [{ month, amount }], altAnnualPct, altTaxPct, reinvestAnnualPct }:
+ *                               payments start after deferMonths (interest accrues into the balance or
+ *                               is paid) and run termYears from there; "graduated" payments rise
+ *                               gradStepPct each year; the balance left at balloonYears is paid off
+ *                               in one sum. Extra payments shorten the loan; forgiven principal
+ *                               (annual at each loan-year end, or dated lumps) re-computes the payment.
+ *   taxPct, taxInflationPct, insuranceAnnual, insuranceInflationPct,
+ *   hoaMonthly, maintPctAnnual, utilitiesMonthly, escrow
+ *   hoaInflationPct, maintInflationPct, utilitiesInflationPct
+ *                               yearly escalation of HOA dues, maintenance (a % of the price) and utilities
+ *   pmi                         { enabled, type: "bpmi" | "single" | "lpmi" | "fha", pmiPctAnnual, dropLTV,
+ *                                 singlePremiumPct, lpmiRateBump, fhaUpfrontPct, fhaAnnualPct,
+ *                                 requestCancel, requestLTV, requestBasis: "original" | "appraised", requestAfterMonths }
+ *   program                     { type: "custom" | LOAN_PROGRAMS key, financeFee, vaUse, usdaUpfrontPct, usdaAnnualPct,
+ *                                 conformingLimit, fhaLimit }: VA loans carry no PMI and a funding fee;
+ *                               USDA loans an upfront guarantee fee and an annual fee (for the life of
+ *                               the loan, in the pmi column) instead of PMI. Upfront fees (these and
+ *                               FHA's upfront MIP) are added to the loan when financeFee, else paid at closing
+ *   prepay                      { monthlyExtra, lumpSums: [{ month, amount }], yearly: { amount, month (1-12) } }
+ *   refi                        { enabled, month, rate, termYears, closingCosts, cashOut, rollCosts }:
+ *                               from `month` the bank balance is refinanced into a fixed-rate loan
+ *   paymentFrequency            PAYMENT_FREQUENCIES key for a fixed bank loan (monthly after a refinance):
+ *                               interest accrues per payment period and each month's row sums the
+ *                               payments dated in it; the month's extra payments go with its first payment
+ *   startDate                   first payment month, "YYYY-MM"
+ *   appreciationPct, appreciationPath[]   home value growth (path is % by year)
+ *   agentFeePct, sellingCostPct costs of selling, as % of the home value at sale
+ *   borrowerTax                 { enabled, filingStatus, marginalPct, standardDeduction, saltCap, acquisitionLimit,
+ *                                 otherSaltAnnual, otherItemizedAnnual, familyDeductible }: see borrowerTaxSavings
+ *   horizonYears                rows produced (capped at 720 months)
+ *   discountRatePct             annual rate for NPV
+ *
+ * Output:
+ *   rows[]                      one per month: m, year, bank and fam payment/interest/principal/balance,
+ *                               prepay, bankRate, refinanced, refiCash (net paid at refi),
+ *                               buydownSubsidy (escrow draw that lowers the borrower's payment), pmi,
+ *                               pmiEndedBy (rule that ended PMI that month), tax, ins, hoa, maint, util, escrow,
+ *                               totalMonthly, totalMonthlyHousehold, householdDelta,
+ *                               equity (price - balances), homeValue, marketEquity, netSaleProceeds,
+ *                               taxSavings, afterTaxMonthly, afterTaxMonthlyHousehold, ...
+ *   irrAnnual, irrAnnualHousehold   annualized IRR of owner / household cash flows, ending with a
+ *                               sale at the horizon (null if irr has no solution); solved on first read,
+ *                               as are the after-tax IRRs below, so sweeps that never read them skip the solves
+ *   npv, npvHousehold           NPV at discountRatePct
+ *   monthlySavings[]            bank-only payment minus actual debt payment, per month
+ *   payoffMonth                 month the bank balance reaches 0, or null within the horizon
+ *   initialOutlay               down payment + closing costs + points (+ single-premium PMI) at t=0
+ *   pmiEnd                      { month, rule } when PMI/MIP stopped: "requested" | "automatic" |
+ *                               "midpoint" | "fha_11yr" | "payoff"; null if it never did
+ *   pmiUpfront                  single PMI premium paid in cash
+ *   pointsCost, buydownEscrow   discount points paid (negative: lender credit used) and the buydown
+ *                               escrow (in initialOutlay unless the seller pays it)
+ *   payments[]                  one per bank payment when paymentFrequency isn't monthly:
+ *                               n, m (loan month), date, payment, interest, principal, prepay, balance
+ *   periodPayment               scheduled payment per period (the monthly payment when monthly)
+ *   upfrontFee, financedFees    program fee (FHA upfront MIP, VA funding fee, USDA guarantee fee) and
+ *                               the part of it added to the loan; the rest is in initialOutlay
+ *   taxYears[]                  per loan year itemized vs standard deduction (empty when borrowerTax is off)
+ *   irrAnnualAfterTax, irrAnnualHouseholdAfterTax, npvAfterTax, npvHouseholdAfterTax
+ *                               the same measures with the tax savings netted out of each month
+ *   warnings[]                  validateConfig issues ({ path, message, severity })
+ *   invalid                     true when any issue is an error: rows is then empty and the
+ *                               measures are null rather than computed from NaN inputs
+ */
+export function buildSchedule(input) {
+  const warnings = validateConfig(input);
+  if (hasErrors(warnings)) return invalidSchedule(warnings);
+  // assigned rather than spread so the lazy IRRs aren't solved here
+  return Object.assign(runSchedule(input), { warnings, invalid: false });
+}
+
+// An input that holds text which isn't a number never reaches the cfg, so the schedule built from
+// the cfg still reflects the old value. `fields` are the labels of such inputs; while there are any
+// the result is reported invalid, with one error per field ahead of the config's own issues.
+export function withUnparsedFields(result, fields) {
+  if (!fields.length) return result;
+  const issues = fields.map(path => ({ path, message: "Enter a number", severity: "error" }));
+  return invalidSchedule([...issues, ...result.warnings]);
+}
+
+function runSchedule({
+  price,
+  down,
+  bankType,
+  bankRate: noteRate,
+  bankTermYears,
+  arm: {
+    margin = 2.0,
+    caps = { first: 2, periodic: 2, lifetime: 5 },
+    indexForecast = [],
+    fixedMonths = 12,   // initial fixed period (60 for a 5/1 or 5/6)
+    adjustMonths = 12,  // reset frequency after the fixed period (12 or 6)
+  } = {},
+  ioMonths = 0,
+  pointsPct = 0,
+  closingCosts = 0,
+  buydown: {
+    type: buydownType = "none",
+    paidBy: buydownPaidBy = "borrower",
+  } = {},
+  family: {
+    amount: famAmt = 0,
+    rate: famRate = 4.5,
+    termYears: famYears = 30,
+    mode = "amortized",
+    gradStepPct = 0,
+    deferMonths = 0,
+    deferInterest = "accrue",
+    balloonYears = 0,
+    extraMonthly: famExtraMonthly = 0,
+    lumpSums: famLumpSums = [],
+    altAnnualPct = 5,
+    altTaxPct = 30,
+    reinvestAnnualPct = 5,
+    forgiveAnnual = 0,
+    forgiveLumps = [],
+  } = {},
+  taxPct = 1.2, taxInflationPct = 2.5,
+  insuranceAnnual = 2000, insuranceInflationPct = 3,
+  hoaMonthly = 0, maintPctAnnual = 1, utilitiesMonthly = 0,
+  hoaInflationPct = 0, maintInflationPct = 0, utilitiesInflationPct = 0,
+  escrow = true,
+  pmi: {
+    enabled: pmiEnabled = true,
+    type: pmiType = "bpmi",       // "bpmi" monthly | "single" premium | "lpmi" rate bump | "fha" MIP
+    dropLTV = 0.78,               // automatic termination on the scheduled balance
+    pmiPctAnnual = 0.6,
+    singlePremiumPct = 2.0,
+    lpmiRateBump = 0.25,
+    fhaUpfrontPct = 1.75,
+    fhaAnnualPct = 0.55,
+    requestCancel = false,        // borrower-requested cancellation
+    requestLTV = 0.8,
+    requestBasis = "original",    // "original" price or "appraised" (modeled home value)
+    requestAfterMonths = 24,
+  } = {},
+  program: {
+    type: programType = "custom",
+    financeFee = true,
+    vaUse = "first",
+    usdaUpfrontPct = 1,
+    usdaAnnualPct = 0.35,
+  } = {},
+  prepay: {
+    monthlyExtra = 0,
+    lumpSums = [],
+    yearly: { amount: yearlyExtra = 0, month: yearlyMonth = 3 } = {},
+  } = {},
+  refi: {
+    enabled: refiEnabled = false,
+    month: refiMonth = 61,
+    rate: refiRate = 5.5,
+    termYears: refiTermYears = 30,
+    closingCosts: refiClosingCosts = 0,
+    cashOut: refiCashOut = 0,
+    rollCosts: refiRollCosts = false,
+  } = {},
+  paymentFrequency = "monthly",
+  startDate = "2026-01",
+  appreciationPct = 0,        // annual home value growth
+  appreciationPath = [],      // optional % by year; overrides appreciationPct, last value carried forward
+  agentFeePct = 0,
+  sellingCostPct = 0,         // transfer taxes, concessions, etc. on top of the agent fee
+  borrowerTax = {},
+  horizonYears = 30,
+  discountRatePct = 5.0,
+}) {
+  const termMonths = bankTermYears * 12;
+  const horizonMonths = horizonYears * 12;
+
+  const principalBankFull = price - down;
+  const baseLoan = Math.max(principalBankFull - famAmt, 0);
+
+  // Mortgage insurance: FHA always carries MIP; the others only above 80% LTV.
+  // VA loans have none; USDA's annual guarantee fee takes its place whatever the pmi settings.
+  const miType = programType === "usda" ? "usda" : pmiType;
+  const initLTV = price > 0 ? baseLoan / price : 0;
+  const needsPMI = baseLoan > 0 && (miType === "usda"
+    || (programType !== "va" && pmiEnabled && (miType === "fha" || initLTV > 0.8)));
+  const annualMI = needsPMI && (miType === "fha" || miType === "usda");   // re-based yearly on the balance
+  const pmiSingleCost = needsPMI && miType === "single" ? baseLoan * singlePremiumPct / 100 : 0;
+  const lpmiBump = needsPMI && miType === "lpmi" ? lpmiRateBump : 0;
+  const pmiMonthlyBase = needsPMI && miType === "bpmi" ? (baseLoan * (pmiPctAnnual / 100)) / 12 : 0;
+  const fhaLifeOfLoan = initLTV > 0.9;   // under 10% down: MIP for the life of the loan, else 11 years
+
+  const upfrontFeePct = needsPMI && miType === "fha" ? fhaUpfrontPct
+    : programType === "va" ? vaFundingFeePct(price > 0 ? down / price * 100 : 0, vaUse)
+    : miType === "usda" ? usdaUpfrontPct : 0;
+  const upfrontFee = baseLoan * upfrontFeePct / 100;
+  const financedFee = financeFee ? upfrontFee : 0;
+
+  const principalBank = baseLoan + financedFee;
+  const bankRate = noteRate + lpmiBump;
+
+  const taxMonthly0 = (taxPct / 100) * price / 12;
+  const insMonthly0 = insuranceAnnual / 12;
+
+  const famTermMonths = famYears * 12;
+  const famRateM = toMonthlyRate(famRate);
+  const famPayStart = deferMonths + 1;
+  const famPayEnd = deferMonths + famTermMonths;
+  const famBalloonMonth = balloonYears > 0 ? balloonYears * 12 : null;
+  const famStep = mode === "graduated" ? 1 + gradStepPct / 100 : 1;
+  const famStepsAt = (m) => Math.floor((m - famPayStart) / 12);
+  // Level-or-graduated payment for month m that pays `balance` off by famPayEnd
+  const famPaymentFrom = (balance, m) => {
+    const n = famPayEnd - m + 1;
+    if (n <= 1) return balance * (1 + famRateM);
+    let pv = 0;
+    for (let k = 0; k < n; k++) {
+      pv += Math.pow(famStep, famStepsAt(m + k) - famStepsAt(m)) / Math.pow(1 + famRateM, k + 1);
+    }
+    return balance / pv;
+  };
+  let famBase = 0;          // scheduled payment in year famBaseStep of the repayment period
+  let famBaseStep = 0;
+  let famReamortize = true;
+
+  const bankMonthlyFixed = bankType === "fixed" ? pmt(principalBank, bankRate, termMonths) : 0;
+
+  // Temporary buydown: monthly escrow draw in loan year `year`, and the escrow that funds them all
+  const buydownCuts = bankType === "fixed" ? BUYDOWN_TYPES[buydownType]?.cuts ?? [] : [];
+  const buydownSubsidyIn = (year) => buydownCuts[year - 1]
+    ? bankMonthlyFixed - pmt(principalBank, Math.max(bankRate - buydownCuts[year - 1], 0), termMonths)
+    : 0;
+  const buydownEscrow = buydownCuts.reduce((a, _, i) => a + 12 * buydownSubsidyIn(i + 1), 0);
+
+  // Semi-monthly / bi-weekly: standard plans amortize over the term at that frequency,
+  // accelerated bi-weekly pays half the monthly payment 26 times a year
+  const freq = bankType === "fixed" && paymentFrequency !== "monthly" ? PAYMENT_FREQUENCIES[paymentFrequency] ?? null : null;
+  const periodRate = freq ? bankRate / 100 / freq.perYear : 0;
+  const periodPayment = !freq ? bankMonthlyFixed
+    : freq.accelerated ? bankMonthlyFixed / 2
+    : pmt(principalBank, bankRate, bankTermYears * freq.perYear, freq.perYear);
+  const payments = [];
+  let nextPayment = 1;
+
+  // Extra bank payments due in month m: recurring + dated lump sums + yearly extra in its calendar month
+  const prepayDue = (m) => monthlyExtra
+    + lumpSums.filter(ls => ls.month === m).reduce((s, ls) => s + (ls.amount || 0), 0)
+    + (yearlyExtra > 0 && calendarOf(startDate, m).month === yearlyMonth ? yearlyExtra : 0);
+
+  const indexPath = new Array(bankTermYears)
+    .fill(0)
+    .map((_, i) => indexForecast[i] ?? indexForecast[indexForecast.length - 1] ?? 0);
+  const armCeiling = bankRate + caps.lifetime;
+
+  const rows = [];
+  let bal = principalBank;
+  let famBal = famAmt;
+  let currentRate = bankRate;
+  let pmiActive = pmiMonthlyBase > 0 || annualMI;
+  let pmiEnd = null;
+  let annualMIMonthly = 0;
+  let schedBal = principalBank;   // balance without prepayments, for automatic PMI termination
+
+  let payoffMonth = null;
+  let refinanced = false;
+  let refiPayment = 0;
+  const refiTermMonths = refiTermYears * 12;
+  let homeValue = price;
+  const saleCostRate = (agentFeePct + sellingCostPct) / 100;
+
+  let cumFamilyInterest = 0;
+  let reinvestBal = 0;
+  let cumReinvestEarnings = 0;
+
+  for (let m = 1; m <= Math.min(horizonMonths, 720); m++) {
+    const year = Math.ceil(m / 12);
+    const taxMonthly = taxMonthly0 * Math.pow(1 + taxInflationPct / 100, year - 1);
+    const insMonthly = insMonthly0 * Math.pow(1 + insuranceInflationPct / 100, year - 1);
+    const hoa = hoaMonthly * Math.pow(1 + hoaInflationPct / 100, year - 1);
+    const maint = price * (maintPctAnnual / 100) / 12 * Math.pow(1 + maintInflationPct / 100, year - 1);
+    const util = utilitiesMonthly * Math.pow(1 + utilitiesInflationPct / 100, year - 1);
+
+    // Refinance: a new fixed-rate loan on the outstanding balance (+ cash-out, + rolled-in costs)
+    let refiCash = 0;
+    const refiThisMonth = refiEnabled && !refinanced && m === refiMonth && bal > 0 && m <= termMonths;
+    if (refiThisMonth) {
+      bal += refiCashOut + (refiRollCosts ? refiClosingCosts : 0);
+      refiCash = (refiRollCosts ? 0 : refiClosingCosts) - refiCashOut;
+      refiPayment = pmt(bal, refiRate, refiTermMonths);
+      refinanced = true;
+    }
+    const loanEndMonth = refinanced ? refiMonth + refiTermMonths - 1 : termMonths;
+    const ioPeriod = !refinanced && bankType === "io" && m <= ioMonths;
+    if (refiThisMonth) schedBal = bal;
+    const balStart = bal;
+
+    // Bank payment
+    let bankPayment = 0, bankInterest = 0, bankPrincipalPaid = 0, prepayThisMonth = 0;
+    const byPeriod = freq && !refinanced;
+    if (byPeriod && principalBank > 0 && bal > 0) {
+      let due = prepayDue(m);
+      for (let next = paymentDateOf(startDate, freq.perYear, nextPayment); bal > 0 && next.m === m;
+        next = paymentDateOf(startDate, freq.perYear, ++nextPayment)) {
+        const interest = bal * periodRate;
+        const principal = Math.min(Math.max(periodPayment - interest, 0), bal);
+        const extra = Math.min(due, bal - principal);
+        due = 0;
+        bal -= principal + extra;
+        if (bal <= 0.005) bal = 0;
+        if (schedBal > 0) schedBal = Math.max(schedBal - Math.max(periodPayment - schedBal * periodRate, 0), 0);
+        payments.push({
+          n: nextPayment, m, date: next.date,
+          payment: round2(interest + principal), interest: round2(interest), principal: round2(principal),
+          prepay: round2(extra), balance: round2(bal),
+        });
+        bankPayment += interest + principal;
+        bankInterest += interest;
+        bankPrincipalPaid += principal;
+        prepayThisMonth += extra;
+      }
+      if (bal === 0 && payoffMonth === null) payoffMonth = m;
+    } else if (principalBank > 0 && bal > 0 && m <= loanEndMonth) {
+      if (refinanced) {
+        bankPayment = refiPayment;
+      } else if (bankType === "fixed") {
+        bankPayment = bankMonthlyFixed;
+      } else if (ioPeriod) {
+        bankInterest = bal * toMonthlyRate(bankRate);
+        bankPayment = bankInterest;
+      } else if (bankType === "arm") {
+        if (m === 1) currentRate = bankRate;
+        const sinceFixed = m - 1 - fixedMonths;
+        if (sinceFixed >= 0 && sinceFixed % adjustMonths === 0) {
+          const yearIdx = Math.floor((m - 1) / 12);
+          const desired = (indexPath[yearIdx] ?? indexPath[indexPath.length - 1] ?? 0) + margin + lpmiBump;
+          const lastRate = currentRate;
+          const upCap = sinceFixed === 0 ? caps.first : caps.periodic;
+          currentRate = clamp(desired, lastRate - upCap, lastRate + upCap);
+          currentRate = Math.min(currentRate, armCeiling);
+        }
+        const remaining = termMonths - (m - 1);
+        bankPayment = pmt(bal, currentRate, Math.max(remaining, 1));
+      } else if (bankType === "io") {
+        // the balance amortizes over what's left of the term, so the loan still ends at termMonths
+        const remaining = termMonths - (m - 1);
+        bankPayment = pmt(bal, bankRate, Math.max(remaining, 1));
+      }
+
+      if (!ioPeriod) {
+        bankInterest = bal * toMonthlyRate(refinanced ? refiRate : bankType === "arm" ? currentRate : bankRate);
+      }
+      bankPrincipalPaid = Math.min(Math.max(bankPayment - bankInterest, 0), bal);
+      // final payment only covers what is left
+      bankPayment = Math.min(bankPayment, bankInterest + bankPrincipalPaid);
+
+      prepayThisMonth = Math.min(prepayDue(m), bal - bankPrincipalPaid);
+      bal -= bankPrincipalPaid + prepayThisMonth;
+      if (bal <= 0.005) {
+        bal = 0;
+        if (payoffMonth === null) payoffMonth = m;
+      }
+    }
+
+    // Scheduled balance follows the contract payments only (per payment above when byPeriod)
+    if (!byPeriod && schedBal > 0 && m <= loanEndMonth) {
+      const rate = refinanced ? refiRate : bankType === "arm" ? currentRate : bankRate;
+      const interest = schedBal * toMonthlyRate(rate);
+      const schedPayment = ioPeriod ? interest
+        : bankType === "fixed" && !refinanced ? bankMonthlyFixed
+        : pmt(schedBal, rate, Math.max(loanEndMonth - m + 1, 1));
+      schedBal = Math.max(schedBal - Math.max(schedPayment - interest, 0), 0);
+    }
+
+    // Home value grows monthly at the year's appreciation rate
+    const growthPct = appreciationPath.length
+      ? (appreciationPath[year - 1] ?? appreciationPath[appreciationPath.length - 1])
+      : appreciationPct;
+    homeValue *= Math.pow(1 + growthPct / 100, 1 / 12);
+
+    // PMI / MIP, ending on the first rule that applies this month
+    let pmiEndedBy = null;
+    if (pmiActive) {
+      if (bal <= 0) pmiEndedBy = "payoff";
+      else if (miType === "fha") {
+        if (!fhaLifeOfLoan && m > 132) pmiEndedBy = "fha_11yr";
+      } else if (miType === "usda") {
+        // guarantee fee runs for the life of the loan
+      } else if (requestCancel && m >= requestAfterMonths
+        && bal / (requestBasis === "appraised" ? homeValue : price) <= requestLTV) pmiEndedBy = "requested";
+      else if (schedBal / price <= dropLTV) pmiEndedBy = "automatic";
+      else if (m > termMonths / 2) pmiEndedBy = "midpoint";
+      if (pmiEndedBy) {
+        pmiActive = false;
+        pmiEnd = { month: m, rule: pmiEndedBy };
+      }
+    }
+    // FHA annual MIP and the USDA annual fee are re-based on the outstanding balance each loan year
+    if (annualMI && (m - 1) % 12 === 0) {
+      annualMIMonthly = balStart * (miType === "usda" ? usdaAnnualPct : fhaAnnualPct) / 100 / 12;
+    }
+    const pmiMonthly = !pmiActive ? 0 : annualMI ? annualMIMonthly : pmiMonthlyBase;
+
+    // Family payment. famPrincipal is payment minus interest, so it is negative while
+    // interest accrues (deferral) or a graduated payment is below the interest.
+    let famPayment = 0, famInterest = 0, famPrincipalPaid = 0;
+    let famPrepay = 0, famBalloon = 0, famForgiven = 0;
+    if (famBal > 0) {
+      famInterest = famBal * famRateM;
+      if (m < famPayStart) {
+        famPayment = deferInterest === "pay" ? famInterest : 0;
+      } else if (mode === "interest_only") {
+        famPayment = famInterest;
+      } else {
+        if (famReamortize) {
+          famBase = famPaymentFrom(famBal, m);
+          famBaseStep = famStepsAt(m);
+          famReamortize = false;
+        }
+        famPayment = famBase * Math.pow(famStep, famStepsAt(m) - famBaseStep);
+      }
+      famPayment = Math.min(famPayment, famBal + famInterest);
+      famPrincipalPaid = famPayment - famInterest;
+      famBal -= famPrincipalPaid;
+      cumFamilyInterest += famInterest;
+
+      // Extra payments (recurring + dated lump sums)
+      const famLumps = famLumpSums.filter(ls => ls.month === m).reduce((a, ls) => a + (ls.amount || 0), 0);
+      famPrepay = Math.min(famExtraMonthly + famLumps, famBal);
+      famBal -= famPrepay;
+
+      if (m === famBalloonMonth) {
+        famBalloon = famBal;
+        famBal = 0;
+      }
+
+      // Forgiveness: annual at each loan-year end plus dated lumps
+      const forgiveNow = (m % 12 === 0 ? forgiveAnnual : 0)
+        + forgiveLumps.filter(f => f.month === m).reduce((a, f) => a + (f.amount || 0), 0);
+      famForgiven = Math.min(forgiveNow, famBal);
+      famBal -= famForgiven;
+      if (famForgiven > 0) famReamortize = true;
+      if (famBal <= 0.005) famBal = 0;
+    }
+
+    // Reinvest earnings (for household math)
+    const rReinvest = toMonthlyRate(reinvestAnnualPct);
+    const reinvestEarnings = reinvestBal * rReinvest;
+    reinvestBal = reinvestBal * (1 + rReinvest) + famPayment + famPrepay + famBalloon;
+    cumReinvestEarnings += reinvestEarnings;
+
+    // Carrying costs
+    const escrowItems = escrow ? (taxMonthly + insMonthly) : 0;
+    const carrying = hoa + maint + util;
+    // Buydown escrow draws stop at a refinance (the leftover escrow isn't modelled)
+    const buydownSubsidy = !refinanced && bankPayment > 0 ? Math.min(buydownSubsidyIn(year), bankPayment) : 0;
+    const totalMonthly = (bankPayment || 0) - buydownSubsidy + prepayThisMonth + refiCash
+      + famPayment + famPrepay + famBalloon + pmiMonthly + escrowItems + carrying;
+
+    // Household delta (includes reinvest & taxed alternative)
+    const altReturnGross = famBal * toMonthlyRate(altAnnualPct);
+    const altReturnAfterTax = altReturnGross * (1 - altTaxPct / 100);
+    // forgiven principal is the family's loss, so it stays a household cost
+    const householdDelta = altReturnAfterTax - famInterest - reinvestEarnings + famForgiven;
+    const totalMonthlyHousehold = totalMonthly + householdDelta;
+
+    const equity = price - bal - famBal;
+
+    const marketEquity = homeValue - bal - famBal;
+    const netSaleProceeds = homeValue * (1 - saleCostRate) - bal - famBal;
+
+    rows.push({
+      m, year,
+      bankPayment: round2(bankPayment || 0),
+      bankInterest: round2(bankInterest),
+      bankPrincipal: round2(bankPrincipalPaid),
+      bankBalance: round2(Math.max(bal, 0)),
+      prepay: round2(prepayThisMonth),
+      bankRate: +(refinanced ? refiRate : bankType === "arm" ? currentRate : bankRate).toFixed(3),
+      refinanced: refiThisMonth,
+      refiCash: round2(refiCash),
+      buydownSubsidy: round2(buydownSubsidy),
+
+      famPayment: round2(famPayment),
+      famInterest: round2(famInterest),
+      famPrincipal: round2(famPrincipalPaid),
+      famBalance: round2(Math.max(famBal, 0)),
+      famPrepay: round2(famPrepay),
+      famBalloon: round2(famBalloon),
+      famForgiven: round2(famForgiven),
+
+      pmi: round2(pmiMonthly),
+      pmiEndedBy,
+      tax: round2(taxMonthly),
+      ins: round2(insMonthly),
+      hoa: round2(hoa),
+      maint: round2(maint),
+      util: round2(util),
+      escrow: round2(escrowItems),
+
+      totalMonthly: round2(totalMonthly),
+      totalMonthlyHousehold: round2(totalMonthlyHousehold),
+      householdDelta: round2(householdDelta),
+
+      equity: round2(equity),
+      homeValue: round2(homeValue),
+      marketEquity: round2(marketEquity),
+      netSaleProceeds: round2(netSaleProceeds),
+      totalInterestThisMonth: round2(bankInterest + famInterest),
+      totalPrincipalThisMonth: round2(bankPrincipalPaid + famPrincipalPaid),
+    });
+  }
+
+  // Deduction benefit is worked out per loan year and spread over its months
+  const tax = borrowerTaxSavings(rows, borrowerTax);
+  rows.forEach((r, i) => {
+    r.taxSavings = round2(tax.monthly[i]);
+    r.afterTaxMonthly = round2(r.totalMonthly - tax.monthly[i]);
+    r.afterTaxMonthlyHousehold = round2(r.totalMonthlyHousehold - tax.monthly[i]);
+  });
+
+  const bankFullMonthly = pmt(price - down, bankRate, termMonths);
+  const actualDebtMonthly = rows.map(r => (r.bankPayment || 0) + r.famPayment);
+  const monthlySavings = rows.map((_, i) => Math.max(bankFullMonthly - actualDebtMonthly[i], 0));
+
+  const pointsCost = Math.max(principalBank * (pointsPct / 100), -closingCosts);
+  const buydownCash = buydownPaidBy === "seller" ? 0 : buydownEscrow;
+  const initialOut = -(down + closingCosts + pointsCost + pmiSingleCost + upfrontFee - financedFee + buydownCash);
+  const cash_owner = [initialOut, ...rows.map(r => -r.totalMonthly)];
+  // terminal flow: sell at the horizon and repay both loans
+  cash_owner[cash_owner.length - 1] += rows[rows.length - 1]?.netSaleProceeds ?? 0;
+
+  const cash_house = [initialOut, ...rows.map(r => -r.totalMonthlyHousehold)];
+  cash_house[cash_house.length - 1] += rows[rows.length - 1]?.netSaleProceeds ?? 0;
+
+  const afterTax = (flows) => flows.map((v, i) => i === 0 ? v : v + tax.monthly[i - 1]);
+  const cash_owner_at = afterTax(cash_owner);
+  const cash_house_at = afterTax(cash_house);
+
+  const annualize = (r) => r == null ? null : +((1 + r) ** 12 - 1).toFixed(4);
+
+  const result = {
+    rows,
+    npv: +npv(discountRatePct, cash_owner).toFixed(2),
+    npvHousehold: +npv(discountRatePct, cash_house).toFixed(2),
+    monthlySavings: monthlySavings.map(v => round2(v)),
+    payoffMonth,
+    initialOutlay: -initialOut,
+    pmiEnd,
+    pmiUpfront: round2(pmiSingleCost),
+    pointsCost: round2(pointsCost),
+    buydownEscrow: round2(buydownEscrow),
+    payments,
+    periodPayment: round2(periodPayment),
+    upfrontFee: round2(upfrontFee),
+    financedFees: round2(financedFee),
+    taxYears: tax.years,
+    npvAfterTax: +npv(discountRatePct, cash_owner_at).toFixed(2),
+    npvHouseholdAfterTax: +npv(discountRatePct, cash_house_at).toFixed(2),
+  };
+  lazy(result, "irrAnnual", () => annualize(irr(cash_owner, 0.005)));
+  lazy(result, "irrAnnualHousehold", () => annualize(irr(cash_house, 0.005)));
+  lazy(result, "irrAnnualAfterTax", () => annualize(irr(cash_owner_at, 0.005)));
+  lazy(result, "irrAnnualHouseholdAfterTax", () => annualize(irr(cash_house_at, 0.005)));
+  return result;
+}
+
+// Bank interest over a schedule; in dollars at closing when inflationPct is given
+const bankInterestOf = (res, inflationPct) =>
+  (inflationPct == null ? res : toRealDollars(res, inflationPct)).rows.reduce((a, r) => a + r.bankInterest, 0);
+
+// Compares a config against the same config with every prepayment removed.
+// `withPrepay` is the config's own schedule, when the caller has already built it;
+// with inflationPct the interest saved is in real dollars.
+export function prepayImpact(cfg, withPrepay = buildSchedule(cfg), { inflationPct = null } = {}) {
+  const { monthlyExtra, lumpSums, yearly } = cfg.prepay ?? {};
+  const base = monthlyExtra || lumpSums?.length || yearly?.amount ? buildSchedule({ ...cfg, prepay: undefined }) : withPrepay;
+  const horizon = base.rows.length;
+  return {
+    payoffMonth: withPrepay.payoffMonth,
+    basePayoffMonth: base.payoffMonth,
+    monthsSaved: (base.payoffMonth ?? horizon) - (withPrepay.payoffMonth ?? horizon),
+    interestSaved: +(bankInterestOf(base, inflationPct) - bankInterestOf(withPrepay, inflationPct)).toFixed(2),
+  };
+}
+
+// Compares a config's payment frequency against paying the same bank loan monthly;
+// `chosen` is the config's own schedule, when the caller has already built it.
+// With inflationPct the interest saved is in real dollars; the payments are the scheduled amounts.
+export function frequencyImpact(cfg, chosen = buildSchedule(cfg), { inflationPct = null } = {}) {
+  const monthly = buildSchedule({ ...cfg, paymentFrequency: "monthly" });
+  const horizon = monthly.rows.length;
+  return {
+    payoffMonth: chosen.payoffMonth,
+    monthlyPayoffMonth: monthly.payoffMonth,
+    monthsSooner: (monthly.payoffMonth ?? horizon) - (chosen.payoffMonth ?? horizon),
+    interestSaved: +(bankInterestOf(monthly, inflationPct) - bankInterestOf(chosen, inflationPct)).toFixed(2),
+    periodPayment: chosen.periodPayment,
+    monthlyPayment: monthly.periodPayment,
+  };
+}
+
+// Fields of rows, payments and taxYears that aren't dollar amounts
+const NON_MONEY_FIELDS = new Set(["m", "n", "year", "months", "bankRate"]);
+
+/**
+ * A buildSchedule result restated in real dollars: every amount in loan month m is divided
+ * by (1 + inflationPct)^(m / 12), so it reads in dollars at closing. IRRs become real rates.
+ * NPVs, initialOutlay and the upfront fees are already valued at closing and are unchanged.
+ */
+export function toRealDollars(result, inflationPct) {
+  const deflator = (m) => Math.pow(1 + inflationPct / 100, -m / 12);
+  const deflate = (obj, m) => Object.fromEntries(Object.entries(obj).map(([k, v]) =>
+    [k, typeof v === "number" && !NON_MONEY_FIELDS.has(k) ? +(v * deflator(m)).toFixed(2) : v]));
+  const realRate = (r) => r == null ? null : +((1 + r) / (1 + inflationPct / 100) - 1).toFixed(4);
+  // copied by descriptor so the nominal IRRs are still only solved if a real one is read
+  const real = Object.defineProperties({}, Object.getOwnPropertyDescriptors(result));
+  Object.assign(real, {
+    rows: result.rows.map(r => deflate(r, r.m)),
+    payments: result.payments.map(p => deflate(p, p.m)),
+    monthlySavings: result.monthlySavings.map((v, i) => +(v * deflator(i + 1)).toFixed(2)),
+    taxYears: result.taxYears.map(t => deflate(t, t.year * 12)),
+    inflationPct,
+  });
+  for (const key of ["irrAnnual", "irrAnnualHousehold", "irrAnnualAfterTax", "irrAnnualHouseholdAfterTax"]) {
+    lazy(real, key, () => realRate(result[key]));
+  }
+  return real;
+}
+
+/**
+ * Rent-vs-buy net worth, year by year, for one buy schedule (a buildSchedule result).
+ * The renter invests what the buyer paid up front, and each month whichever side
+ * has the lower housing cost invests the difference at investReturnPct. The buyer's
+ * home is valued at the row's net sale proceeds (appreciation and selling costs
+ * come from the scenario).
+ * Returns { years: [{ year, rent, buy }], breakEvenYear } where breakEvenYear is
+ * the first year buying's net worth catches up with renting (null if never).
+ * With inflationPct both net worths are in dollars at closing (the break-even year is the same).
+ */
+export function rentVsBuy(result, {
+  rentMonthly = 0,
+  rentGrowthPct = 3,
+  investReturnPct = 6,
+  inflationPct = null,
+} = {}) {
+  const r = toMonthlyRate(investReturnPct);
+  let renterPortfolio = result.initialOutlay;
+  let buyerPortfolio = 0;
+  let breakEvenYear = null;
+  const years = [];
+
+  result.rows.forEach((row) => {
+    const rent = rentMonthly * Math.pow(1 + rentGrowthPct / 100, row.year - 1);
+    const diff = row.totalMonthly - rent;
+    renterPortfolio = renterPortfolio * (1 + r) + Math.max(diff, 0);
+    buyerPortfolio = buyerPortfolio * (1 + r) + Math.max(-diff, 0);
+
+    if (row.m % 12 === 0) {
+      const buy = row.netSaleProceeds + buyerPortfolio;
+      if (breakEvenYear === null && buy >= renterPortfolio) breakEvenYear = row.year;
+      const deflator = inflationPct == null ? 1 : Math.pow(1 + inflationPct / 100, -row.year);
+      years.push({ year: row.year, rent: +(renterPortfolio * deflator).toFixed(2), buy: +(buy * deflator).toFixed(2) });
+    }
+  });
+  return { years, breakEvenYear };
+}
+
+/**
+ * Compares a config with its refinance event against the same loan without it.
+ * Interest is compared over the full life of both loans, so the horizon is
+ * extended (up to 60 years) to cover the new term.
+ */
+export function refinanceAnalysis(cfg) {
+  const refi = cfg.refi ?? {};
+  if (!refi.enabled) return null;
+  const month = refi.month ?? 61;
+  const lifeYears = Math.min(Math.max(cfg.horizonYears ?? 30, cfg.bankTermYears, Math.ceil((month - 1) / 12 + (refi.termYears ?? 30))), 60);
+  const full = { ...cfg, horizonYears: lifeYears };
+  const withRefi = buildSchedule(full);
+  const without = buildSchedule({ ...full, refi: { ...refi, enabled: false } });
+
+  const refiRow = withRefi.rows[month - 1];
+  if (!refiRow?.refinanced) return null;
+
+  const oldPayment = without.rows[month - 1]?.bankPayment ?? 0;
+  const monthlySavings = oldPayment - refiRow.bankPayment;
+  const costs = refi.closingCosts ?? 0;
+
+  // first month where cumulative payment savings cover the closing costs
+  let breakEvenMonth = null;
+  let saved = 0;
+  for (let i = month - 1; i < withRefi.rows.length; i++) {
+    saved += (without.rows[i]?.bankPayment ?? 0) - withRefi.rows[i].bankPayment;
+    if (saved >= costs) { breakEvenMonth = i + 1; break; }
+  }
+
+  const interest = (res) => res.rows.reduce((a, r) => a + r.bankInterest, 0);
+  return {
+    month,
+    newBalance: +(refiRow.bankBalance + refiRow.bankPrincipal + refiRow.prepay).toFixed(2),
+    oldPayment,
+    newPayment: refiRow.bankPayment,
+    monthlySavings: +monthlySavings.toFixed(2),
+    breakEvenMonth,
+    monthsToBreakEven: breakEvenMonth === null ? null : breakEvenMonth - month + 1,
+    interestDifference: +(interest(withRefi) - interest(without)).toFixed(2),
+    payoffMonth: withRefi.payoffMonth,
+    basePayoffMonth: without.payoffMonth,
+  };
+}
+
+/**
+ * Rate sheet comparison: runs the config as a fixed-rate loan once per option ({ rate, points, buydown }; negative
+ * points are a lender credit) and prices each one as upfront cost (points or credit, plus a
+ * borrower-paid buydown escrow) plus bank interest and mortgage insurance, less buydown draws.
+ * The reference option is the one with points nearest zero and no buydown (par pricing);
+ * breakEvenMonth is when an option's running cost crosses the reference's: when paid points
+ * start to pay off, or when a credit stops being the cheaper choice (null if never).
+ * Returns { options: [{ ...option, upfront, payment, notePayment, costs: { [years]: cost },
+ * breakEvenMonth }], referenceIndex, bestIndex } with bestIndex cheapest at `expectedYears`.
+ */
+export function compareRateOptions(cfg, options, { holdYears = [3, 5, 7, 10], expectedYears = 7 } = {}) {
+  const years = Math.min(Math.max(...holdYears, expectedYears, 1), 60);
+  const runs = options.map(o => buildSchedule({
+    ...cfg, bankType: "fixed", bankRate: o.rate, pointsPct: o.points,
+    buydown: { ...cfg.buydown, type: o.buydown ?? "none" }, horizonYears: years,
+  }));
+  const upfrontOf = (res) => res.pointsCost + (cfg.buydown?.paidBy === "seller" ? 0 : res.buydownEscrow);
+  // running cost by month, index 0 = upfront
+  const curves = runs.map(res => {
+    const curve = [upfrontOf(res)];
+    res.rows.forEach(r => curve.push(curve[curve.length - 1] + r.bankInterest + r.pmi - r.buydownSubsidy));
+    return curve;
+  });
+  const costAt = (i, y) => {
+    const curve = curves[i];
+    return runs[i].invalid ? null : +curve[Math.min(y * 12, curve.length - 1)].toFixed(2);
+  };
+
+  const parDistance = (o) => (o.buydown ?? "none") === "none" ? Math.abs(o.points) : Infinity;
+  let referenceIndex = 0;
+  options.forEach((o, i) => { if (parDistance(o) < parDistance(options[referenceIndex])) referenceIndex = i; });
+  const refCurve = curves[referenceIndex];
+
+  const result = options.map((o, i) => {
+    const res = runs[i];
+    let breakEvenMonth = null;
+    const start = curves[i][0] - refCurve[0];
+    if (!res.invalid && i !== referenceIndex && Math.abs(start) > 0.005) {
+      for (let m = 1; m < Math.min(curves[i].length, refCurve.length); m++) {
+        if (Math.sign(curves[i][m] - refCurve[m]) !== Math.sign(start)) { breakEvenMonth = m; break; }
+      }
+    }
+    return {
+      ...o,
+      upfront: res.invalid ? null : +upfrontOf(res).toFixed(2),
+      payment: res.rows[0] ? +(res.rows[0].bankPayment - res.rows[0].buydownSubsidy).toFixed(2) : null,
+      notePayment: res.rows[0]?.bankPayment ?? null,
+      costs: Object.fromEntries(holdYears.map(y => [y, costAt(i, y)])),
+      breakEvenMonth,
+    };
+  });
+
+  let bestIndex = null;
+  result.forEach((_, i) => {
+    const c = costAt(i, expectedYears);
+    if (c != null && (bestIndex === null || c < costAt(bestIndex, expectedYears))) bestIndex = i;
+  });
+  return { options: result, referenceIndex, bestIndex };
+}
+
+export const PMI_END_RULES = {
+  requested: "Borrower-requested cancellation",
+  automatic: "Automatic termination (scheduled LTV)",
+  midpoint: "Final termination at mid-term",
+  fha_11yr: "FHA MIP 11-year term",
+  payoff: "Loan paid off",
+};
+
+// Family balance before the month's payment, extra payments, balloon and forgiveness
+const famBalanceStart = (r) => r.famBalance + r.famPrincipal + (r.famPrepay ?? 0) + (r.famBalloon ?? 0) + (r.famForgiven ?? 0);
+
+// 2026 federal figures; the SALT cap phases down above $500k MAGI, so enter the reduced cap if that applies
+export const FILING_STATUSES = {
+  single: { label: "Single",                    standardDeduction: 16_100, saltCap: 40_400, acquisitionLimit: 750_000 },
+  mfj:    { label: "Married filing jointly",    standardDeduction: 32_200, saltCap: 40_400, acquisitionLimit: 750_000 },
+  mfs:    { label: "Married filing separately", standardDeduction: 16_100, saltCap: 20_200, acquisitionLimit: 375_000 },
+  hoh:    { label: "Head of household",         standardDeduction: 24_150, saltCap: 40_400, acquisitionLimit: 750_000 },
+};
+
+/**
+ * Federal tax benefit of owning, per loan year: itemized deductions (mortgage interest
+ * on up to `acquisitionLimit` of average debt, plus property tax within the SALT cap)
+ * against the standard deduction. The benefit is the extra deduction over what the
+ * borrower would claim anyway (standard, or other itemized items alone) times marginalPct.
+ * Family-loan interest only counts when `familyDeductible` (loan secured by the home).
+ * Deduction amounts default from FILING_STATUSES; a partial last year is pro-rated.
+ * Returns { years: [{ year, interest, deductibleInterest, propertyTax, salt, itemized,
+ * standardDeduction, itemizes, savings }], monthly[] } with savings spread over the year's months.
+ */
+export function borrowerTaxSavings(rows, {
+  enabled = false,
+  filingStatus = "mfj",
+  marginalPct = 0,
+  standardDeduction,
+  saltCap,
+  acquisitionLimit,
+  otherSaltAnnual = 0,      // state income tax etc. that shares the SALT cap
+  otherItemizedAnnual = 0,  // charity and other itemized deductions
+  familyDeductible = false,
+} = {}) {
+  const monthly = rows.map(() => 0);
+  const years = [];
+  if (!enabled) return { years, monthly };
+  const status = FILING_STATUSES[filingStatus] ?? FILING_STATUSES.mfj;
+  const std = standardDeduction ?? status.standardDeduction;
+  const cap = saltCap ?? status.saltCap;
+  const limit = acquisitionLimit ?? status.acquisitionLimit;
+
+  for (let start = 0; start < rows.length; start += 12) {
+    const yr = rows.slice(start, start + 12);
+    const share = yr.length / 12;
+    const sum = (fn) => yr.reduce((a, r) => a + fn(r), 0);
+    const interest = sum(r => r.bankInterest + (familyDeductible ? r.famInterest : 0));
+    // average balance at the start of each month
+    const avgDebt = sum(r => r.bankBalance + r.bankPrincipal + r.prepay
+      + (familyDeductible ? famBalanceStart(r) : 0)) / yr.length;
+    const deductibleInterest = avgDebt > limit ? interest * limit / avgDebt : interest;
+    const propertyTax = sum(r => r.tax);
+    const salt = Math.min(propertyTax + otherSaltAnnual * share, cap * share);
+    const itemized = deductibleInterest + salt + otherItemizedAnnual * share;
+    const withoutHome = Math.min(otherSaltAnnual, cap) * share + otherItemizedAnnual * share;
+    const stdYear = std * share;
+    const savings = (Math.max(itemized, stdYear) - Math.max(withoutHome, stdYear)) * marginalPct / 100;
+    years.push({
+      year: yr[0].year,
+      interest: +interest.toFixed(2),
+      deductibleInterest: +deductibleInterest.toFixed(2),
+      propertyTax: +propertyTax.toFixed(2),
+      salt: +salt.toFixed(2),
+      itemized: +itemized.toFixed(2),
+      standardDeduction: +stdYear.toFixed(2),
+      itemizes: itemized > stdYear,
+      savings: +savings.toFixed(2),
+    });
+    yr.forEach((_, i) => { monthly[start + i] = savings / yr.length; });
+  }
+  return { years, monthly };
+}
+
+// Which AFR applies: short-term up to 3 years, mid-term over 3 up to 9, long-term over 9
+export const afrTermOf = (termYears) => termYears <= 3 ? "short" : termYears <= 9 ? "mid" : "long";
+
+/**
+ * Gift exposure of a family loan, per loan year, from a buildSchedule result's rows.
+ * When the loan rate is below the Applicable Federal Rate, the interest not charged
+ * (month-start balance x AFR minus interest paid) is treated as a gift; principal
+ * forgiven that year is added. Gifts above the annual exclusion (per lender, per
+ * borrower) use up the lifetime exemption.
+ *   family  { rate, termYears, afrShortPct, afrMidPct, afrLongPct, lenders, borrowers,
+ *             annualExclusion, lifetimeExemption }
+ * Returns { afrTerm, afrPct, belowAFR, exclusion, years: [{ year, interestCharged,
+ * interestAtAFR, forgoneInterest, forgiven, gift, taxableGift, cumulativeTaxable,
+ * exemptionLeft }] }.
+ */
+export function familyGiftReport(rows, {
+  rate = 0,
+  termYears = 30,
+  afrShortPct = 0, afrMidPct = 0, afrLongPct = 0,
+  lenders = 1, borrowers = 1,
+  annualExclusion = 19_000,
+  lifetimeExemption = 15_000_000,
+} = {}) {
+  const afrTerm = afrTermOf(termYears);
+  const afrPct = { short: afrShortPct, mid: afrMidPct, long: afrLongPct }[afrTerm];
+  const belowAFR = rate < afrPct;
+  const exclusion = annualExclusion * Math.max(lenders, 1) * Math.max(borrowers, 1);
+  const years = [];
+  let cumulativeTaxable = 0;
+  for (let start = 0; start < rows.length; start += 12) {
+    const yr = rows.slice(start, start + 12);
+    if (!yr.some(r => famBalanceStart(r) > 0)) break;
+    const interestCharged = yr.reduce((a, r) => a + r.famInterest, 0);
+    const interestAtAFR = yr.reduce((a, r) => a + famBalanceStart(r) * toMonthlyRate(afrPct), 0);
+    const forgoneInterest = belowAFR ? Math.max(interestAtAFR - interestCharged, 0) : 0;
+    const forgiven = yr.reduce((a, r) => a + (r.famForgiven ?? 0), 0);
+    const gift = forgoneInterest + forgiven;
+    const taxableGift = Math.max(gift - exclusion, 0);
+    cumulativeTaxable += taxableGift;
+    years.push({
+      year: yr[0].year,
+      interestCharged: +interestCharged.toFixed(2),
+      interestAtAFR: +interestAtAFR.toFixed(2),
+      forgoneInterest: +forgoneInterest.toFixed(2),
+      forgiven: +forgiven.toFixed(2),
+      gift: +gift.toFixed(2),
+      taxableGift: +taxableGift.toFixed(2),
+      cumulativeTaxable: +cumulativeTaxable.toFixed(2),
+      exemptionLeft: +Math.max(lifetimeExemption - cumulativeTaxable, 0).toFixed(2),
+    });
+  }
+  return { afrTerm, afrPct, belowAFR, exclusion, years };
+}
+
+export const DTI_PRESETS = {
+  conventional: { label: "Conventional", frontPct: 28, backPct: 36 },
+  fha:          { label: "FHA",          frontPct: 31, backPct: 43 },
+  jumbo:        { label: "Jumbo",        frontPct: 28, backPct: 38 },
+};
+
+// Month-1 housing expense used for DTI: all mortgage debt service, PMI, taxes, insurance, HOA
+export const housingExpense = (row) =>
+  (row?.bankPayment ?? 0) + (row?.famPayment ?? 0) + (row?.pmi ?? 0) + (row?.tax ?? 0) + (row?.ins ?? 0) + (row?.hoa ?? 0);
+
+/**
+ * Debt-to-income check and reverse solve for the largest price the income supports.
+ * `cfg` is an engine config; its down payment and family loan stay fixed while the
+ * price varies. Returns the current ratios plus { maxPrice, maxLoan, maxHousing, limitedBy }.
+ */
+export function affordability(cfg, { incomeAnnual = 0, otherDebtsMonthly = 0, frontPct = 28, backPct = 36 } = {}) {
+  const income = incomeAnnual / 12;
+  const firstRow = (price) => buildSchedule({ ...cfg, price, horizonYears: 1 }).rows[0];
+  const ratios = (housing) => ({
+    front: income > 0 ? housing / income : Infinity,
+    back: income > 0 ? (housing + otherDebtsMonthly) / income : Infinity,
+  });
+
+  const housingNow = housingExpense(firstRow(cfg.price));
+  const now = ratios(housingNow);
+  const maxHousing = Math.max(Math.min(income * frontPct / 100, income * backPct / 100 - otherDebtsMonthly), 0);
+  const limitedBy = income * frontPct / 100 <= income * backPct / 100 - otherDebtsMonthly ? "front" : "back";
+
+  // housing cost rises with price, so bisect on price; a price the inputs reject
+  // (family loan over what's left to borrow, program limits) doesn't fit
+  const fits = (price) => {
+    const row = firstRow(price);
+    return row !== undefined && housingExpense(row) <= maxHousing;
+  };
+  const minPrice = cfg.down ?? 0;
+  let lo = Math.max(minPrice + Math.max(cfg.family?.amount || 0, 0), 1), hi = Math.max(lo * 2, 100_000);
+  let maxPrice = null;
+  if (fits(lo)) {
+    while (fits(hi) && hi < 1e9) { lo = hi; hi *= 2; }
+    for (let i = 0; i < 60 && hi - lo > 1; i++) {
+      const mid = (lo + hi) / 2;
+      if (fits(mid)) lo = mid; else hi = mid;
+    }
+    maxPrice = Math.floor(lo);
+  }
+
+  return {
+    housing: +housingNow.toFixed(2),
+    frontRatio: now.front,
+    backRatio: now.back,
+    frontOk: now.front <= frontPct / 100,
+    backOk: now.back <= backPct / 100,
+    maxHousing: +maxHousing.toFixed(2),
+    maxPrice,
+    maxLoan: maxPrice === null ? null : Math.max(maxPrice - minPrice, 0),
+    limitedBy,
+  };
+}
+
+// Temporary buydowns: rate cut (points below the note rate) in each of the first years
+export const BUYDOWN_TYPES = {
+  none:    { label: "None",  cuts: [] },
+  "1-0":   { label: "1-0",   cuts: [1] },
+  "2-1":   { label: "2-1",   cuts: [2, 1] },
+  "3-2-1": { label: "3-2-1", cuts: [3, 2, 1] },
+};
+
+// perYear: payments a year; accelerated: half the monthly payment, so 13 monthly payments a year
+export const PAYMENT_FREQUENCIES = {
+  monthly: { label: "Monthly", perYear: 12 },
+  semimonthly: { label: "Semi-monthly (24 / yr)", perYear: 24 },
+  biweekly: { label: "Bi-weekly (26 / yr)", perYear: 26 },
+  accelerated: { label: "Accelerated bi-weekly", perYear: 26, accelerated: true },
+};
+
+export const ARM_PRODUCTS = [
+  { id: "5/1",  fixedMonths: 60,  adjustMonths: 12 },
+  { id: "7/1",  fixedMonths: 84,  adjustMonths: 12 },
+  { id: "10/1", fixedMonths: 120, adjustMonths: 12 },
+  { id: "5/6",  fixedMonths: 60,  adjustMonths: 6 },
+  { id: "7/6",  fixedMonths: 84,  adjustMonths: 6 },
+  { id: "10/6", fixedMonths: 120, adjustMonths: 6 },
+];
+
+// Year-by-year % paths (ARM index, appreciation) starting from `start`
+export function yearPathPreset(kind, start, years) {
+  const step = kind === "rising" ? 0.25 : kind === "falling" ? -0.25 : 0;
+  return new Array(years).fill(0).map((_, i) => +Math.max(start + step * Math.min(i, 12), 0).toFixed(3));
+}
+
+export function buildScenarioVariants(cfg) {
+  const withFamily = buildSchedule({ ...cfg, down: cfg.downWithFamily });
+  const bankOnly   = buildSchedule({ ...cfg, family: { ...cfg.family, amount: 0 }, down: cfg.downBankOnly });
+  return { withFamily, bankOnly };
+}
+
+export function configForVariant(cfg, variant) {
+  if (variant === "bank") {
+    return { ...cfg, down: cfg.downBankOnly, family: { ...cfg.family, amount: 0 } };
+  }
+  return { ...cfg, down: cfg.downWithFamily };
+}
+
+// Row fields that add up over a year; everything else is taken from the year's last month
+const FLOW_FIELDS = [
+  "bankPayment", "bankInterest", "bankPrincipal", "prepay", "refiCash", "buydownSubsidy",
+  "famPayment", "famInterest", "famPrincipal", "famPrepay", "famBalloon", "famForgiven",
+  "pmi", "tax", "ins", "hoa", "maint", "util", "escrow",
+  "totalMonthly", "totalMonthlyHousehold", "householdDelta",
+  "totalInterestThisMonth", "totalPrincipalThisMonth",
+  "taxSavings", "afterTaxMonthly", "afterTaxMonthlyHousehold",
+];
+
+/** Rolls monthly rows up to one row per year (flows summed, balances at year end). */
+export function rollupAnnual(rows) {
+  const years = [];
+  rows.forEach((r) => {
+    let y = years[r.year - 1];
+    if (!y) {
+      y = years[r.year - 1] = { ...r, months: 0 };
+      FLOW_FIELDS.forEach(k => { y[k] = 0; });
+    }
+    FLOW_FIELDS.forEach(k => { y[k] += r[k] ?? 0; });
+    Object.keys(r).forEach(k => { if (!FLOW_FIELDS.includes(k)) y[k] = r[k]; });
+    y.refinanced = y.refinanced || r.refinanced;
+    y.months += 1;
+  });
+  return years.map(y => {
+    FLOW_FIELDS.forEach(k => { y[k] = +y[k].toFixed(2); });
+    return y;
+  });
+}
+
+/**
+ * Notable events per month, for highlighting schedule rows: PMI drop-off, ARM
+ * resets, end of the interest-only period, lump-sum prepayments, refinance,
+ * family-loan payment start, balloon and forgiveness, and payoff. Returns a Map of month -> [{ type, label }].
+ */
+export function scheduleEvents(rows, cfg = {}) {
+  const events = new Map();
+  const add = (m, type, label) => {
+    if (!events.has(m)) events.set(m, []);
+    events.get(m).push({ type, label });
+  };
+  const monthlyExtra = cfg.prepay?.monthlyExtra ?? 0;
+  const famExtra = cfg.family?.extraMonthly ?? 0;
+  const famDefer = cfg.family?.deferMonths ?? 0;
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    if (r.pmiEndedBy) add(r.m, "pmi", `PMI ends: ${PMI_END_RULES[r.pmiEndedBy]}`);
+    if (r.refinanced) add(r.m, "refi", `Refinanced at ${r.bankRate}%`);
+    else if (prev && cfg.bankType === "arm" && r.bankRate !== prev.bankRate && r.bankPayment > 0) {
+      add(r.m, "arm", `ARM reset to ${r.bankRate}%`);
+    }
+    if (cfg.bankType === "io" && cfg.ioMonths > 0 && r.m === cfg.ioMonths + 1 && !rows.slice(0, i).some(x => x.refinanced)) {
+      add(r.m, "io", "Interest-only period ends");
+    }
+    if (r.prepay > monthlyExtra + 0.005) add(r.m, "prepay", `Prepayment ${Math.round(r.prepay - monthlyExtra).toLocaleString()}`);
+    if (prev && prev.bankBalance > 0 && r.bankBalance === 0) add(r.m, "payoff", "Bank loan paid off");
+    if (famDefer > 0 && r.m === famDefer + 1 && famBalanceStart(r) > 0) add(r.m, "family", "Family payments start");
+    if (r.famPrepay > famExtra + 0.005) add(r.m, "prepay", `Family prepayment ${Math.round(r.famPrepay - famExtra).toLocaleString()}`);
+    if (r.famForgiven > 0) add(r.m, "forgive", `Family forgives ${Math.round(r.famForgiven).toLocaleString()}`);
+    if (r.famBalloon > 0) add(r.m, "family", `Family balloon ${Math.round(r.famBalloon).toLocaleString()}`);
+    else if (prev && prev.famBalance > 0 && r.famBalance === 0) add(r.m, "payoff", "Family loan paid off");
+  });
+  return events;
+}
+
+export const CSV_COLUMNS = [
+  ["Month", "m"], ["BankPayment", "bankPayment"], ["BankInterest", "bankInterest"], ["BankPrincipal", "bankPrincipal"],
+  ["BankBalance", "bankBalance"], ["Prepay", "prepay"], ["BankRate", "bankRate"], ["RefiCash", "refiCash"],
+  ["FamilyPayment", "famPayment"], ["FamilyInterest", "famInterest"], ["FamilyPrincipal", "famPrincipal"], ["FamilyBalance", "famBalance"],
+  ["PMI", "pmi"], ["Tax", "tax"], ["Insurance", "ins"], ["HOA", "hoa"], ["Maintenance", "maint"], ["Utilities", "util"], ["Escrow", "escrow"],
+  ["TotalMonthly", "totalMonthly"], ["HHMonthly", "totalMonthlyHousehold"], ["Equity", "equity"],
+  ["HomeValue", "homeValue"], ["MarketEquity", "marketEquity"], ["NetSaleProceeds", "netSaleProceeds"],
+  ["TaxSavings", "taxSavings"], ["AfterTaxMonthly", "afterTaxMonthly"], ["BuydownSubsidy", "buydownSubsidy"],
+];
+
+export function scheduleToCSV(rows) {
+  const header = CSV_COLUMNS.map(([h]) => h);
+  return [header, ...rows.map(r => CSV_COLUMNS.map(([, k]) => r[k]))].map(r => r.join(",")).join("\n");
+}
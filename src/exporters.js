@@ -0,0 +1,99 @@
+/* =============== Exports: long-format CSV, schedule JSON, XLSX workbook =============== */
+import { buildSchedule, configForVariant, rollupAnnual, toRealDollars, CSV_COLUMNS } from "./engine.js";
+import { writeXlsx } from "./xlsx.js";
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break
+export function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const toCSV = (rows) => rows.map(r => r.map(csvCell).join(",")).join("\r\n");
+
+// Runs each saved scenario ({ id, name, cfg, variant }) through the engine; with an
+// inflationPct the results are restated in real dollars (see toRealDollars)
+export function exportItems(scenarios, inflationPct = null) {
+  return scenarios.map(s => {
+    const cfg = configForVariant(s.cfg, s.variant);
+    const res = buildSchedule(cfg);
+    return { id: s.id, name: s.name, variant: s.variant, cfg, res: inflationPct == null ? res : toRealDollars(res, inflationPct) };
+  });
+}
+
+const dollarsOf = (it) => it.res.inflationPct == null ? "nominal" : `real (${it.res.inflationPct}% inflation)`;
+
+/** Every scenario's monthly rows in one table, keyed by a Scenario and Variant column. */
+export function longFormatCSV(items) {
+  const header = ["Scenario", "Variant", ...CSV_COLUMNS.map(([h]) => h)];
+  const rows = items.flatMap(it => it.res.rows.map(r => [it.name, it.variant, ...CSV_COLUMNS.map(([, k]) => r[k])]));
+  return toCSV([header, ...rows]);
+}
+
+/** Engine input and full buildSchedule output for each scenario. */
+export function scheduleJSON(items) {
+  return {
+    exportedAt: new Date().toISOString(),
+    scenarios: items.map(it => ({ name: it.name, variant: it.variant, dollars: dollarsOf(it), input: it.cfg, output: it.res })),
+  };
+}
+
+// Flattens a config to [["family.rate", 4.5], ...]; arrays are written as JSON
+function flattenInputs(obj, prefix = "") {
+  return Object.entries(obj).flatMap(([k, v]) => {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v !== null && typeof v === "object" && !Array.isArray(v)) return flattenInputs(v, path);
+    return [[path, Array.isArray(v) ? JSON.stringify(v) : v]];
+  });
+}
+
+const ANNUAL_COLUMNS = [
+  ["Year", "year"], ["Months", "months"],
+  ["BankPayment", "bankPayment"], ["Prepay", "prepay"], ["BankInterest", "bankInterest"], ["BankPrincipal", "bankPrincipal"], ["BankBalance", "bankBalance"],
+  ["FamilyPayment", "famPayment"], ["FamilyInterest", "famInterest"], ["FamilyPrincipal", "famPrincipal"], ["FamilyBalance", "famBalance"],
+  ["PMI", "pmi"], ["Tax", "tax"], ["Insurance", "ins"], ["HOA", "hoa"], ["Maintenance", "maint"], ["Utilities", "util"],
+  ["TotalCost", "totalMonthly"], ["HHCost", "totalMonthlyHousehold"], ["TaxSavings", "taxSavings"],
+  ["HomeValue", "homeValue"], ["NetSaleProceeds", "netSaleProceeds"],
+];
+
+const COMPARISON_ROWS = [
+  ["Variant", (it) => it.variant],
+  ["Dollars", dollarsOf],
+  ["Monthly cost (month 1)", (it) => it.res.rows[0]?.totalMonthly ?? null],
+  ["Monthly cost after tax (month 1)", (it) => it.res.rows[0]?.afterTaxMonthly ?? null],
+  ["Cash at closing", (it) => it.res.initialOutlay],
+  ["Total interest", (it) => +it.res.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0).toFixed(2)],
+  ["Equity @ 10 years", (it) => it.res.rows[119]?.equity ?? null],
+  ["Bank payoff month", (it) => it.res.payoffMonth],
+  ["IRR owner", (it) => it.res.irrAnnual],
+  ["IRR household", (it) => it.res.irrAnnualHousehold],
+  ["IRR owner after tax", (it) => it.res.irrAnnualAfterTax],
+  ["NPV owner", (it) => it.res.npv],
+  ["NPV household", (it) => it.res.npvHousehold],
+  ["NPV owner after tax", (it) => it.res.npvAfterTax],
+];
+
+/**
+ * Workbook sheets: a comparison sheet, then inputs / monthly / annual sheets per scenario.
+ * Returns the sheet list for writeXlsx.
+ */
+export function scenarioSheets(items) {
+  const sheets = [{
+    name: "Comparison",
+    rows: [["Measure", ...items.map(it => it.name)], ...COMPARISON_ROWS.map(([label, get]) => [label, ...items.map(get)])],
+  }];
+  for (const it of items) {
+    sheets.push({ name: `${it.name.slice(0, 22)} inputs`, rows: [["Input", "Value"], ...flattenInputs(it.cfg)] });
+    sheets.push({
+      name: `${it.name.slice(0, 22)} monthly`,
+      rows: [CSV_COLUMNS.map(([h]) => h), ...it.res.rows.map(r => CSV_COLUMNS.map(([, k]) => r[k]))],
+    });
+    sheets.push({
+      name: `${it.name.slice(0, 22)} annual`,
+      rows: [ANNUAL_COLUMNS.map(([h]) => h), ...rollupAnnual(it.res.rows).map(y => ANNUAL_COLUMNS.map(([, k]) => y[k]))],
+    });
+  }
+  return sheets;
+}
+
+export const scenarioWorkbook = (items) => writeXlsx(scenarioSheets(items));
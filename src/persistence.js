@@ -0,0 +1,185 @@
+/* =============== Scenario persistence (localStorage + JSON files) =============== */
+import { ENUM_RULES } from "./validation.js";
+
+export const SCHEMA_VERSION = 1;
+export const STORAGE_KEY = "mortgage-scenario-pro:scenarios";
+
+// Element shapes for arrays whose preset value is empty
+const ITEM_SHAPES = {
+  "prepay.lumpSums": { month: 0, amount: 0 },
+  "family.lumpSums": { month: 0, amount: 0 },
+  "family.forgiveLumps": { month: 0, amount: 0 },
+  "appreciationPath": 0,
+};
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const kindOf = (v) => Array.isArray(v) ? "array" : v === null ? "null" : typeof v;
+
+// Values for fields missing from older saves where the preset value would change
+// their results: appreciation, selling costs, tax deductions and cost escalation
+// were added later and stay off until the user sets them.
+const NEUTRAL_FILLS = {
+  appreciationPct: 0, agentFeePct: 0, sellingCostPct: 0,
+  hoaInflationPct: 0, maintInflationPct: 0, utilitiesInflationPct: 0,
+  "borrowerTax.enabled": false,
+};
+
+// Shape value for a missing field, with neutral fills applied at and below `path`
+function fill(shape, path) {
+  if (path in NEUTRAL_FILLS) return NEUTRAL_FILLS[path];
+  if (!isPlainObject(shape)) return structuredClone(shape);
+  return Object.fromEntries(Object.entries(shape).map(([k, v]) => [k, fill(v, path ? `${path}.${k}` : k)]));
+}
+
+// Checks `value` against `shape` (a preset-like object). Missing fields are
+// filled from the shape (or NEUTRAL_FILLS) and reported; fields of the wrong type, or outside
+// ENUM_RULES, are reported as errors and replaced by the shape's value, so one bad field doesn't
+// cost the rest.
+function checkShape(value, shape, path, issues) {
+  if (isPlainObject(shape)) {
+    if (!isPlainObject(value)) {
+      issues.errors.push(`${path || "cfg"}: expected object, got ${kindOf(value)}`);
+      return structuredClone(shape);
+    }
+    const out = { ...value };
+    for (const key of Object.keys(shape)) {
+      const p = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        issues.missing.push(p);
+        out[key] = fill(shape[key], p);
+      } else {
+        out[key] = checkShape(value[key], shape[key], p, issues);
+      }
+    }
+    return out;
+  }
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) {
+      issues.errors.push(`${path}: expected array, got ${kindOf(value)}`);
+      return structuredClone(shape);
+    }
+    const item = ITEM_SHAPES[path] ?? shape[0];
+    if (item === undefined) return value;
+    return value.map((v, i) => checkShape(v, item, `${path}[${i}]`, issues));
+  }
+  if (typeof shape === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      issues.errors.push(`${path}: expected number, got ${JSON.stringify(value)}`);
+      return shape;
+    }
+    return value;
+  }
+  if (typeof value !== typeof shape) {
+    issues.errors.push(`${path}: expected ${typeof shape}, got ${kindOf(value)}`);
+    return shape;
+  }
+  if (ENUM_RULES[path] && !ENUM_RULES[path].includes(value)) {
+    issues.errors.push(`${path}: expected one of ${ENUM_RULES[path].join(", ")}, got ${JSON.stringify(value)}`);
+    return shape;
+  }
+  return value;
+}
+
+// Older saves: version 0 was a bare array of scenarios
+function migrate(data) {
+  if (Array.isArray(data)) return { version: 1, activeId: data[0]?.id, scenarios: data };
+  return data;
+}
+
+/**
+ * Validates a saved scenario set against the preset config shape.
+ * Returns { scenarios, activeId, missing, errors }. Missing fields are filled from `preset`
+ * (or NEUTRAL_FILLS, so an older save gives the results it gave when saved),
+ * and so are fields with the wrong type (listed in `errors`); `scenarios` is null only
+ * when the set can't be used at all (no scenarios list, or a newer schema).
+ */
+export function validateScenarioSet(raw, preset) {
+  const issues = { missing: [], errors: [] };
+  const data = migrate(raw);
+  if (!isPlainObject(data) || !Array.isArray(data.scenarios)) {
+    return { scenarios: null, activeId: null, missing: [], errors: ["File does not contain a scenarios list"] };
+  }
+  if (typeof data.version === "number" && data.version > SCHEMA_VERSION) {
+    return { scenarios: null, activeId: null, missing: [], errors: [`Schema version ${data.version} is newer than supported (${SCHEMA_VERSION})`] };
+  }
+
+  const seen = new Set();
+  const scenarios = data.scenarios.map((s, i) => {
+    const at = `scenarios[${i}]`;
+    if (!isPlainObject(s)) {
+      issues.errors.push(`${at}: expected object, got ${kindOf(s)}`);
+      return null;
+    }
+    let id = s.id;
+    if (typeof id !== "number" || seen.has(id)) {
+      if (id !== undefined) issues.errors.push(`${at}.id: expected unique number, got ${JSON.stringify(id)}`);
+      else issues.missing.push(`${at}.id`);
+      id = Math.max(0, ...seen) + 1;
+    }
+    seen.add(id);
+    const name = typeof s.name === "string" ? s.name : `Scenario ${id}`;
+    if (typeof s.name !== "string") (s.name === undefined ? issues.missing : issues.errors).push(`${at}.name`);
+    let variant = s.variant;
+    if (variant !== "bank" && variant !== "family") {
+      if (variant === undefined) issues.missing.push(`${at}.variant`);
+      else issues.errors.push(`${at}.variant: expected "bank" or "family", got ${JSON.stringify(variant)}`);
+      variant = "family";
+    }
+    const sub = { missing: [], errors: [] };
+    const cfg = checkShape(s.cfg, preset, "", sub);
+    issues.missing.push(...sub.missing.map(p => `${at}.cfg.${p}`));
+    issues.errors.push(...sub.errors.map(p => `${at}.${p.startsWith("cfg") ? "" : "cfg."}${p}`));
+    return { id, name, cfg, variant };
+  }).filter(Boolean);
+
+  if (!scenarios.length) {
+    return { scenarios: null, activeId: null, ...issues, errors: [...issues.errors, "scenarios: no usable scenarios"] };
+  }
+  const activeId = scenarios.some(s => s.id === data.activeId) ? data.activeId : scenarios[0].id;
+  return { scenarios, activeId, ...issues };
+}
+
+export function serializeScenarioSet(scenarios, activeId) {
+  return { version: SCHEMA_VERSION, savedAt: new Date().toISOString(), activeId, scenarios };
+}
+
+/**
+ * Reads the saved set. Returns null when nothing is saved (or storage is unavailable),
+ * else the validateScenarioSet result; `scenarios` is null when the save can't be read,
+ * and callers must then leave storage alone so the data is still there to recover.
+ */
+export function loadStoredScenarios(preset, storage = globalThis.localStorage) {
+  let text;
+  try {
+    text = storage?.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    return { scenarios: null, activeId: null, missing: [], errors: [`Saved data is not valid JSON (${err.message})`] };
+  }
+  return validateScenarioSet(raw, preset);
+}
+
+export function storeScenarios(scenarios, activeId, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(serializeScenarioSet(scenarios, activeId)));
+  } catch {
+    // storage full or disabled (private mode) — keep working in memory
+  }
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadJSON(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), filename);
+}
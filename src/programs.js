@@ -0,0 +1,70 @@
+/* =============== Loan programs =============== */
+// 2026 figures. Loan limits are set by county; the defaults are the one-unit baselines
+// (conforming $832,750, FHA floor $541,287), so high-cost areas should raise them.
+
+export const CONFORMING_LIMIT = 832_750;
+export const FHA_FLOOR_LIMIT = 541_287;
+
+// minDownPct: cash down as % of price. limit: which program field caps the loan
+// ("above" = the loan must exceed it). mi: mortgage insurance the program uses.
+export const LOAN_PROGRAMS = {
+  conventional: { label: "Conventional", minDownPct: 3, limit: "conformingLimit", mi: "bpmi" },
+  fha:          { label: "FHA",          minDownPct: 3.5, limit: "fhaLimit", mi: "fha" },
+  va:           { label: "VA",           minDownPct: 0, limit: null, mi: null },
+  usda:         { label: "USDA",         minDownPct: 0, limit: null, mi: "usda" },
+  jumbo:        { label: "Jumbo",        minDownPct: 10, limit: "conformingLimit", above: true, mi: "bpmi" },
+};
+
+export const VA_USES = {
+  first: "First use",
+  subsequent: "Subsequent use",
+  exempt: "Exempt (service-connected disability)",
+};
+
+// VA funding fee for a purchase, % of the loan, by down payment tier
+export function vaFundingFeePct(downPct, use = "first") {
+  if (use === "exempt") return 0;
+  if (downPct >= 10) return 1.25;
+  if (downPct >= 5) return 1.5;
+  return use === "subsequent" ? 3.3 : 2.15;
+}
+
+// FHA annual MIP (% of balance) for case numbers assigned after March 2023
+export function fhaAnnualMipPct(loan, ltv, termYears) {
+  const high = loan > 726_200;
+  if (termYears > 15) return high ? (ltv > 0.95 ? 0.75 : 0.7) : (ltv > 0.95 ? 0.55 : 0.5);
+  if (ltv <= (high ? 0.78 : 0.9)) return 0.15;
+  return high && ltv > 0.9 ? 0.65 : 0.4;
+}
+
+/**
+ * Cfg patch that switches a scenario to `type` (a LOAN_PROGRAMS key, or "custom" to leave
+ * everything as entered): sets the program's mortgage insurance and fee defaults and raises
+ * down payments that are under the program minimum.
+ */
+export function applyProgram(cfg, type) {
+  const program = { ...cfg.program, type };
+  const def = LOAN_PROGRAMS[type];
+  if (!def) return { program };
+
+  const patch = { program };
+  const minDown = Math.ceil(cfg.price * def.minDownPct / 100);
+  for (const key of ["downBankOnly", "downWithFamily"]) {
+    if (cfg[key] < minDown) patch[key] = minDown;
+  }
+
+  if (def.mi === "bpmi") {
+    patch.pmi = { ...cfg.pmi, enabled: true, type: cfg.pmi?.type && cfg.pmi.type !== "fha" ? cfg.pmi.type : "bpmi" };
+  } else if (def.mi === "fha") {
+    const loan = cfg.price - (patch.downBankOnly ?? cfg.downBankOnly);
+    patch.pmi = {
+      ...cfg.pmi, enabled: true, type: "fha", fhaUpfrontPct: 1.75,
+      fhaAnnualPct: fhaAnnualMipPct(loan, loan / cfg.price, cfg.bankTermYears),
+    };
+  } else {
+    // VA has no mortgage insurance; USDA's annual guarantee fee replaces it
+    patch.pmi = { ...cfg.pmi, enabled: false };
+    if (type === "usda") Object.assign(program, { usdaUpfrontPct: 1, usdaAnnualPct: 0.35 });
+  }
+  return patch;
+}
@@ -0,0 +1,56 @@
+/* =============== Scenario report: schedules, labels and assumption wording =============== */
+import { buildSchedule, configForVariant, rollupAnnual } from "./engine.js";
+
+export const PMI_TYPES = { bpmi: "Monthly PMI", single: "Single premium", lpmi: "Lender-paid", fha: "FHA MIP", usda: "USDA guarantee fee" };
+
+// USDA loans carry the guarantee fee whatever the pmi settings
+export const pmiLabel = (cfg) => cfg.program?.type === "usda" ? PMI_TYPES.usda
+  : cfg.pmi.enabled ? PMI_TYPES[cfg.pmi.type] ?? PMI_TYPES.bpmi : "Off";
+
+/**
+ * Builds each selected scenario ([{ s, ...extra }]) for the report.
+ * Returns { items, skipped }: items carry { id, name, s, cfg, res, annual, ...extra };
+ * scenarios whose inputs have errors have no schedule and go to skipped with their first error as `issue`.
+ */
+export function reportEntries(list) {
+  const all = list.map(({ s, ...extra }) => {
+    const cfg = configForVariant(s.cfg, s.variant);
+    const res = buildSchedule(cfg);
+    return { ...extra, id: s.id, name: s.name, s, cfg, res, annual: rollupAnnual(res.rows) };
+  });
+  return {
+    items: all.filter(it => !it.res.invalid),
+    skipped: all.filter(it => it.res.invalid)
+      .map(it => ({ ...it, issue: it.res.warnings.find(w => w.severity === "error") })),
+  };
+}
+
+// Equity at the end of a year, or null when the horizon ends before it
+export const equityAtYear = (res, year) => res.rows[year * 12 - 1]?.equity ?? null;
+
+const GROWING_COSTS = [
+  ["property tax", "taxInflationPct"], ["insurance", "insuranceInflationPct"], ["HOA", "hoaInflationPct"],
+  ["maintenance", "maintInflationPct"], ["utilities", "utilitiesInflationPct"],
+];
+
+const joinList = (parts) => parts.length < 2 ? parts.join("") : `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+
+// Assumption sentence for the yearly growth of carrying costs across the reported cfgs
+export function costGrowthNote(cfgs) {
+  const growing = [];
+  const flat = [];
+  for (const [label, key] of GROWING_COSTS) {
+    const values = cfgs.map(c => c[key] ?? 0);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (min === max && min === 0) flat.push(label);
+    else growing.push(min === max ? `${label} ${min}%` : `${label} ${min}–${max}% depending on the scenario`);
+  }
+  const parts = [];
+  if (growing.length) parts.push(`Yearly cost growth: ${joinList(growing)}.`);
+  if (flat.length) {
+    const list = joinList(flat);
+    parts.push(`${list[0].toUpperCase()}${list.slice(1)} ${flat.length > 1 ? "stay" : "stays"} flat.`);
+  }
+  return parts.join(" ");
+}
@@ -0,0 +1,99 @@
+/* =============== Sensitivity analysis =============== */
+import { buildSchedule } from "./engine.js";
+
+// Numeric engine-input fields that can be nudged (dotted paths into the cfg); kind drives formatting
+export const SENSITIVITY_FIELDS = [
+  { path: "bankRate", label: "Bank rate", kind: "pct" },
+  { path: "price", label: "Price", kind: "money" },
+  { path: "down", label: "Down payment", kind: "money" },
+  { path: "closingCosts", label: "Closing costs", kind: "money" },
+  { path: "pointsPct", label: "Points", kind: "pct" },
+  { path: "taxPct", label: "Property tax %", kind: "pct" },
+  { path: "insuranceAnnual", label: "Insurance", kind: "money" },
+  { path: "hoaMonthly", label: "HOA", kind: "money" },
+  { path: "maintPctAnnual", label: "Maintenance %", kind: "pct" },
+  { path: "appreciationPct", label: "Appreciation", kind: "pct" },
+  { path: "family.amount", label: "Family amount", kind: "money" },
+  { path: "family.rate", label: "Family rate", kind: "pct" },
+  { path: "family.altAnnualPct", label: "Family alt return", kind: "pct" },
+  { path: "family.reinvestAnnualPct", label: "Reinvest return", kind: "pct" },
+  { path: "discountRatePct", label: "Discount rate", kind: "pct" },
+];
+
+// Outputs the analysis can rank against
+export const SENSITIVITY_METRICS = {
+  firstPayment: { label: "First-month payment", kind: "money", get: (res) => res.rows[0]?.totalMonthly ?? 0 },
+  totalInterest: {
+    label: "Total interest", kind: "money",
+    get: (res) => res.rows.reduce((a, r) => a + r.bankInterest + r.famInterest, 0),
+  },
+  npv: { label: "NPV (owner)", kind: "money", get: (res) => res.npv },
+  npvHousehold: { label: "NPV (household)", kind: "money", get: (res) => res.npvHousehold },
+  irr: { label: "IRR (owner)", kind: "pct", get: (res) => res.irrAnnual },
+  irrHousehold: { label: "IRR (household)", kind: "pct", get: (res) => res.irrAnnualHousehold },
+};
+
+export const getPath = (obj, path) => path.split(".").reduce((o, k) => o?.[k], obj);
+
+export function setPath(obj, path, value) {
+  const [key, ...rest] = path.split(".");
+  return { ...obj, [key]: rest.length ? setPath(obj?.[key] ?? {}, rest.join("."), value) : value };
+}
+
+// null when the nudged inputs fail validation (e.g. down payment pushed past the price)
+const evaluate = (cfg, metric) => {
+  const res = buildSchedule(cfg);
+  return res.invalid ? null : SENSITIVITY_METRICS[metric].get(res);
+};
+
+/**
+ * Moves each field down and up by `deltaPct` percent of its value and records `metric`.
+ * Fields at 0 (or missing) are skipped, since a relative nudge can't move them.
+ * Returns { base, bars: [{ path, label, value, lowValue, highValue, low, high, swing }] }
+ * sorted by swing (|high - low|), largest first; low/high are null when the IRR has no solution
+ * or the nudged inputs are invalid.
+ */
+export function tornado(cfg, metric, deltaPct = 10) {
+  const base = evaluate(cfg, metric);
+  const bars = [];
+  for (const { path, label } of SENSITIVITY_FIELDS) {
+    const value = getPath(cfg, path);
+    if (typeof value !== "number" || value === 0) continue;
+    const lowValue = value * (1 - deltaPct / 100);
+    const highValue = value * (1 + deltaPct / 100);
+    const low = evaluate(setPath(cfg, path, lowValue), metric);
+    const high = evaluate(setPath(cfg, path, highValue), metric);
+    const swing = low == null || high == null ? 0 : Math.abs(high - low);
+    bars.push({ path, label, value, lowValue, highValue, low, high, swing });
+  }
+  bars.sort((a, b) => b.swing - a.swing);
+  return { base, bars };
+}
+
+// `steps` values spread evenly over value ± spanPct%, centred on the current value
+export function gridValues(value, spanPct, steps) {
+  const n = Math.max(Math.round(steps), 2);
+  return Array.from({ length: n }, (_, i) => value * (1 + (spanPct / 100) * (2 * i / (n - 1) - 1)));
+}
+
+/**
+ * Two-field grid of `metric`: rows follow yValues, columns follow xValues.
+ * Returns { cells: number[][] (null where IRR has no solution or inputs are invalid), min, max }.
+ */
+export function heatmap(cfg, metric, xPath, yPath, xValues, yValues) {
+  const cells = yValues.map(y => xValues.map(x => evaluate(setPath(setPath(cfg, xPath, x), yPath, y), metric)));
+  const finite = cells.flat().filter(v => v != null && isFinite(v));
+  return { cells, min: Math.min(...finite), max: Math.max(...finite) };
+}
+
+/**
+ * Everything the Sensitivity view shows for one set of its settings
+ * ({ metric, deltaPct, xField, yField, spanPct, steps }); runs in the worker.
+ * Returns { tornado, grid: { xs, ys, cells, min, max } }.
+ */
+export function sensitivityReport(cfg, { metric, deltaPct, xField, yField, spanPct, steps }) {
+  const n = Math.min(Math.max(steps || 2, 2), 9);
+  const xs = gridValues(getPath(cfg, xField) ?? 0, spanPct, n);
+  const ys = gridValues(getPath(cfg, yField) ?? 0, spanPct, n);
+  return { tornado: tornado(cfg, metric, deltaPct), grid: { xs, ys, ...heatmap(cfg, metric, xField, yField, xs, ys) } };
+}
@@ -0,0 +1,65 @@
+/* =============== Shareable links (scenario set in the URL hash) =============== */
+import { SCHEMA_VERSION, validateScenarioSet } from "./persistence.js";
+
+export const SHARE_PREFIX = "#s=";
+// Payload format. Version 1 links (no `link` field) held only the fields that differed from
+// the preset of the day, so they can't be rebuilt exactly once its defaults change; links
+// now carry every cfg in full.
+export const LINK_VERSION = 2;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+};
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+export async function encodeShareHash(scenarios, activeId) {
+  const payload = {
+    link: LINK_VERSION,
+    version: SCHEMA_VERSION,
+    activeId,
+    scenarios: scenarios.map(s => ({ id: s.id, name: s.name, variant: s.variant, cfg: s.cfg })),
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return SHARE_PREFIX + toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")));
+}
+
+/**
+ * Rebuilds a scenario set from a share hash. Resolves to { scenarios, activeId, issues }
+ * (issues: fields that were missing or invalid and took preset values) or { error } when
+ * the hash is malformed or outdated.
+ */
+export async function decodeShareHash(hash, preset) {
+  if (!hash.startsWith(SHARE_PREFIX)) return { error: "Link does not contain scenarios" };
+  let raw;
+  try {
+    const bytes = await pipe(fromBase64Url(hash.slice(SHARE_PREFIX.length)), new DecompressionStream("deflate-raw"));
+    raw = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return { error: "Link data is corrupted or truncated" };
+  }
+  if (!isPlainObject(raw) || typeof raw.version !== "number") {
+    return { error: "Link data is not a scenario set" };
+  }
+  if (raw.link !== LINK_VERSION) {
+    return {
+      error: (raw.link ?? 1) > LINK_VERSION
+        ? "Link was created by a newer version of the app"
+        : "Link was created by an older version of the app and can't be rebuilt exactly — ask for a new link",
+    };
+  }
+  const res = validateScenarioSet(raw, preset);
+  if (!res.scenarios) return { error: res.errors.join("; ") };
+  return { scenarios: res.scenarios, activeId: res.activeId, issues: [...res.errors, ...res.missing.map(p => `${p}: missing`)] };
+}
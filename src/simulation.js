@@ -0,0 +1,119 @@
+/* =============== Monte Carlo simulation =============== */
+import { buildSchedule, clamp } from "./engine.js";
+
+// Small seeded PRNG (mulberry32) so a run can be reproduced from its seed
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+export function gaussian(rand) {
+  const u = 1 - rand();
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Linear-interpolated percentile of an ascending array, p in [0, 100]
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+const bands = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p10: percentile(sorted, 10), p50: percentile(sorted, 50), p90: percentile(sorted, 90) };
+};
+
+// Pull strength of the index back toward its mean, per year
+const INDEX_REVERSION = 0.2;
+
+/**
+ * Draws one random set of assumptions for `cfg` (an engine input):
+ *   indexForecast[]     mean-reverting yearly path starting from the scenario's first index value
+ *   appreciationPath[]  independent yearly draws around appreciationMeanPct
+ *   family returns      altAnnualPct and reinvestAnnualPct share one draw, the average
+ *                       annual return over the horizon (volatility scaled by 1/sqrt(years))
+ */
+export function sampleConfig(cfg, settings, rand) {
+  const years = cfg.horizonYears ?? 30;
+  const {
+    indexMeanPct, indexVolPct, appreciationMeanPct, appreciationVolPct, returnMeanPct, returnVolPct,
+  } = settings;
+
+  const indexForecast = [];
+  let index = cfg.arm?.indexForecast?.[0] ?? indexMeanPct;
+  for (let y = 0; y < years; y++) {
+    if (y > 0) index += INDEX_REVERSION * (indexMeanPct - index) + indexVolPct * gaussian(rand);
+    index = Math.max(index, 0);
+    indexForecast.push(+index.toFixed(3));
+  }
+
+  const appreciationPath = [];
+  for (let y = 0; y < years; y++) {
+    appreciationPath.push(+(appreciationMeanPct + appreciationVolPct * gaussian(rand)).toFixed(3));
+  }
+
+  const investReturn = +(returnMeanPct + (returnVolPct / Math.sqrt(years)) * gaussian(rand)).toFixed(3);
+
+  return {
+    ...cfg,
+    arm: { ...cfg.arm, indexForecast },
+    appreciationPath,
+    family: { ...cfg.family, altAnnualPct: investReturn, reinvestAnnualPct: investReturn },
+  };
+}
+
+/**
+ * Runs buildSchedule `settings.runs` times with random index paths, appreciation
+ * and investment returns. Same cfg + settings (including `seed`) gives the same result.
+ * Returns {
+ *   years: [{ year, payment: { p10, p50, p90 }, cost: { p10, p50, p90 } }]
+ *                 payment = average totalMonthly in that year,
+ *                 cost = cumulative household cost (totalMonthlyHousehold) to year end
+ *   irr: { p10, p50, p90 }   of irrAnnualHousehold
+ *   runs, irrFailed          runs completed, runs where the IRR had no solution
+ * }
+ * `onProgress(done, total)` is called every `progressEvery` runs.
+ */
+export function simulate(cfg, settings, { onProgress, progressEvery = 50 } = {}) {
+  const runs = clamp(Math.round(settings.runs) || 0, 1, 10_000);
+  const rand = mulberry32(settings.seed ?? 1);
+  const years = cfg.horizonYears ?? 30;
+
+  const payments = Array.from({ length: years }, () => []);
+  const costs = Array.from({ length: years }, () => []);
+  const irrs = [];
+
+  for (let i = 0; i < runs; i++) {
+    const res = buildSchedule(sampleConfig(cfg, settings, rand));
+    let cum = 0;
+    for (let y = 0; y < years; y++) {
+      const yearRows = res.rows.slice(y * 12, y * 12 + 12);
+      if (!yearRows.length) break;
+      cum += yearRows.reduce((a, r) => a + r.totalMonthlyHousehold, 0);
+      payments[y].push(yearRows.reduce((a, r) => a + r.totalMonthly, 0) / yearRows.length);
+      costs[y].push(cum);
+    }
+    if (res.irrAnnualHousehold != null) irrs.push(res.irrAnnualHousehold);
+    if (onProgress && (i + 1) % progressEvery === 0) onProgress(i + 1, runs);
+  }
+
+  return {
+    years: payments
+      .map((p, y) => ({ year: y + 1, payment: bands(p), cost: bands(costs[y]) }))
+      .filter(y => y.payment.p50 != null),
+    irr: bands(irrs),
+    runs,
+    irrFailed: runs - irrs.length,
+  };
+}
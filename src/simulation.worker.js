@@ -0,0 +1,20 @@
+// Runs the Monte Carlo simulation and the sensitivity sweeps off the main thread.
+//   in:  { id, cfg, settings, task } — task "simulate" (default) or "sensitivity"
+//   out: { id, type: "progress", done, total } ... then { id, type: "done", result } or { id, type: "error", message }
+//        (sensitivity sends no progress)
+import { simulate } from "./simulation.js";
+import { sensitivityReport } from "./sensitivity.js";
+
+self.onmessage = (e) => {
+  const { id, cfg, settings, task = "simulate" } = e.data;
+  try {
+    const result = task === "sensitivity"
+      ? sensitivityReport(cfg, settings)
+      : simulate(cfg, settings, {
+        onProgress: (done, total) => self.postMessage({ id, type: "progress", done, total }),
+      });
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,176 @@
+import React, { createContext, useContext, useEffect, useId, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { loanMonthOf, monthInputValue, yearPathPreset } from "./engine";
+
+/* =============== Shared UI primitives =============== */
+export const fmt = (v) => `$${Math.round(v || 0).toLocaleString()}`;
+// IRR comes back null from the engine when it has no solution
+export const fmtPct = (v) => v == null || !isFinite(v) ? "n/a" : `${(v * 100).toFixed(2)}%`;
+
+export const SCENARIO_PALETTE = ["#6366f1","#22c55e","#ef4444","#0ea5e9","#f59e0b","#14b8a6","#a855f7","#e11d48"];
+
+const DRAFT_ISSUE = { message: "Enter a number", severity: "error" };
+const toneOf = (issue) => issue?.severity === "error" ? "border-rose-300 bg-rose-50" : issue ? "border-amber-300 bg-white" : "border-slate-200 bg-white";
+const IssueText = ({ issue }) => <span className={`text-xs ${issue.severity === "error" ? "text-rose-600" : "text-amber-700"}`}>{issue.message}</span>;
+
+// Inputs under a provider call report(id, label) while they hold text that isn't a number and
+// report(id, null) once they don't, so the owner can pause results built from the stale cfg.
+export const DraftReport = createContext(null);
+
+// Text that isn't a number stays local to the field, so NaN never reaches the cfg.
+// Returns [value to show, issue to show, change handler].
+function useNumberDraft(value, onChange, issue, label) {
+  const [draft, setDraft] = useState(null);
+  const id = useId();
+  const report = useContext(DraftReport);
+  useEffect(() => { setDraft(null); }, [value]);
+  useEffect(() => {
+    if (!report) return;
+    report(id, draft !== null ? label : null);
+    return () => report(id, null);
+  }, [report, id, label, draft !== null]);
+  const handle = (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) { setDraft(null); onChange(v); }
+    else setDraft(e.target.value);
+  };
+  return [draft ?? (Number.isFinite(value) ? value : ""), draft !== null ? DRAFT_ISSUE : issue, handle];
+}
+
+// `issue` is a validateConfig entry ({ message, severity }) for this field, if any.
+export function NumberInput({ label, value, onChange, step = 1, min, max, suffix, issue }) {
+  const [text, shown, handle] = useNumberDraft(value, onChange, issue, label);
+  return (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-slate-600">{label}</span>
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          value={text}
+          step={step}
+          min={min}
+          max={max}
+          onChange={handle}
+          aria-invalid={shown?.severity === "error"}
+          className={`w-full rounded-xl border px-3 py-2 shadow-sm focus:border-indigo-500 focus:outline-none ${toneOf(shown)}`}
+        />
+        {suffix && <span className="text-slate-500 text-xs">{suffix}</span>}
+      </div>
+      {shown && <IssueText issue={shown}/>}
+    </label>
+  );
+}
+export function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-3 text-sm">
+      <span className="text-slate-600">{label}</span>
+      <button
+        type="button"
+        onClick={() => onChange(!checked)}
+        className={`relative h-6 w-11 rounded-full transition ${checked ? "bg-indigo-600" : "bg-slate-300"}`}
+      >
+        <span className={`absolute top-0.5 ${checked ? "left-6" : "left-0.5"} h-5 w-5 rounded-full bg-white shadow transition`} />
+      </button>
+    </label>
+  );
+}
+export function KPI({ icon: Icon, label, value, hint, emphasis = false }) {
+  return (
+    <div className={`rounded-2xl border p-4 shadow-sm ${emphasis ? "border-indigo-300 bg-indigo-50" : "border-slate-200 bg-white"}`}>
+      <div className="flex items-center gap-2 text-slate-500 text-xs"><Icon size={16} /> {label}</div>
+      <div className="mt-1 font-semibold tabular-nums leading-tight break-all text-xl sm:text-2xl">{value}</div>
+      {hint && <div className="mt-1 text-xs text-slate-500">{hint}</div>}
+    </div>
+  );
+}
+
+/* ---- Year-by-year % path editor (ARM index, appreciation) ---- */
+// Unlabelled cell for the year grid and amount rows below
+function CellInput({ label, value, onChange, issue, step, min, className }) {
+  const [text, shown, handle] = useNumberDraft(value, onChange, issue, label);
+  return (
+    <span className="flex w-full flex-col gap-0.5">
+      <input
+        type="number"
+        value={text}
+        step={step}
+        min={min}
+        onChange={handle}
+        aria-invalid={shown?.severity === "error"}
+        className={`w-full border px-2 py-1 ${className} ${toneOf(shown)}`}
+      />
+      {shown && <IssueText issue={shown}/>}
+    </span>
+  );
+}
+
+// `issueAt(i)` returns the validateConfig entry for year i, if any.
+export function YearPathEditor({ label, values = [], years, step = 0.125, onChange, note, issueAt = () => null }) {
+  const count = Math.max(years || 30, 1);
+  const valueAt = (i) => values[i] ?? values[values.length - 1] ?? 0;
+  const start = valueAt(0);
+
+  function setYear(i, v) {
+    const next = new Array(count).fill(0).map((_, j) => valueAt(j));
+    next[i] = v;
+    onChange(next);
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="mb-2 flex items-center justify-between text-sm">
+        <span className="text-slate-600">{label}</span>
+        <div className="flex gap-1">
+          {["flat", "rising", "falling"].map(kind => (
+            <button
+              key={kind}
+              onClick={()=>onChange(yearPathPreset(kind, start, count))}
+              className="rounded-lg border border-slate-200 px-2 py-0.5 text-xs capitalize hover:bg-slate-100"
+            >{kind}</button>
+          ))}
+        </div>
+      </div>
+      <div className="grid max-h-48 grid-cols-3 gap-2 overflow-y-auto pr-1">
+        {new Array(count).fill(0).map((_, i) => (
+          <label key={i} className={`flex items-start gap-1 text-xs ${i >= values.length ? "text-slate-400" : "text-slate-600"}`}>
+            <span className="w-7 shrink-0 py-1">Y{i + 1}</span>
+            <CellInput label={`${label} Y${i + 1}`} value={valueAt(i)} step={step} onChange={(v)=>setYear(i, v)} issue={i < values.length ? issueAt(i) : null} className="rounded-lg"/>
+          </label>
+        ))}
+      </div>
+      {note && <div className="mt-1 text-xs text-slate-500">{note}</div>}
+    </div>
+  );
+}
+
+/* ---- Dated amounts (prepayment lump sums, forgiveness chunks): [{ month, amount }] ---- */
+// `issueAt(i)` returns the validateConfig entry for item i, if any.
+export function DatedAmountList({ label, items, startDate, onChange, step = 1000, defaultAmount = 10_000, empty = "None.", issueAt = () => null }) {
+  const update = (idx, patch) => onChange(items.map((it, i) => i === idx ? { ...it, ...patch } : it));
+  const add = () => {
+    const month = items.length ? items[items.length - 1].month + 12 : 12;
+    onChange([...items, { month, amount: defaultAmount }]);
+  };
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-slate-600">{label}</span>
+        <button onClick={add} className="inline-flex items-center gap-1 rounded-lg border border-slate-200 px-2 py-1 text-xs hover:bg-slate-100"><Plus size={14}/> Add</button>
+      </div>
+      {items.length === 0 && <div className="text-xs text-slate-500">{empty}</div>}
+      {items.map((it, i) => (
+        <div key={i} className="flex items-start gap-2">
+          <input
+            type="month"
+            value={monthInputValue(startDate, it.month)}
+            onChange={(e)=>e.target.value && update(i, { month: Math.max(loanMonthOf(startDate, e.target.value), 1) })}
+            className="w-36 rounded-xl border border-slate-200 bg-white px-2 py-1 text-sm"
+          />
+          <CellInput label={`${label} ${i + 1}`} value={it.amount} step={step} min={0} onChange={(amount)=>update(i, { amount })} issue={issueAt(i)} className="rounded-xl text-sm"/>
+          <button onClick={()=>onChange(items.filter((_, j) => j !== i))} className="py-1.5 text-rose-600" title="Remove"><Trash2 size={14}/></button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+/* =============== Input validation =============== */
+// Field rules and cross-field checks shared by the form (inline messages) and
+// buildSchedule (which refuses to run on errors instead of producing NaN rows).
+import { LOAN_PROGRAMS, VA_USES } from "./programs.js";
+
+// Range rules by dotted cfg path; checked only when the field is present.
+// `ratio` fields are stored as fractions but entered as %, so limits read as %.
+export const FIELD_RULES = {
+  price: { min: 1 },
+  down: { min: 0 }, downBankOnly: { min: 0 }, downWithFamily: { min: 0 },
+  closingCosts: { min: 0 }, pointsPct: { min: -5, max: 10 },   // negative points are a lender credit
+  bankRate: { min: 0, max: 30 }, bankTermYears: { min: 1, max: 50, integer: true }, ioMonths: { min: 0, integer: true },
+  "arm.margin": { min: 0, max: 20 }, "arm.fixedMonths": { min: 1, integer: true }, "arm.adjustMonths": { min: 1, integer: true },
+  "arm.caps.first": { min: 0 }, "arm.caps.periodic": { min: 0 }, "arm.caps.lifetime": { min: 0 },
+  taxPct: { min: 0, max: 10 }, taxInflationPct: { min: -10, max: 20 },
+  insuranceAnnual: { min: 0 }, insuranceInflationPct: { min: -10, max: 20 },
+  hoaMonthly: { min: 0 }, maintPctAnnual: { min: 0, max: 20 }, utilitiesMonthly: { min: 0 },
+  hoaInflationPct: { min: -10, max: 20 }, maintInflationPct: { min: -10, max: 20 }, utilitiesInflationPct: { min: -10, max: 20 },
+  appreciationPct: { min: -50, max: 50 }, agentFeePct: { min: 0, max: 20 }, sellingCostPct: { min: 0, max: 20 },
+  "pmi.pmiPctAnnual": { min: 0, max: 10 }, "pmi.dropLTV": { min: 0, max: 1, ratio: true },
+  "pmi.singlePremiumPct": { min: 0, max: 10 }, "pmi.lpmiRateBump": { min: 0, max: 5 },
+  "pmi.fhaUpfrontPct": { min: 0, max: 10 }, "pmi.fhaAnnualPct": { min: 0, max: 5 },
+  "pmi.requestLTV": { min: 0, max: 1, ratio: true }, "pmi.requestAfterMonths": { min: 0, integer: true },
+  "family.amount": { min: 0 }, "family.rate": { min: 0, max: 30 }, "family.termYears": { min: 1, max: 50, integer: true },
+  "family.gradStepPct": { min: 0, max: 20 }, "family.deferMonths": { min: 0, integer: true },
+  "family.balloonYears": { min: 0, integer: true }, "family.extraMonthly": { min: 0 },
+  "family.altAnnualPct": { min: -50, max: 50 }, "family.altTaxPct": { min: 0, max: 100 },
+  "family.reinvestAnnualPct": { min: -50, max: 50 }, "family.forgiveAnnual": { min: 0 },
+  "family.afrShortPct": { min: 0, max: 30 }, "family.afrMidPct": { min: 0, max: 30 }, "family.afrLongPct": { min: 0, max: 30 },
+  "family.lenders": { min: 1, integer: true }, "family.borrowers": { min: 1, integer: true },
+  "family.annualExclusion": { min: 0 }, "family.lifetimeExemption": { min: 0 },
+  "prepay.monthlyExtra": { min: 0 }, "prepay.yearly.amount": { min: 0 }, "prepay.yearly.month": { min: 1, max: 12, integer: true },
+  "refi.month": { min: 1, integer: true }, "refi.rate": { min: 0, max: 30 }, "refi.termYears": { min: 1, max: 50, integer: true },
+  "refi.closingCosts": { min: 0 }, "refi.cashOut": { min: 0 },
+  "borrowerTax.marginalPct": { min: 0, max: 100 }, "borrowerTax.standardDeduction": { min: 0 },
+  "borrowerTax.saltCap": { min: 0 }, "borrowerTax.acquisitionLimit": { min: 0 },
+  "borrowerTax.otherSaltAnnual": { min: 0 }, "borrowerTax.otherItemizedAnnual": { min: 0 },
+  "program.usdaUpfrontPct": { min: 0, max: 5 }, "program.usdaAnnualPct": { min: 0, max: 2 },
+  "program.conformingLimit": { min: 0 }, "program.fhaLimit": { min: 0 },
+  horizonYears: { min: 1, max: 60, integer: true }, discountRatePct: { min: -50, max: 50 },
+};
+
+// Per-entry rules for dated amount lists ([{ month, amount }]) and yearly % paths;
+// issues are reported at `${path}.${index}`.
+export const LIST_RULES = {
+  "prepay.lumpSums": { amount: { min: 0 } },
+  "family.lumpSums": { amount: { min: 0 } },
+  "family.forgiveLumps": { amount: { min: 0 } },
+  "arm.indexForecast": { min: 0, max: 30 },
+  appreciationPath: { min: -50, max: 50 },
+};
+
+// Allowed values for the fields picked from a list; checked only when the field is present.
+// The engine's own tables (PAYMENT_FREQUENCIES, BUYDOWN_TYPES, FILING_STATUSES) can't be imported
+// here because engine.js imports this module, so their keys are repeated.
+export const ENUM_RULES = {
+  bankType: ["fixed", "arm", "io"],
+  paymentFrequency: ["monthly", "semimonthly", "biweekly", "accelerated"],
+  "buydown.type": ["none", "1-0", "2-1", "3-2-1"], "buydown.paidBy": ["borrower", "seller"],
+  "pmi.type": ["bpmi", "single", "lpmi", "fha"], "pmi.requestBasis": ["original", "appraised"],
+  "program.type": ["custom", ...Object.keys(LOAN_PROGRAMS)], "program.vaUse": Object.keys(VA_USES),
+  "family.mode": ["amortized", "interest_only", "graduated"], "family.deferInterest": ["accrue", "pay"],
+  "borrowerTax.filingStatus": ["single", "mfj", "mfs", "hoh"],
+};
+
+const getPath = (obj, path) => path.split(".").reduce((o, k) => o?.[k], obj);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+export function checkField(value, { min, max, integer, ratio } = {}) {
+  const show = (limit) => ratio ? `${limit * 100}%` : limit.toLocaleString();
+  if (!isNum(value)) return "Enter a number";
+  if (min != null && value < min) return `Must be at least ${show(min)}`;
+  if (max != null && value > max) return `Must be at most ${show(max)}`;
+  if (integer && !Number.isInteger(value)) return "Must be a whole number";
+  return null;
+}
+
+export function checkEnum(value, allowed) {
+  return allowed.includes(value) ? null : `Must be one of ${allowed.join(", ")}`;
+}
+
+/**
+ * Checks a scenario cfg or an engine input.
+ * Returns [{ path, message, severity: "error" | "warning" }]; errors make buildSchedule
+ * return no rows, warnings flag inputs that run but probably don't mean what was intended.
+ */
+export function validateConfig(cfg) {
+  const issues = [];
+  const error = (path, message) => issues.push({ path, message, severity: "error" });
+  const warn = (path, message) => issues.push({ path, message, severity: "warning" });
+
+  for (const [path, rule] of Object.entries(FIELD_RULES)) {
+    const value = getPath(cfg, path);
+    if (value === undefined) continue;
+    const message = checkField(value, rule);
+    if (message) error(path, message);
+  }
+  for (const [path, allowed] of Object.entries(ENUM_RULES)) {
+    const value = getPath(cfg, path);
+    if (value === undefined) continue;
+    const message = checkEnum(value, allowed);
+    if (message) error(path, message);
+  }
+  for (const [path, rule] of Object.entries(LIST_RULES)) {
+    (getPath(cfg, path) ?? []).forEach((item, i) => {
+      if (!("amount" in rule)) {
+        const message = checkField(item, rule);
+        if (message) error(`${path}.${i}`, message);
+      } else if (!isNum(item?.month) || item.month < 1 || !Number.isInteger(item.month)) {
+        error(`${path}.${i}`, "Pick a month on or after the first payment");
+      } else {
+        const message = checkField(item.amount, rule.amount);
+        if (message) error(`${path}.${i}`, message);
+      }
+    });
+  }
+
+  // Cross-field checks run only on fields that passed their own rule
+  const ok = (path) => !issues.some(i => i.path === path) && isNum(getPath(cfg, path));
+  if (ok("price")) {
+    for (const path of ["down", "downBankOnly", "downWithFamily"]) {
+      if (ok(path) && cfg[path] > cfg.price) error(path, "Down payment is more than the price");
+    }
+    const famDown = cfg.down ?? cfg.downWithFamily;
+    if (ok("family.amount") && isNum(famDown) && famDown <= cfg.price && cfg.family.amount > cfg.price - famDown) {
+      error("family.amount", `More than the ${(cfg.price - famDown).toLocaleString()} left to borrow after the down payment`);
+    }
+  }
+  checkProgram(cfg, ok, error, warn);
+  if (cfg.bankType === "io" && ok("ioMonths") && ok("bankTermYears") && cfg.ioMonths >= cfg.bankTermYears * 12) {
+    error("ioMonths", "Interest-only period must end before the term does");
+  }
+  if (cfg.bankType === "arm" && ok("arm.fixedMonths") && ok("bankTermYears") && cfg.arm.fixedMonths >= cfg.bankTermYears * 12) {
+    warn("arm.fixedMonths", "Fixed period covers the whole term, so the rate never adjusts");
+  }
+  if (cfg.buydown?.type && cfg.buydown.type !== "none" && cfg.bankType !== "fixed") {
+    warn("buydown.type", "Temporary buydowns only apply to fixed-rate loans");
+  }
+  if (cfg.paymentFrequency && cfg.paymentFrequency !== "monthly" && cfg.bankType !== "fixed") {
+    warn("paymentFrequency", "Only fixed-rate loans can be paid semi-monthly or bi-weekly; this loan is paid monthly");
+  }
+  if (cfg.refi?.enabled && ok("refi.month") && ok("horizonYears") && cfg.refi.month > cfg.horizonYears * 12) {
+    warn("refi.month", "Refinance falls after the horizon and has no effect");
+  }
+  const fam = cfg.family ?? {};
+  if (fam.balloonYears > 0 && ok("family.termYears") && ok("family.deferMonths")
+      && fam.balloonYears * 12 >= fam.deferMonths + fam.termYears * 12) {
+    warn("family.balloonYears", "Balloon falls after the loan is already paid off");
+  }
+  return issues;
+}
+
+const money = (v) => `$${Math.round(v).toLocaleString()}`;
+
+// Program minimum down payment and loan limits, for each down payment the cfg carries
+function checkProgram(cfg, ok, error, warn) {
+  const program = LOAN_PROGRAMS[cfg.program?.type];
+  if (!program || !ok("price")) return;
+  const famAmt = ok("family.amount") ? cfg.family.amount : 0;
+  const loans = cfg.down !== undefined
+    ? [["down", "", famAmt]]
+    : [["downBankOnly", " (bank-only)", 0], ["downWithFamily", " (with family)", famAmt]];
+  for (const [path, which, fam] of loans) {
+    if (!ok(path) || cfg[path] > cfg.price) continue;
+    if (cfg[path] / cfg.price * 100 < program.minDownPct - 1e-9) {
+      error(path, `${program.label} needs at least ${program.minDownPct}% down (${money(cfg.price * program.minDownPct / 100)})`);
+    }
+    const limit = program.limit && cfg.program[program.limit];
+    if (!isNum(limit)) continue;
+    const loan = Math.max(cfg.price - cfg[path] - fam, 0);
+    if (program.above && loan <= limit) {
+      warn("program.type", `Loan of ${money(loan)}${which} is within the conforming limit, so it doesn't need to be jumbo`);
+    } else if (!program.above && loan > limit) {
+      error("program.type", `Loan of ${money(loan)}${which} is over the ${program.label} limit of ${money(limit)}`);
+    }
+  }
+}
+
+export const hasErrors = (issues) => issues.some(i => i.severity === "error");
+
+// First issue for a field (errors before warnings), for inline display
+export const issueFor = (issues, path) =>
+  issues.find(i => i.path === path && i.severity === "error") ?? issues.find(i => i.path === path);
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { configDiff, outcomeDiff } from "../src/comparison.js";
+
+const cfg = {
+  price: 500_000,
+  downBankOnly: 100_000,
+  downWithFamily: 100_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 0, rate: 3, termYears: 30, lumpSums: [] },
+  taxPct: 1.2, insuranceAnnual: 1_800, hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+  horizonYears: 30,
+};
+
+test("configDiff lists only the fields that differ, including nested ones", () => {
+  const other = { ...cfg, bankRate: 5.5, family: { ...cfg.family, lumpSums: [{ month: 12, amount: 1_000 }] } };
+  const diff = configDiff([{ cfg, variant: "bank" }, { cfg: other, variant: "bank" }, { cfg, variant: "family" }]);
+  assert.deepEqual(diff.map(d => d.path), ["variant", "bankRate", "family.lumpSums"]);
+  assert.deepEqual(diff[1].values, [6, 5.5, 6]);
+});
+
+test("outcomeDiff reports deltas against the chosen baseline", () => {
+  const cheaper = { ...cfg, bankRate: 5 };
+  const rows = outcomeDiff([{ cfg, variant: "bank" }, { cfg: cheaper, variant: "bank" }], 1);
+  const first = rows.find(r => r.key === "firstPayment");
+  assert.equal(first.deltas[1], null);
+  assert.ok(first.deltas[0] > 0);
+  assert.equal(first.deltas[0], first.values[0] - first.values[1]);
+  const interest = rows.find(r => r.key === "totalInterest");
+  assert.ok(interest.values[0] > interest.values[1]);
+  assert.equal(rows.find(r => r.key === "pmiMonths").values[0], 0);
+});
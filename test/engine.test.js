@@ -0,0 +1,613 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { affordability, borrowerTaxSavings, buildSchedule, compareRateOptions, familyGiftReport, frequencyImpact, housingExpense, irr, npv, pmt, prepayImpact, refinanceAnalysis, rentVsBuy, rollupAnnual, scheduleEvents, scheduleToCSV, toRealDollars, withUnparsedFields } from "../src/engine.js";
+
+// Plain loan with no carrying costs so payments can be checked against textbook tables
+const base = {
+  price: 250_000,
+  down: 50_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 0 },
+  taxPct: 0, insuranceAnnual: 0, hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+};
+
+// Remaining balance after k payments of `payment` (closed form)
+const balanceAfter = (principal, annualPct, payment, k) => {
+  const r = annualPct / 1200;
+  const g = Math.pow(1 + r, k);
+  return principal * g - payment * (g - 1) / r;
+};
+
+const near = (actual, expected, tol = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected} ± ${tol}, got ${actual}`);
+
+test("pmt matches standard payment tables", () => {
+  near(pmt(200_000, 6, 360), 1199.10);
+  near(pmt(100_000, 6, 360), 599.55);
+  near(pmt(300_000, 6.5, 180), 2613.32);
+  near(pmt(120_000, 0, 120), 1000);
+});
+
+test("fixed-rate loan amortizes to zero over the term", () => {
+  const { rows, payoffMonth } = buildSchedule(base);
+  assert.equal(rows.length, 360);
+  near(rows[0].bankPayment, 1199.10);
+  near(rows[0].bankInterest, 1000);
+  near(rows[0].bankPrincipal, 199.10);
+  near(rows[0].bankBalance, 199_800.90);
+  near(rows[59].bankBalance, balanceAfter(200_000, 6, pmt(200_000, 6, 360), 60), 0.05);
+  assert.equal(rows[359].bankBalance, 0);
+  assert.equal(payoffMonth, 360);
+  const totalInterest = rows.reduce((a, r) => a + r.bankInterest, 0);
+  near(totalInterest, 231_676.38, 1);
+});
+
+test("interest-only period pays interest, then amortizes over the remaining term", () => {
+  const { rows } = buildSchedule({ ...base, price: 350_000, bankType: "io", ioMonths: 120 });
+  for (const r of rows.slice(0, 120)) {
+    near(r.bankPayment, 1500);
+    assert.equal(r.bankPrincipal, 0);
+  }
+  assert.equal(rows[119].bankBalance, 300_000);
+  near(rows[120].bankPayment, pmt(300_000, 6, 240));
+  near(rows[120].bankPayment, 2149.29);
+  assert.equal(rows[359].bankBalance, 0);
+});
+
+test("a 10-year interest-only 30-year loan pays the 20-year table payment and ends at month 360", () => {
+  // $200,000 at 6%: $1,000.00 interest only, then $1,432.86 (the 20-year payment on $200,000)
+  const res = buildSchedule({ ...base, bankType: "io", ioMonths: 120 });
+  near(res.rows[0].bankPayment, 1000);
+  near(res.rows[120].bankPayment, 1432.86);
+  near(res.rows[358].bankPayment, 1432.86);
+  assert.equal(res.payoffMonth, 360);
+});
+
+test("ARM resets after the fixed period and respects first, periodic and lifetime caps", () => {
+  const arm = {
+    margin: 2.75,
+    caps: { first: 2, periodic: 1, lifetime: 5 },
+    indexForecast: [4, 4, 4, 4, 4, 4, 8],
+    fixedMonths: 60,
+    adjustMonths: 6,
+  };
+  const { rows } = buildSchedule({ ...base, bankType: "arm", bankRate: 5, arm });
+  assert.equal(rows[59].bankRate, 5);
+  assert.equal(rows[60].bankRate, 6.75);   // index 4 + margin, within the 2% first cap
+  assert.equal(rows[65].bankRate, 6.75);   // unchanged until the next 6-month reset
+  assert.equal(rows[72].bankRate, 7.75);   // year 7 index 8 + margin = 10.75, periodic cap +1
+  assert.equal(rows[78].bankRate, 8.75);
+  assert.equal(rows[84].bankRate, 9.75);
+  assert.equal(rows[90].bankRate, 10);     // lifetime ceiling = 5 + 5
+  assert.equal(rows[359].bankRate, 10);
+  near(rows[60].bankPayment, pmt(rows[59].bankBalance, 6.75, 300), 0.05);
+  assert.equal(rows[359].bankBalance, 0);
+});
+
+test("PMI is charged until the balance reaches the drop-off LTV", () => {
+  const cfg = { ...base, price: 500_000, down: 50_000, pmi: { enabled: true, dropLTV: 0.78, pmiPctAnnual: 0.5 } };
+  const { rows } = buildSchedule(cfg);
+  near(rows[0].pmi, 187.5);
+
+  const payment = pmt(450_000, 6, 360);
+  let dropMonth = 1;
+  while (balanceAfter(450_000, 6, payment, dropMonth) > 0.78 * 500_000) dropMonth++;
+  near(rows[dropMonth - 2].pmi, 187.5);
+  assert.equal(rows[dropMonth - 1].pmi, 0);
+  assert.ok(rows.slice(dropMonth).every(r => r.pmi === 0));
+
+  assert.equal(buildSchedule({ ...cfg, down: 100_000 }).rows[0].pmi, 0);
+});
+
+test("PMI ends by request, automatic termination or the mid-term rule and reports which", () => {
+  const low = { ...base, down: 12_500 };   // 95% LTV
+  const auto = buildSchedule({ ...low, pmi: { enabled: true } });
+  assert.equal(auto.pmiEnd.rule, "automatic");
+  assert.equal(auto.rows[auto.pmiEnd.month - 1].pmiEndedBy, "automatic");
+  assert.equal(auto.rows[auto.pmiEnd.month - 1].pmi, 0);
+
+  // extra payments only speed up a borrower request, not automatic termination
+  const prepaid = buildSchedule({ ...low, pmi: { enabled: true }, prepay: { monthlyExtra: 500 } });
+  assert.equal(prepaid.pmiEnd.month, auto.pmiEnd.month);
+  const requested = buildSchedule({ ...low, pmi: { enabled: true, requestCancel: true }, prepay: { monthlyExtra: 500 } });
+  assert.equal(requested.pmiEnd.rule, "requested");
+  assert.ok(requested.pmiEnd.month < auto.pmiEnd.month);
+
+  const appraised = buildSchedule({ ...low, appreciationPct: 5, pmi: { enabled: true, requestCancel: true, requestBasis: "appraised", requestAfterMonths: 24 } });
+  assert.equal(appraised.pmiEnd.rule, "requested");
+  assert.ok(appraised.pmiEnd.month >= 24 && appraised.pmiEnd.month < 60);
+
+  const io = buildSchedule({ ...low, bankType: "io", ioMonths: 120, pmi: { enabled: true } });
+  assert.deepEqual(io.pmiEnd, { month: 181, rule: "midpoint" });
+});
+
+test("single-premium, lender-paid and FHA mortgage insurance", () => {
+  const low = { ...base, down: 12_500 };
+  const single = buildSchedule({ ...low, pmi: { enabled: true, type: "single", singlePremiumPct: 2 } });
+  assert.equal(single.rows[0].pmi, 0);
+  assert.equal(single.pmiUpfront, 4_750);
+  assert.equal(single.initialOutlay, 12_500 + 4_750);
+
+  const lpmi = buildSchedule({ ...low, pmi: { enabled: true, type: "lpmi", lpmiRateBump: 0.25 } });
+  assert.equal(lpmi.rows[0].pmi, 0);
+  assert.equal(lpmi.rows[0].bankRate, 6.25);
+  near(lpmi.rows[0].bankPayment, pmt(237_500, 6.25, 360));
+
+  const fha = buildSchedule({ ...base, down: 8_750, pmi: { enabled: true, type: "fha", fhaUpfrontPct: 1.75, fhaAnnualPct: 0.55 } });
+  const loan = 241_250 * 1.0175;
+  assert.equal(fha.financedFees, 4_221.88);
+  near(fha.rows[0].bankPayment, pmt(loan, 6, 360));
+  near(fha.rows[0].pmi, loan * 0.0055 / 12);
+  near(fha.rows[12].pmi, fha.rows[11].bankBalance * 0.0055 / 12);
+  assert.equal(fha.pmiEnd.rule, "payoff");   // 3.5% down: MIP for the life of the loan
+
+  const fha10 = buildSchedule({ ...base, down: 25_000, pmi: { enabled: true, type: "fha" } });
+  assert.deepEqual(fha10.pmiEnd, { month: 133, rule: "fha_11yr" });
+  assert.ok(fha10.rows[131].pmi > 0);
+});
+
+test("family loan reduces the bank principal and amortizes on its own schedule", () => {
+  const family = { amount: 100_000, rate: 4.5, termYears: 30, mode: "amortized", altAnnualPct: 0, reinvestAnnualPct: 0 };
+  const { rows } = buildSchedule({ ...base, family });
+  near(rows[0].bankPayment, pmt(100_000, 6, 360));
+  near(rows[0].famPayment, 506.69);
+  near(rows[0].famInterest, 375);
+  assert.equal(rows[359].famBalance, 0);
+  near(rows[0].equity, 250_000 - rows[0].bankBalance - rows[0].famBalance);
+
+  const io = buildSchedule({ ...base, family: { ...family, mode: "interest_only" } }).rows;
+  near(io[0].famPayment, 375);
+  assert.equal(io[359].famBalance, 100_000);
+});
+
+test("prepayments shorten the loan and report interest saved", () => {
+  const cfg = { ...base, prepay: { monthlyExtra: 200, lumpSums: [{ month: 12, amount: 10_000 }] } };
+  const { rows } = buildSchedule(cfg);
+  assert.equal(rows[11].prepay, 10_200);
+  const impact = prepayImpact(cfg);
+  assert.equal(impact.basePayoffMonth, 360);
+  assert.ok(impact.payoffMonth < 300);
+  assert.equal(impact.monthsSaved, 360 - impact.payoffMonth);
+  assert.ok(impact.interestSaved > 50_000);
+  assert.equal(rows[impact.payoffMonth - 1].bankBalance, 0);
+  // a schedule the caller already built gives the same answer
+  assert.deepEqual(prepayImpact(cfg, buildSchedule(cfg)), impact);
+  assert.deepEqual(prepayImpact(base), { payoffMonth: 360, basePayoffMonth: 360, monthsSaved: 0, interestSaved: 0 });
+});
+
+test("irr and npv", () => {
+  near(irr([-100, 110]), 0.1, 1e-6);
+  near(irr([-1000, 300, 400, 500]), 0.08896, 1e-4);
+  near(npv(12, [-100, 101]), 0, 1e-9);
+});
+
+test("irr returns null instead of a garbage rate when it cannot converge", () => {
+  assert.equal(irr([-100, -50, -10]), null);
+  assert.equal(irr([100, 50]), null);
+  near(irr([-100, 230, -132]), 0.1, 1e-6);   // two roots (10% and 20%); Newton finds the nearer one
+  near(irr([-1, 0, 0, 0, 1000]), 4.6234, 1e-3);
+});
+
+test("buildSchedule reports IRR and NPV for owner and household cash flows", () => {
+  const res = buildSchedule({ ...base, horizonYears: 10, discountRatePct: 5 });
+  assert.equal(res.rows.length, 120);
+  assert.equal(typeof res.irrAnnual, "number");
+  assert.equal(res.irrAnnual, res.irrAnnualHousehold);
+  assert.ok(Number.isFinite(res.npv));
+  // later cash flows are net outflows, so a higher discount rate shrinks them
+  assert.ok(buildSchedule({ ...base, horizonYears: 10, discountRatePct: 8 }).npv > res.npv);
+});
+
+test("IRRs are solved only when read, and then kept", () => {
+  const res = buildSchedule({ ...base, horizonYears: 10 });
+  const pending = (obj, key) => typeof Object.getOwnPropertyDescriptor(obj, key).get === "function";
+  assert.ok(["irrAnnual", "irrAnnualHousehold", "irrAnnualAfterTax", "irrAnnualHouseholdAfterTax"].every(k => pending(res, k)));
+  const real = toRealDollars(res, 2);
+  assert.ok(pending(real, "irrAnnual") && pending(res, "irrAnnual"));
+
+  const irrAnnual = res.irrAnnual;
+  assert.equal(pending(res, "irrAnnual"), false);
+  assert.equal(res.irrAnnual, irrAnnual);
+  assert.ok(pending(res, "irrAnnualHousehold"));
+  assert.equal({ ...res }.irrAnnualHousehold, res.irrAnnualHousehold);
+});
+
+test("rent vs buy tracks both net worths and finds the break-even year", () => {
+  const res = buildSchedule(base);
+  assert.equal(res.initialOutlay, 50_000);
+  const opts = { rentMonthly: 1200, rentGrowthPct: 0, investReturnPct: 0 };
+  const { years, breakEvenYear } = rentVsBuy(res, opts);
+  assert.equal(years.length, 30);
+  // with no growth anywhere the renter just banks the down payment
+  assert.equal(years[0].rent, 50_000);
+  near(years[0].buy, 250_000 - res.rows[11].bankBalance + 12 * (1200 - 1199.10), 0.1);
+  assert.equal(breakEvenYear, 1);
+
+  const costly = rentVsBuy(buildSchedule({ ...base, agentFeePct: 6, sellingCostPct: 24 }), { ...opts, rentMonthly: 500, investReturnPct: 8 });
+  assert.ok(costly.breakEvenYear === null || costly.breakEvenYear > 10);
+});
+
+test("home value appreciates and the sale at the horizon pays selling costs", () => {
+  const flat = buildSchedule({ ...base, horizonYears: 10 });
+  assert.equal(flat.rows[119].homeValue, 250_000);
+  assert.equal(flat.rows[119].netSaleProceeds, flat.rows[119].equity);
+
+  const res = buildSchedule({ ...base, horizonYears: 10, appreciationPct: 4, agentFeePct: 5, sellingCostPct: 1 });
+  const last = res.rows[119];
+  near(res.rows[11].homeValue, 260_000, 0.05);
+  near(last.homeValue, 250_000 * 1.04 ** 10, 0.05);
+  near(last.marketEquity, last.homeValue - last.bankBalance, 0.02);
+  near(last.netSaleProceeds, last.homeValue * 0.94 - last.bankBalance, 0.02);
+  assert.ok(res.irrAnnual > flat.irrAnnual);
+
+  const path = buildSchedule({ ...base, horizonYears: 3, appreciationPath: [10, -10] });
+  near(path.rows[11].homeValue, 275_000, 0.05);
+  near(path.rows[35].homeValue, 275_000 * 0.9 * 0.9, 0.05);
+});
+
+test("refinance continues from the outstanding balance on the new terms", () => {
+  const refi = { enabled: true, month: 61, rate: 4, termYears: 25, closingCosts: 4_000, cashOut: 0, rollCosts: false };
+  const cfg = { ...base, refi };
+  const { rows } = buildSchedule(cfg);
+  const plain = buildSchedule(base).rows;
+  const balance = plain[59].bankBalance;
+
+  assert.equal(rows[60].refinanced, true);
+  assert.equal(rows[60].bankRate, 4);
+  near(rows[60].bankPayment, pmt(balance, 4, 300), 0.02);
+  near(rows[60].bankInterest, balance * 4 / 1200, 0.02);
+  assert.equal(rows[60].refiCash, 4_000);
+  assert.equal(rows[359].bankBalance, 0);
+
+  const a = refinanceAnalysis(cfg);
+  near(a.newBalance, balance, 0.02);
+  near(a.monthlySavings, 1199.10 - pmt(balance, 4, 300), 0.02);
+  assert.equal(a.monthsToBreakEven, Math.ceil(4_000 / a.monthlySavings));
+  assert.ok(a.interestDifference < 0);
+
+  const rolled = buildSchedule({ ...base, refi: { ...refi, cashOut: 20_000, rollCosts: true } }).rows;
+  near(rolled[60].bankPayment, pmt(balance + 24_000, 4, 300), 0.02);
+  assert.equal(rolled[60].refiCash, -20_000);
+
+  // a 30-year refi in year 6 runs past the original term
+  const longer = buildSchedule({ ...base, horizonYears: 40, refi: { ...refi, termYears: 30 } });
+  assert.equal(longer.payoffMonth, 60 + 360);
+  assert.equal(refinanceAnalysis({ ...cfg, refi: { ...refi, enabled: false } }), null);
+});
+
+test("tax savings compare itemizing with the standard deduction each year", () => {
+  const tax = { enabled: true, filingStatus: "mfj", marginalPct: 24, saltCap: 10_000, acquisitionLimit: 750_000 };
+  const cfg = { ...base, price: 1_000_000, down: 200_000, taxPct: 1.2, horizonYears: 2, borrowerTax: tax };
+  const res = buildSchedule(cfg);
+  const y1 = res.taxYears[0];
+  const interest = res.rows.slice(0, 12).reduce((a, r) => a + r.bankInterest, 0);
+  // $800k average debt is over the $750k limit, so only part of the interest counts
+  assert.ok(y1.deductibleInterest < interest && y1.deductibleInterest > interest * 0.9);
+  assert.equal(y1.salt, 10_000);
+  assert.ok(y1.itemizes);
+  near(y1.savings, (y1.itemized - 32_200) * 0.24, 0.02);
+  near(res.rows[0].taxSavings, y1.savings / 12, 0.01);
+  near(res.rows[0].afterTaxMonthly, res.rows[0].totalMonthly - res.rows[0].taxSavings, 0.01);
+  assert.ok(res.irrAnnualAfterTax > res.irrAnnual);
+
+  // small loan: the standard deduction wins and there is no benefit
+  const small = buildSchedule({ ...cfg, price: 200_000, down: 100_000 });
+  assert.equal(small.taxYears[0].itemizes, false);
+  assert.equal(small.taxYears[0].savings, 0);
+  assert.equal(small.irrAnnualAfterTax, small.irrAnnual);
+
+  // other itemized deductions already above the standard: every housing dollar counts
+  const { years } = borrowerTaxSavings(small.rows, { ...tax, otherItemizedAnnual: 40_000 });
+  near(years[0].savings, (years[0].deductibleInterest + years[0].salt) * 0.24, 0.02);
+
+  assert.deepEqual(buildSchedule({ ...cfg, borrowerTax: undefined }).taxYears, []);
+});
+
+test("family loan deferral accrues or pays interest, then amortizes over the term", () => {
+  const family = { amount: 100_000, rate: 6, termYears: 10, deferMonths: 12 };
+  const accrue = buildSchedule({ ...base, family, horizonYears: 25 }).rows;
+  assert.equal(accrue[0].famPayment, 0);
+  near(accrue[0].famPrincipal, -500);
+  const grown = 100_000 * Math.pow(1.005, 12);
+  near(accrue[11].famBalance, grown, 0.05);
+  near(accrue[12].famPayment, pmt(grown, 6, 120), 0.05);
+  assert.equal(accrue[131].famBalance, 0);
+
+  const pay = buildSchedule({ ...base, family: { ...family, deferInterest: "pay" }, horizonYears: 2 }).rows;
+  near(pay[0].famPayment, 500);
+  assert.equal(pay[11].famBalance, 100_000);
+});
+
+test("family loan balloon, graduated payments, extra payments and forgiveness chunks", () => {
+  const family = { amount: 100_000, rate: 6, termYears: 30 };
+  const balloon = buildSchedule({ ...base, family: { ...family, balloonYears: 7 } }).rows;
+  const before = balloon[82].famBalance;
+  near(balloon[83].famBalloon, before - balloon[83].famPrincipal, 0.02);
+  assert.equal(balloon[83].famBalance, 0);
+  assert.equal(balloon[84].famPayment, 0);
+  assert.ok(balloon[83].totalMonthly > balloon[83].famBalloon);
+
+  const grad = buildSchedule({ ...base, family: { ...family, mode: "graduated", gradStepPct: 5 }, horizonYears: 31 }).rows;
+  near(grad[12].famPayment, grad[11].famPayment * 1.05, 0.02);
+  assert.ok(grad[0].famPayment < pmt(100_000, 6, 360));
+  assert.ok(grad[359].famBalance < 1);
+
+  const extra = buildSchedule({ ...base, family: { ...family, extraMonthly: 200, lumpSums: [{ month: 6, amount: 5_000 }] } });
+  assert.equal(extra.rows[5].famPrepay, 5_200);
+  const paidOff = extra.rows.findIndex(r => r.famBalance === 0) + 1;
+  assert.ok(paidOff > 0 && paidOff < 300);
+  assert.ok(scheduleEvents(extra.rows, { family: { extraMonthly: 200 } }).get(6).some(e => e.label === "Family prepayment 5,000"));
+
+  const chunk = buildSchedule({ ...base, family: { ...family, forgiveLumps: [{ month: 24, amount: 20_000 }] }, horizonYears: 3 }).rows;
+  assert.equal(chunk[23].famForgiven, 20_000);
+  near(chunk[24].famPayment, pmt(chunk[23].famBalance, 6, 336), 0.02);
+});
+
+test("family loan below the AFR reports forgone interest and forgiveness as gifts", () => {
+  const family = { amount: 100_000, rate: 1, termYears: 10, mode: "interest_only", forgiveAnnual: 10_000 };
+  const res = buildSchedule({ ...base, family, horizonYears: 3 });
+  assert.equal(res.rows[11].famForgiven, 10_000);
+  assert.equal(res.rows[11].famBalance, 90_000);
+  // interest-only payment follows the lower balance
+  near(res.rows[12].famInterest, 90_000 * 0.01 / 12);
+
+  const report = familyGiftReport(res.rows, { ...family, afrShortPct: 4, afrMidPct: 4.2, afrLongPct: 4.5, lenders: 1, borrowers: 1, annualExclusion: 19_000 });
+  assert.equal(report.afrTerm, "long");
+  assert.equal(report.afrPct, 4.5);
+  assert.ok(report.belowAFR);
+  const y1 = report.years[0];
+  near(y1.forgoneInterest, 100_000 * 0.035, 0.05);
+  near(y1.gift, 13_500, 0.05);
+  assert.equal(y1.taxableGift, 0);
+
+  // two lenders double the exclusion; a larger forgiveness spills over it
+  const big = buildSchedule({ ...base, family: { ...family, forgiveAnnual: 50_000 }, horizonYears: 3 });
+  const r2 = familyGiftReport(big.rows, { ...family, afrLongPct: 1, lenders: 2, annualExclusion: 19_000, lifetimeExemption: 1_000_000 });
+  assert.equal(r2.belowAFR, false);
+  assert.equal(r2.years[0].taxableGift, 12_000);
+  assert.equal(r2.years[1].cumulativeTaxable, 24_000);
+  assert.equal(r2.years[1].exemptionLeft, 976_000);
+  assert.equal(r2.years.length, 2);
+});
+
+test("affordability reports DTI ratios and solves for the maximum price", () => {
+  const cfg = { ...base, taxPct: 1.2, insuranceAnnual: 1_200, hoaMonthly: 100 };
+  const housing = 1199.10 + 250 + 100 + 100;
+  const res = affordability(cfg, { incomeAnnual: 90_000, otherDebtsMonthly: 600, frontPct: 28, backPct: 36 });
+  near(res.housing, housing, 0.01);
+  near(res.frontRatio, housing / 7_500, 1e-6);
+  near(res.backRatio, (housing + 600) / 7_500, 1e-6);
+  assert.equal(res.frontOk, true);
+  assert.equal(res.backOk, true);
+
+  // 28% of 7,500 and (36% of 7,500 − 600 of debts) are both 2,100
+  assert.equal(res.maxHousing, 2_100);
+  const atMax = buildSchedule({ ...cfg, price: res.maxPrice, horizonYears: 1 }).rows[0];
+  assert.ok(housingExpense(atMax) <= 2_100);
+  assert.ok(housingExpense(buildSchedule({ ...cfg, price: res.maxPrice + 10, horizonYears: 1 }).rows[0]) > 2_100);
+  assert.equal(res.maxLoan, res.maxPrice - 50_000);
+
+  const tight = affordability(cfg, { incomeAnnual: 40_000, otherDebtsMonthly: 1_500, frontPct: 28, backPct: 36 });
+  assert.equal(tight.limitedBy, "back");
+  assert.equal(tight.backOk, false);
+});
+
+test("affordability counts prices the inputs reject as not fitting", () => {
+  // below 400k the 300k family loan is more than is left to borrow; above it the payments are out of reach
+  const cfg = { ...base, price: 500_000, down: 100_000, family: { amount: 300_000, rate: 3, termYears: 30 } };
+  const res = affordability(cfg, { incomeAnnual: 20_000, otherDebtsMonthly: 0, frontPct: 28, backPct: 36 });
+  assert.equal(res.maxPrice, null);
+  assert.equal(res.maxLoan, null);
+
+  const roomy = affordability(cfg, { incomeAnnual: 200_000, otherDebtsMonthly: 0, frontPct: 28, backPct: 36 });
+  assert.ok(roomy.maxPrice > 400_000);
+  assert.equal(buildSchedule({ ...cfg, price: roomy.maxPrice, horizonYears: 1 }).invalid, false);
+});
+
+test("annual roll-up sums flows and keeps year-end balances", () => {
+  const { rows } = buildSchedule(base);
+  const years = rollupAnnual(rows);
+  assert.equal(years.length, 30);
+  assert.equal(years[0].months, 12);
+  near(years[0].bankPayment, 12 * 1199.10, 0.05);
+  near(years[0].bankInterest, rows.slice(0, 12).reduce((a, r) => a + r.bankInterest, 0), 0.01);
+  assert.equal(years[0].bankBalance, rows[11].bankBalance);
+  assert.equal(years[29].bankBalance, 0);
+});
+
+test("schedule events mark PMI drop-off, ARM resets, IO end, prepayments, refinance and payoff", () => {
+  const pmiCfg = { ...base, price: 500_000, down: 50_000, pmi: { enabled: true, dropLTV: 0.78, pmiPctAnnual: 0.5 },
+    prepay: { monthlyExtra: 100, lumpSums: [{ month: 24, amount: 5_000 }] } };
+  const pmiRows = buildSchedule(pmiCfg).rows;
+  const ev = scheduleEvents(pmiRows, pmiCfg);
+  const types = (m) => (ev.get(m) ?? []).map(e => e.type);
+  const pmiEnd = pmiRows.findIndex(r => r.pmi === 0) + 1;
+  assert.deepEqual(types(pmiEnd), ["pmi"]);
+  assert.deepEqual(types(24), ["prepay"]);
+  const payoff = pmiRows.findIndex(r => r.bankBalance === 0) + 1;
+  assert.ok(types(payoff).includes("payoff"));
+
+  const armCfg = { ...base, bankType: "arm", bankRate: 5, arm: { margin: 2, caps: { first: 2, periodic: 2, lifetime: 5 }, indexForecast: [4], fixedMonths: 60, adjustMonths: 12 } };
+  assert.deepEqual(scheduleEvents(buildSchedule(armCfg).rows, armCfg).get(61), [{ type: "arm", label: "ARM reset to 6%" }]);
+
+  const ioCfg = { ...base, bankType: "io", ioMonths: 60, refi: { enabled: true, month: 120, rate: 4, termYears: 20 } };
+  const ioEv = scheduleEvents(buildSchedule(ioCfg).rows, ioCfg);
+  assert.equal(ioEv.get(61)[0].type, "io");
+  assert.equal(ioEv.get(120)[0].type, "refi");
+});
+
+test("scheduleToCSV writes a header and one line per row", () => {
+  const { rows } = buildSchedule({ ...base, horizonYears: 1 });
+  const lines = scheduleToCSV(rows).split("\n");
+  assert.equal(lines.length, 13);
+  assert.ok(lines[0].startsWith("Month,BankPayment,"));
+  assert.ok(lines[1].startsWith("1,1199.1,"));
+});
+
+test("VA funding fee and USDA guarantee fees, financed or paid at closing", () => {
+  const va = buildSchedule({ ...base, down: 0, pmi: { enabled: true }, program: { type: "va", financeFee: true } });
+  assert.equal(va.upfrontFee, 5_375);   // 2.15% first use, under 5% down
+  assert.equal(va.financedFees, 5_375);
+  assert.equal(va.rows[0].pmi, 0);
+  near(va.rows[0].bankPayment, pmt(255_375, 6, 360));
+
+  const vaCash = buildSchedule({ ...base, down: 25_000, program: { type: "va", financeFee: false } });
+  assert.equal(vaCash.upfrontFee, 2_812.5);   // 1.25% at 10% down
+  assert.equal(vaCash.financedFees, 0);
+  assert.equal(vaCash.initialOutlay, 25_000 + 2_812.5);
+
+  const usda = buildSchedule({ ...base, down: 0, pmi: { enabled: false }, program: { type: "usda", usdaUpfrontPct: 1, usdaAnnualPct: 0.35 } });
+  const loan = 250_000 * 1.01;
+  assert.equal(usda.financedFees, 2_500);
+  near(usda.rows[0].pmi, loan * 0.0035 / 12);
+  near(usda.rows[12].pmi, usda.rows[11].bankBalance * 0.0035 / 12);
+  assert.ok(usda.rows[348].pmi > 0);   // still charged in year 30
+  assert.equal(usda.pmiEnd.rule, "payoff");
+});
+
+test("temporary buydown draws the escrow down over the first years", () => {
+  const bd = buildSchedule({ ...base, buydown: { type: "2-1", paidBy: "borrower" } });
+  const full = pmt(200_000, 6, 360);
+  near(bd.rows[0].bankPayment, full);
+  near(bd.rows[0].bankPayment - bd.rows[0].buydownSubsidy, pmt(200_000, 4, 360));
+  near(bd.rows[12].bankPayment - bd.rows[12].buydownSubsidy, pmt(200_000, 5, 360));
+  assert.equal(bd.rows[24].buydownSubsidy, 0);
+  near(bd.buydownEscrow, bd.rows.slice(0, 24).reduce((a, r) => a + r.buydownSubsidy, 0), 0.1);
+  near(bd.initialOutlay, 50_000 + bd.buydownEscrow);
+  // the lender is paid in full, so amortization matches the plain loan
+  assert.equal(bd.rows[30].bankBalance, buildSchedule(base).rows[30].bankBalance);
+
+  const seller = buildSchedule({ ...base, buydown: { type: "2-1", paidBy: "seller" } });
+  assert.equal(seller.initialOutlay, 50_000);
+});
+
+test("lender credits only offset closing costs", () => {
+  const credit = buildSchedule({ ...base, closingCosts: 1_000, pointsPct: -1 });
+  assert.equal(credit.pointsCost, -1_000);
+  assert.equal(credit.initialOutlay, 50_000);
+});
+
+test("rate options: break-even on points, hold-period costs and the best option", () => {
+  const cfg = { ...base, closingCosts: 5_000 };
+  const { options, referenceIndex, bestIndex } = compareRateOptions(cfg, [
+    { rate: 6.5, points: -1 },
+    { rate: 6.25, points: 0 },
+    { rate: 5.75, points: 2 },
+  ], { holdYears: [2, 10], expectedYears: 10 });
+  assert.equal(referenceIndex, 1);
+  assert.equal(options[0].upfront, -2_000);
+  assert.equal(options[2].upfront, 4_000);
+  assert.equal(options[1].breakEvenMonth, null);
+  // 2 points buy ~0.5% of rate: roughly 4,000 / (200,000 × 0.5% / 12) months to pay back
+  assert.ok(options[2].breakEvenMonth > 40 && options[2].breakEvenMonth < 60, `${options[2].breakEvenMonth}`);
+  assert.ok(options[0].costs[2] < options[1].costs[2]);
+  assert.equal(bestIndex, 2);
+});
+
+test("semi-monthly and bi-weekly payments roll up into monthly rows", () => {
+  const semi = buildSchedule({ ...base, paymentFrequency: "semimonthly" });
+  assert.equal(semi.payments.length, 720);
+  near(semi.periodPayment, pmt(200_000, 6, 720, 24));
+  assert.deepEqual(semi.payments.slice(0, 2).map(p => p.date), ["2026-01-01", "2026-01-15"]);
+  near(semi.rows[0].bankPayment, 2 * semi.periodPayment);
+
+  const bi = buildSchedule({ ...base, paymentFrequency: "biweekly" });
+  assert.equal(bi.payments.length, 780);
+  // every 14 days: two payments a month, three in a couple of months each year
+  const perMonth = bi.rows.slice(0, 12).map(r => bi.payments.filter(p => p.m === r.m).length);
+  assert.ok(perMonth.every(n => n === 2 || n === 3));
+  assert.ok(perMonth.filter(n => n === 3).length >= 2);
+  const sumInterest = (list) => list.reduce((a, x) => a + x.bankInterest, 0);
+  near(sumInterest(bi.rows), bi.payments.reduce((a, p) => a + p.interest, 0), 0.5);
+  assert.equal(bi.rows[bi.rows.length - 1].bankBalance, 0);
+});
+
+test("accelerated bi-weekly pays half the monthly payment and retires the loan years early", () => {
+  const cfg = { ...base, paymentFrequency: "accelerated" };
+  const res = buildSchedule(cfg);
+  near(res.periodPayment, pmt(200_000, 6, 360) / 2);
+  const impact = frequencyImpact(cfg);
+  assert.equal(impact.monthlyPayoffMonth, 360);
+  assert.ok(impact.monthsSooner > 60 && impact.monthsSooner < 78, `${impact.monthsSooner}`);
+  assert.ok(impact.interestSaved > 40_000, `${impact.interestSaved}`);
+
+  // ARMs keep paying monthly
+  const arm = buildSchedule({ ...cfg, bankType: "arm" });
+  assert.deepEqual(arm.payments, []);
+  assert.equal(arm.warnings[0].path, "paymentFrequency");
+});
+
+test("HOA, maintenance and utilities escalate at their own yearly rates", () => {
+  const res = buildSchedule({
+    ...base, hoaMonthly: 100, maintPctAnnual: 1.2, utilitiesMonthly: 300,
+    hoaInflationPct: 5, maintInflationPct: 3, utilitiesInflationPct: 2, horizonYears: 3,
+  });
+  assert.equal(res.rows[11].hoa, 100);
+  assert.equal(res.rows[12].hoa, 105);
+  near(res.rows[24].maint, 250 * 1.03 ** 2);
+  near(res.rows[24].util, 300 * 1.02 ** 2);
+  near(res.rows[24].totalMonthly - res.rows[24].bankPayment, res.rows[24].hoa + res.rows[24].maint + res.rows[24].util, 0.02);
+});
+
+test("real dollars deflate every amount to closing and turn IRRs into real rates", () => {
+  const nominal = buildSchedule({ ...base, appreciationPct: 3, horizonYears: 10 });
+  const real = toRealDollars(nominal, 2);
+  const r = real.rows[119], n = nominal.rows[119];
+  assert.equal(r.m, 120);
+  assert.equal(r.bankRate, n.bankRate);
+  near(r.bankPayment, n.bankPayment / 1.02 ** 10);
+  near(r.homeValue, n.homeValue / 1.02 ** 10);
+  near(real.irrAnnual, (1 + nominal.irrAnnual) / 1.02 - 1, 1e-4);
+  assert.equal(real.npv, nominal.npv);
+  assert.equal(real.initialOutlay, nominal.initialOutlay);
+});
+
+test("invalid inputs return structured warnings and no rows instead of NaN", () => {
+  const res = buildSchedule({ ...base, price: NaN });
+  assert.equal(res.invalid, true);
+  assert.deepEqual(res.rows, []);
+  assert.equal(res.npv, null);
+  assert.deepEqual(res.warnings, [{ path: "price", message: "Enter a number", severity: "error" }]);
+
+  const ok = buildSchedule(base);
+  assert.equal(ok.invalid, false);
+  assert.deepEqual(ok.warnings, []);
+  assert.ok(ok.rows.every(r => Number.isFinite(r.totalMonthly)));
+});
+
+test("a cleared number field pauses the result until it parses again", () => {
+  const built = buildSchedule(base);
+  // the cfg keeps the last number while the field is empty, so the build alone looks fine
+  assert.equal(built.invalid, false);
+  const paused = withUnparsedFields(built, ["Home price"]);
+  assert.equal(paused.invalid, true);
+  assert.deepEqual(paused.rows, []);
+  assert.equal(paused.irrAnnual, null);
+  assert.deepEqual(paused.warnings, [{ path: "Home price", message: "Enter a number", severity: "error" }]);
+  assert.equal(withUnparsedFields(built, []), built);
+});
+
+test("prepay, frequency and rent-vs-buy figures can be restated in real dollars", () => {
+  const cfg = { ...base, prepay: { monthlyExtra: 200, lumpSums: [] }, paymentFrequency: "accelerated" };
+  const real = (res) => toRealDollars(res, 3).rows.reduce((a, r) => a + r.bankInterest, 0);
+  const noPrepay = buildSchedule({ ...cfg, prepay: undefined });
+  const prepay = prepayImpact(cfg, undefined, { inflationPct: 3 });
+  near(prepay.interestSaved, real(noPrepay) - real(buildSchedule(cfg)), 0.02);
+  assert.ok(prepay.interestSaved < prepayImpact(cfg).interestSaved);
+  assert.equal(prepay.monthsSaved, prepayImpact(cfg).monthsSaved);
+
+  const freq = frequencyImpact(cfg, undefined, { inflationPct: 3 });
+  assert.ok(freq.interestSaved < frequencyImpact(cfg).interestSaved);
+  assert.equal(freq.periodPayment, frequencyImpact(cfg).periodPayment);
+
+  const res = buildSchedule(base);
+  const opts = { rentMonthly: 1200, rentGrowthPct: 2, investReturnPct: 5 };
+  const nominal = rentVsBuy(res, opts);
+  const inReal = rentVsBuy(res, { ...opts, inflationPct: 3 });
+  near(inReal.years[9].buy, nominal.years[9].buy / 1.03 ** 10);
+  near(inReal.years[9].rent, nominal.years[9].rent / 1.03 ** 10);
+  assert.equal(inReal.breakEvenYear, nominal.breakEvenYear);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, exportItems, longFormatCSV, scenarioSheets } from "../src/exporters.js";
+import { crc32, sheetNames, writeXlsx } from "../src/xlsx.js";
+
+const cfg = {
+  price: 400_000,
+  down: 80_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 0, rate: 0, termYears: 30 },
+  taxPct: 1, insuranceAnnual: 1_200, hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+  horizonYears: 5,
+};
+
+test("csv cells with commas, quotes or line breaks are quoted", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell('Smith, "A"'), '"Smith, ""A"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell(null), "");
+});
+
+test("long-format CSV carries a scenario column for every row", () => {
+  const items = exportItems([{ id: 1, name: "Base, 6%", cfg, variant: "base" }, { id: 2, name: "Alt", cfg, variant: "base" }]);
+  const lines = longFormatCSV(items).split("\r\n");
+  assert.match(lines[0], /^Scenario,Variant,/);
+  assert.equal(lines.length, 1 + items[0].res.rows.length + items[1].res.rows.length);
+  assert.ok(lines[1].startsWith('"Base, 6%",base,'));
+});
+
+test("real-dollar exports deflate the rows and say so on the comparison sheet", () => {
+  const scenarios = [{ id: 1, name: "Base", cfg, variant: "base" }];
+  const nominal = exportItems(scenarios)[0];
+  const real = exportItems(scenarios, 3)[0];
+  const last = real.res.rows.length - 1;
+  assert.ok(Math.abs(real.res.rows[last].bankPayment - nominal.res.rows[last].bankPayment / 1.03 ** 5) < 0.01);
+  const comparison = scenarioSheets([real])[0].rows;
+  assert.deepEqual(comparison.find(r => r[0] === "Dollars"), ["Dollars", "real (3% inflation)"]);
+});
+
+test("sheet names are trimmed to 31 characters and de-duplicated", () => {
+  const long = "x".repeat(40);
+  const names = sheetNames([long, long, "a/b", "Comparison", "comparison"]);
+  assert.equal(names[0].length, 31);
+  assert.equal(names[1].length, 31);
+  assert.notEqual(names[0], names[1]);
+  assert.equal(names[2], "a b");
+  assert.equal(names[4], "comparison~2");
+});
+
+test("workbook is a zip holding one worksheet per sheet", () => {
+  assert.equal(crc32(new TextEncoder().encode("hello")), 0x3610a686);
+  const items = exportItems([{ id: 1, name: "Base", cfg, variant: "base" }]);
+  const sheets = scenarioSheets(items);
+  assert.deepEqual(sheets.map(s => s.name), ["Comparison", "Base inputs", "Base monthly", "Base annual"]);
+  const bytes = writeXlsx(sheets);
+  assert.deepEqual([...bytes.slice(0, 4)], [0x50, 0x4b, 0x03, 0x04]);
+  const text = new TextDecoder().decode(bytes);
+  for (const part of ["[Content_Types].xml", "xl/workbook.xml", "xl/worksheets/sheet4.xml"]) assert.ok(text.includes(part), part);
+});
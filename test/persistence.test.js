@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  loadStoredScenarios, serializeScenarioSet, storeScenarios, validateScenarioSet, SCHEMA_VERSION, STORAGE_KEY,
+} from "../src/persistence.js";
+
+const preset = {
+  price: 500_000,
+  bankRate: 6,
+  family: { amount: 100_000, rate: 4, lumpSums: [] },
+  startDate: "2026-01",
+};
+
+const scenario = (id, cfg = preset) => ({ id, name: `S${id}`, cfg: structuredClone(cfg), variant: "family" });
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (k) => data[k] ?? null,
+    setItem: (k, v) => { data[k] = String(v); },
+  };
+}
+
+test("a saved set round-trips through serializeScenarioSet", () => {
+  const saved = serializeScenarioSet([scenario(1), scenario(2)], 2);
+  assert.equal(saved.version, SCHEMA_VERSION);
+  const res = validateScenarioSet(JSON.parse(JSON.stringify(saved)), preset);
+  assert.deepEqual(res.errors, []);
+  assert.deepEqual(res.missing, []);
+  assert.equal(res.activeId, 2);
+  assert.deepEqual(res.scenarios, [scenario(1), scenario(2)]);
+});
+
+test("a bad field falls back to the preset value instead of dropping the set", () => {
+  // NaN is written to JSON as null
+  const saved = JSON.parse(JSON.stringify(serializeScenarioSet([scenario(1, { ...preset, price: NaN, bankRate: 5.5 })], 1)));
+  const res = validateScenarioSet(saved, preset);
+  assert.deepEqual(res.errors, ["scenarios[0].cfg.price: expected number, got null"]);
+  assert.equal(res.scenarios[0].cfg.price, 500_000);
+  assert.equal(res.scenarios[0].cfg.bankRate, 5.5);
+});
+
+test("a value outside a list field's options is reported like a wrong type", () => {
+  const withLists = { ...preset, bankType: "fixed", pmi: { type: "bpmi" } };
+  const saved = serializeScenarioSet([scenario(1, { ...withLists, bankType: "balloon", pmi: { type: 3 } })], 1);
+  const res = validateScenarioSet(JSON.parse(JSON.stringify(saved)), withLists);
+  assert.deepEqual(res.errors, [
+    'scenarios[0].cfg.bankType: expected one of fixed, arm, io, got "balloon"',
+    "scenarios[0].cfg.pmi.type: expected string, got number",
+  ]);
+  assert.equal(res.scenarios[0].cfg.bankType, "fixed");
+  assert.equal(res.scenarios[0].cfg.pmi.type, "bpmi");
+});
+
+test("older saves get missing fields filled and reported", () => {
+  const { family, ...old } = preset;
+  const res = validateScenarioSet([{ id: 1, name: "Old", cfg: { ...old, family: { amount: 50_000 } }, variant: "bank" }], preset);
+  assert.deepEqual(res.errors, []);
+  assert.deepEqual(res.missing, ["scenarios[0].cfg.family.rate", "scenarios[0].cfg.family.lumpSums"]);
+  assert.deepEqual(res.scenarios[0].cfg.family, { ...family, amount: 50_000 });
+});
+
+test("fields that would change an older save's results are filled with neutral values", () => {
+  const current = { ...preset, appreciationPct: 3, hoaInflationPct: 3, borrowerTax: { enabled: true, marginalPct: 24 } };
+  const res = validateScenarioSet([{ id: 1, name: "Old", cfg: structuredClone(preset), variant: "bank" }], current);
+  assert.equal(res.scenarios[0].cfg.appreciationPct, 0);
+  assert.equal(res.scenarios[0].cfg.hoaInflationPct, 0);
+  assert.deepEqual(res.scenarios[0].cfg.borrowerTax, { enabled: false, marginalPct: 24 });
+  assert.deepEqual(res.missing, ["scenarios[0].cfg.appreciationPct", "scenarios[0].cfg.hoaInflationPct", "scenarios[0].cfg.borrowerTax"]);
+
+  // present fields keep their saved values
+  const saved = validateScenarioSet([{ id: 1, name: "New", cfg: structuredClone(current), variant: "bank" }], current);
+  assert.deepEqual(saved.scenarios[0].cfg, current);
+});
+
+test("sets that can't be used at all come back without scenarios", () => {
+  assert.equal(validateScenarioSet({ foo: 1 }, preset).scenarios, null);
+  assert.equal(validateScenarioSet({ version: 1, scenarios: [] }, preset).scenarios, null);
+  assert.match(validateScenarioSet({ version: SCHEMA_VERSION + 1, scenarios: [scenario(1)] }, preset).errors[0], /newer than supported/);
+});
+
+test("loading reads the stored set and reports unreadable data without touching it", () => {
+  assert.equal(loadStoredScenarios(preset, memoryStorage()), null);
+
+  const storage = memoryStorage();
+  storeScenarios([scenario(3)], 3, storage);
+  const loaded = loadStoredScenarios(preset, storage);
+  assert.equal(loaded.activeId, 3);
+  assert.deepEqual(loaded.scenarios, [scenario(3)]);
+
+  const broken = memoryStorage({ [STORAGE_KEY]: "{not json" });
+  const res = loadStoredScenarios(preset, broken);
+  assert.equal(res.scenarios, null);
+  assert.match(res.errors[0], /not valid JSON/);
+  assert.equal(broken.data[STORAGE_KEY], "{not json");
+});
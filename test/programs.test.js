@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyProgram, fhaAnnualMipPct, vaFundingFeePct } from "../src/programs.js";
+
+const cfg = {
+  price: 400_000,
+  downBankOnly: 8_000,
+  downWithFamily: 40_000,
+  bankTermYears: 30,
+  pmi: { enabled: false, type: "bpmi" },
+  program: { type: "custom", financeFee: true },
+};
+
+test("VA funding fee and FHA annual MIP follow the published tiers", () => {
+  assert.equal(vaFundingFeePct(0, "first"), 2.15);
+  assert.equal(vaFundingFeePct(0, "subsequent"), 3.3);
+  assert.equal(vaFundingFeePct(5, "subsequent"), 1.5);
+  assert.equal(vaFundingFeePct(10), 1.25);
+  assert.equal(vaFundingFeePct(0, "exempt"), 0);
+  assert.equal(fhaAnnualMipPct(386_000, 0.965, 30), 0.55);
+  assert.equal(fhaAnnualMipPct(380_000, 0.95, 30), 0.5);
+  assert.equal(fhaAnnualMipPct(800_000, 0.965, 30), 0.75);
+  assert.equal(fhaAnnualMipPct(300_000, 0.85, 15), 0.15);
+});
+
+test("applyProgram sets mortgage insurance and raises down payments to the minimum", () => {
+  const fha = applyProgram(cfg, "fha");
+  assert.equal(fha.program.type, "fha");
+  assert.equal(fha.downBankOnly, 14_000);
+  assert.equal(fha.downWithFamily, undefined);
+  assert.equal(fha.pmi.type, "fha");
+  assert.equal(fha.pmi.fhaAnnualPct, 0.55);
+
+  const va = applyProgram({ ...cfg, pmi: { enabled: true, type: "fha" } }, "va");
+  assert.equal(va.pmi.enabled, false);
+
+  const conv = applyProgram({ ...cfg, pmi: { enabled: false, type: "fha" } }, "conventional");
+  assert.deepEqual([conv.pmi.enabled, conv.pmi.type, conv.downBankOnly], [true, "bpmi", 12_000]);
+
+  assert.deepEqual(applyProgram(cfg, "custom"), { program: { ...cfg.program, type: "custom" } });
+});
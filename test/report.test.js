@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { costGrowthNote, equityAtYear, pmiLabel, reportEntries } from "../src/report.js";
+
+const cfg = {
+  price: 400_000,
+  downBankOnly: 80_000,
+  downWithFamily: 80_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 0, rate: 3, termYears: 30, lumpSums: [] },
+  taxPct: 1.2, taxInflationPct: 2.5, insuranceAnnual: 1_800, insuranceInflationPct: 3,
+  hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+  program: { type: "custom" },
+  horizonYears: 30,
+};
+const scenario = (id, patch = {}) => ({ id, name: `S${id}`, cfg: { ...cfg, ...patch }, variant: "bank" });
+
+test("scenarios with input errors are skipped with their first error, the rest are reported", () => {
+  const { items, skipped } = reportEntries([
+    { s: scenario(1), color: "#111" },
+    { s: scenario(2, { price: -1 }), color: "#222" },
+  ]);
+  assert.deepEqual(items.map(it => [it.name, it.color]), [["S1", "#111"]]);
+  assert.equal(items[0].annual.length, 30);
+  assert.deepEqual(skipped.map(it => [it.name, it.issue.path, it.issue.message]), [["S2", "price", "Must be at least 1"]]);
+});
+
+test("equity at year 10 is missing when the horizon ends before it", () => {
+  const { items } = reportEntries([{ s: scenario(1) }, { s: scenario(2, { horizonYears: 5 }) }]);
+  assert.equal(typeof equityAtYear(items[0].res, 10), "number");
+  assert.equal(equityAtYear(items[1].res, 10), null);
+});
+
+test("USDA loans show the guarantee fee whatever the PMI settings", () => {
+  assert.equal(pmiLabel({ ...cfg, program: { type: "usda" } }), "USDA guarantee fee");
+  assert.equal(pmiLabel({ ...cfg, pmi: { enabled: true, type: "fha" } }), "FHA MIP");
+  assert.equal(pmiLabel(cfg), "Off");
+});
+
+test("the cost growth assumption is worded from the reported configs", () => {
+  assert.equal(costGrowthNote([cfg]),
+    "Yearly cost growth: property tax 2.5% and insurance 3%. HOA, maintenance and utilities stay flat.");
+  assert.equal(costGrowthNote([cfg, { ...cfg, hoaInflationPct: 2, maintInflationPct: 3, utilitiesInflationPct: 3 }]),
+    "Yearly cost growth: property tax 2.5%, insurance 3%, HOA 0–2% depending on the scenario, "
+    + "maintenance 0–3% depending on the scenario and utilities 0–3% depending on the scenario.");
+  assert.equal(costGrowthNote([{ ...cfg, taxInflationPct: 0, insuranceInflationPct: 0 }]),
+    "Property tax, insurance, HOA, maintenance and utilities stay flat.");
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSchedule } from "../src/engine.js";
+import { getPath, gridValues, heatmap, sensitivityReport, setPath, tornado } from "../src/sensitivity.js";
+
+const cfg = {
+  price: 500_000,
+  down: 100_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 50_000, rate: 3, termYears: 30 },
+  taxPct: 1.2, insuranceAnnual: 1_800, hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+  horizonYears: 10,
+};
+
+test("setPath copies nested objects without touching the original", () => {
+  const next = setPath(cfg, "family.rate", 4);
+  assert.equal(getPath(next, "family.rate"), 4);
+  assert.equal(cfg.family.rate, 3);
+  assert.equal(next.family.amount, 50_000);
+});
+
+test("tornado ranks inputs by swing and skips inputs at zero", () => {
+  const { base, bars } = tornado(cfg, "firstPayment", 10);
+  assert.equal(base, buildSchedule(cfg).rows[0].totalMonthly);
+  assert.ok(!bars.some(b => b.path === "hoaMonthly"));
+  for (let i = 1; i < bars.length; i++) assert.ok(bars[i - 1].swing >= bars[i].swing);
+  // the bank rate moves the payment more than the insurance premium does
+  const idx = (p) => bars.findIndex(b => b.path === p);
+  assert.ok(idx("bankRate") < idx("insuranceAnnual"));
+  const rate = bars[idx("bankRate")];
+  assert.ok(rate.low < base && rate.high > base);
+});
+
+test("heatmap grid is centred on the current inputs", () => {
+  const xs = gridValues(6, 20, 3);
+  assert.deepEqual(xs.map(v => +v.toFixed(2)), [4.8, 6, 7.2]);
+  const ys = gridValues(100_000, 20, 3);
+  const { cells, min, max } = heatmap(cfg, "firstPayment", "bankRate", "down", xs, ys);
+  assert.equal(cells[1][1], buildSchedule(cfg).rows[0].totalMonthly);
+  // highest payment at the highest rate and lowest down payment
+  assert.equal(cells[0][2], max);
+  assert.equal(cells[2][0], min);
+});
+
+test("sensitivityReport runs the tornado and a grid of at least 2 steps", () => {
+  const settings = { metric: "firstPayment", deltaPct: 10, xField: "bankRate", yField: "down", spanPct: 20, steps: 3 };
+  const report = sensitivityReport(cfg, settings);
+  assert.deepEqual(report.tornado, tornado(cfg, "firstPayment", 10));
+  assert.deepEqual(report.grid.xs, gridValues(6, 20, 3));
+  assert.equal(report.grid.cells[1][1], buildSchedule(cfg).rows[0].totalMonthly);
+  assert.equal(sensitivityReport(cfg, { ...settings, steps: 1 }).grid.xs.length, 2);
+});
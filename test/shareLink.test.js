@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeShareHash, encodeShareHash, LINK_VERSION, SHARE_PREFIX } from "../src/shareLink.js";
+
+const preset = {
+  price: 500_000,
+  bankRate: 6,
+  family: { amount: 100_000, rate: 4 },
+  appreciationPct: 3,
+};
+
+const scenarios = [
+  { id: 1, name: "Baseline", cfg: preset, variant: "family" },
+  { id: 4, name: "Cheaper, 5.5%", cfg: { ...preset, price: 420_000, bankRate: 5.5 }, variant: "bank" },
+];
+
+// Hash for an arbitrary payload, compressed the way encodeShareHash does it
+async function hashOf(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  const out = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const packed = new Uint8Array(await new Response(out).arrayBuffer());
+  return SHARE_PREFIX + btoa(String.fromCharCode(...packed)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+test("a share link rebuilds the exact scenario set", async () => {
+  const hash = await encodeShareHash(scenarios, 4);
+  assert.ok(hash.startsWith(SHARE_PREFIX));
+  const res = await decodeShareHash(hash, preset);
+  assert.deepEqual(res.scenarios, scenarios);
+  assert.equal(res.activeId, 4);
+  assert.deepEqual(res.issues, []);
+});
+
+test("links carry full configs, so a later change of defaults doesn't alter them", async () => {
+  const hash = await encodeShareHash(scenarios, 1);
+  const res = await decodeShareHash(hash, { ...preset, appreciationPct: 0 });
+  assert.equal(res.scenarios[0].cfg.appreciationPct, 3);
+});
+
+test("malformed hashes resolve to an error", async () => {
+  assert.match((await decodeShareHash("#x=abc", preset)).error, /does not contain/);
+  assert.match((await decodeShareHash(`${SHARE_PREFIX}not-a-link`, preset)).error, /corrupted or truncated/);
+  const hash = await encodeShareHash(scenarios, 1);
+  assert.match((await decodeShareHash(hash.slice(0, -12), preset)).error, /corrupted or truncated/);
+  assert.match((await decodeShareHash(await hashOf([1, 2]), preset)).error, /not a scenario set/);
+});
+
+test("outdated and newer link formats are rejected with a warning", async () => {
+  // version 1 links held only the fields that differed from the preset
+  const old = await hashOf({ version: 1, activeId: 1, scenarios: [{ id: 1, name: "Old", variant: "bank", cfg: { price: 1 } }] });
+  assert.match((await decodeShareHash(old, preset)).error, /older version/);
+  const newer = await hashOf({ link: LINK_VERSION + 1, version: 1, activeId: 1, scenarios: [] });
+  assert.match((await decodeShareHash(newer, preset)).error, /newer version/);
+});
+
+test("fields a link lacks or gets wrong take preset values and are reported", async () => {
+  const hash = await hashOf({
+    link: LINK_VERSION, version: 1, activeId: 1,
+    scenarios: [{ id: 1, name: "Partial", variant: "bank", cfg: { price: null, bankRate: 5, family: preset.family } }],
+  });
+  const res = await decodeShareHash(hash, preset);
+  assert.equal(res.scenarios[0].cfg.price, 500_000);
+  assert.equal(res.scenarios[0].cfg.bankRate, 5);
+  assert.deepEqual(res.issues, ["scenarios[0].cfg.price: expected number, got null", "scenarios[0].cfg.appreciationPct: missing"]);
+});
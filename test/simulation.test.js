@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mulberry32, percentile, sampleConfig, simulate } from "../src/simulation.js";
+
+const armCfg = {
+  price: 250_000,
+  down: 50_000,
+  bankType: "arm",
+  bankRate: 5,
+  bankTermYears: 30,
+  arm: { margin: 2, caps: { first: 2, periodic: 2, lifetime: 5 }, indexForecast: [3], fixedMonths: 60, adjustMonths: 12 },
+  family: { amount: 0 },
+  taxPct: 0, insuranceAnnual: 0, hoaMonthly: 0, maintPctAnnual: 0, utilitiesMonthly: 0,
+  pmi: { enabled: false },
+  appreciationPct: 3,
+  horizonYears: 10,
+};
+
+const settings = {
+  runs: 60, seed: 7,
+  indexMeanPct: 3, indexVolPct: 1,
+  appreciationMeanPct: 3, appreciationVolPct: 5,
+  returnMeanPct: 6, returnVolPct: 15,
+};
+
+test("percentile interpolates between sorted values", () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 10), 1);
+  assert.equal(percentile([], 50), null);
+});
+
+test("sampled configs are reproducible from the seed and start at the scenario's index", () => {
+  const a = sampleConfig(armCfg, settings, mulberry32(1));
+  const b = sampleConfig(armCfg, settings, mulberry32(1));
+  assert.deepEqual(a, b);
+  assert.equal(a.arm.indexForecast.length, 10);
+  assert.equal(a.arm.indexForecast[0], 3);
+  assert.ok(a.arm.indexForecast.every(v => v >= 0));
+  assert.equal(a.family.altAnnualPct, a.family.reinvestAnnualPct);
+});
+
+test("simulate returns ordered P10/P50/P90 bands per year and the same result for the same seed", () => {
+  const res = simulate(armCfg, settings);
+  assert.equal(res.runs, 60);
+  assert.equal(res.years.length, 10);
+  for (const y of res.years) {
+    assert.ok(y.payment.p10 <= y.payment.p50 && y.payment.p50 <= y.payment.p90);
+    assert.ok(y.cost.p10 <= y.cost.p50 && y.cost.p50 <= y.cost.p90);
+  }
+  // fixed period: every run pays the same until the first reset
+  assert.equal(res.years[0].payment.p10, res.years[0].payment.p90);
+  assert.ok(res.years[9].payment.p90 > res.years[9].payment.p10);
+  assert.ok(res.irr.p10 <= res.irr.p90);
+  assert.deepEqual(simulate(armCfg, settings), res);
+  assert.notDeepEqual(simulate(armCfg, { ...settings, seed: 8 }).irr, res.irr);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUYDOWN_TYPES, FILING_STATUSES, PAYMENT_FREQUENCIES } from "../src/engine.js";
+import { checkEnum, checkField, ENUM_RULES, hasErrors, issueFor, validateConfig } from "../src/validation.js";
+
+const cfg = {
+  price: 500_000,
+  downBankOnly: 100_000,
+  downWithFamily: 150_000,
+  bankType: "fixed",
+  bankRate: 6,
+  bankTermYears: 30,
+  family: { amount: 100_000, rate: 4, termYears: 30, balloonYears: 0, deferMonths: 0 },
+  pmi: { enabled: true, dropLTV: 0.78 },
+  prepay: { monthlyExtra: 0, lumpSums: [], yearly: { amount: 0, month: 3 } },
+  horizonYears: 30,
+};
+
+test("field rules catch blanks, negatives, out-of-range and fractional values", () => {
+  assert.equal(checkField(NaN, {}), "Enter a number");
+  assert.equal(checkField(-1, { min: 0 }), "Must be at least 0");
+  assert.equal(checkField(0.9, { min: 0, max: 0.8, ratio: true }), "Must be at most 80%");
+  assert.equal(checkField(2.5, { min: 1, integer: true }), "Must be a whole number");
+  assert.equal(checkField(3, { min: 1, max: 5 }), null);
+  assert.deepEqual(validateConfig(cfg), []);
+  assert.equal(issueFor(validateConfig({ ...cfg, bankRate: -1 }), "bankRate").message, "Must be at least 0");
+});
+
+test("cross-field checks: down payment over price, family loan over what's left to borrow", () => {
+  const issues = validateConfig({ ...cfg, downBankOnly: 600_000, family: { ...cfg.family, amount: 400_000 } });
+  assert.equal(issueFor(issues, "downBankOnly").message, "Down payment is more than the price");
+  assert.match(issueFor(issues, "family.amount").message, /350,000 left to borrow/);
+  assert.ok(hasErrors(issues));
+});
+
+test("inputs that run but look unintended are warnings, not errors", () => {
+  const issues = validateConfig({ ...cfg, family: { ...cfg.family, balloonYears: 40 } });
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].severity, "warning");
+  assert.equal(hasErrors(issues), false);
+});
+
+test("loan programs enforce minimum down payment and loan limits", () => {
+  const program = { type: "fha", fhaLimit: 541_287, conformingLimit: 832_750 };
+  const issues = validateConfig({ ...cfg, price: 600_000, downBankOnly: 10_000, program });
+  assert.match(issueFor(issues, "downBankOnly").message, /FHA needs at least 3.5% down \(\$21,000\)/);
+  assert.match(issueFor(issues, "program.type").message, /over the FHA limit of \$541,287/);
+
+  const jumbo = validateConfig({ ...cfg, program: { ...program, type: "jumbo" } });
+  assert.equal(issueFor(jumbo, "program.type").severity, "warning");
+  assert.equal(hasErrors(jumbo), false);
+
+  assert.deepEqual(validateConfig({ ...cfg, program: { ...program, type: "conventional" } }), []);
+});
+
+test("every entry of yearly paths and dated amount lists is checked", () => {
+  const issues = validateConfig({
+    ...cfg,
+    appreciationPath: [3, null, 80],
+    prepay: { ...cfg.prepay, lumpSums: [{ month: 12, amount: 5_000 }, { month: 24, amount: -1 }, { month: 0, amount: 1 }] },
+  });
+  assert.deepEqual(issues.map(i => [i.path, i.message]), [
+    ["prepay.lumpSums.1", "Must be at least 0"],
+    ["prepay.lumpSums.2", "Pick a month on or after the first payment"],
+    ["appreciationPath.1", "Enter a number"],
+    ["appreciationPath.2", "Must be at most 50"],
+  ]);
+});
+
+test("fields picked from a list only accept the listed values", () => {
+  assert.equal(checkEnum("arm", ENUM_RULES.bankType), null);
+  assert.equal(checkEnum("balloon", ENUM_RULES.bankType), "Must be one of fixed, arm, io");
+  const issues = validateConfig({
+    ...cfg,
+    bankType: "balloon",
+    paymentFrequency: "weekly",
+    pmi: { ...cfg.pmi, type: "mip" },
+    program: { type: "fha2" },
+  });
+  assert.deepEqual(issues.filter(i => i.severity === "error").map(i => i.path),
+    ["bankType", "paymentFrequency", "pmi.type", "program.type"]);
+  assert.ok(hasErrors(issues));
+});
+
+test("enum rules list the same keys as the engine's tables", () => {
+  assert.deepEqual(ENUM_RULES.paymentFrequency, Object.keys(PAYMENT_FREQUENCIES));
+  assert.deepEqual(ENUM_RULES["buydown.type"], Object.keys(BUYDOWN_TYPES));
+  assert.deepEqual(ENUM_RULES["borrowerTax.filingStatus"], Object.keys(FILING_STATUSES));
+});